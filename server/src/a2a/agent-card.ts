@@ -3,15 +3,18 @@
  * Creates compliant agent cards per A2A Protocol v0.3.0
  */
 
-import type { AgentCard } from '@a2a-js/sdk';
+import type { AgentCard, AgentSkill } from '@a2a-js/sdk';
 import type { MCPTool } from '../types/index.js';
 import type { Request } from 'express';
 
+// Agent card skill plus the tools that back it
+type RoleSkill = AgentSkill & { tools: string[] };
+
 export class AgentCardGenerator {
   /**
    * Create agent card with auto-detected URLs
    */
-  static createAgentCard(role: 'buyer' | 'seller', tools: MCPTool[], req?: Request): AgentCard {
+  static createAgentCard(role: 'buyer' | 'seller', tools: MCPTool[], schemaTools: MCPTool[] = tools, req?: Request): AgentCard {
     // Auto-detect protocol and host from request
     let protocol = 'http';
     let host = 'localhost:3000';
@@ -30,8 +33,8 @@ export class AgentCardGenerator {
     const baseUrl = `${protocol}://${host}`;
     const agentUrl = `${baseUrl}/a2a/${role}`;
 
-    // Define skills based on role
-    const skills = role === 'buyer' ? this.getBuyerSkills() : this.getSellerSkills();
+    // Define skills based on role, keeping only those backed by a tool the role may call
+    const skills = this.filterSkills(role, role === 'buyer' ? this.getBuyerSkills() : this.getSellerSkills(), tools, schemaTools);
 
     return {
       name: `opendirect-${role}-agent`,
@@ -41,7 +44,7 @@ export class AgentCardGenerator {
       url: agentUrl,
       skills,
       capabilities: {
-        pushNotifications: false,
+        pushNotifications: true,
         streaming: true
       },
       defaultInputModes: ['text/plain', 'application/json'],
@@ -76,13 +79,14 @@ export class AgentCardGenerator {
           oauth2: ['opendirect:read', 'opendirect:write']
         }
       ],
+      preferredTransport: 'JSONRPC',
       additionalInterfaces: [
         {
-          transport: 'http',
+          transport: 'JSONRPC',
           url: `${agentUrl}/jsonrpc`
         },
         {
-          transport: 'http',
+          transport: 'HTTP+JSON',
           url: `${agentUrl}/rest`
         },
         {
@@ -93,10 +97,32 @@ export class AgentCardGenerator {
     };
   }
 
+  /**
+   * Drop skills whose tools are all outside the role's tool set, warning about
+   * skill tools the schema does not define at all
+   */
+  private static filterSkills(
+    role: 'buyer' | 'seller',
+    skills: RoleSkill[],
+    tools: MCPTool[],
+    schemaTools: MCPTool[]
+  ): AgentSkill[] {
+    const defined = new Set(schemaTools.map(t => t.name));
+    const undefinedTools = skills.flatMap(skill => skill.tools.filter(name => !defined.has(name)).map(name => `${name} (${skill.id})`));
+    if (undefinedTools.length > 0) {
+      console.warn(`⚠️  ${role} skills name tools missing from the schema: ${undefinedTools.join(', ')}`);
+    }
+
+    const available = new Set(tools.map(t => t.name));
+    return skills
+      .filter(skill => skill.tools.some(name => available.has(name)))
+      .map(({ tools: _tools, ...skill }) => skill);
+  }
+
   /**
    * Get buyer agent skills
    */
-  private static getBuyerSkills() {
+  private static getBuyerSkills(): RoleSkill[] {
     return [
       {
         id: 'campaign-planning',
@@ -109,7 +135,8 @@ export class AgentCardGenerator {
           'Design a Q4 holiday campaign'
         ],
         inputModes: ['text/plain', 'application/json'],
-        outputModes: ['text/plain', 'application/json']
+        outputModes: ['text/plain', 'application/json'],
+        tools: ['search_products', 'create_order', 'create_line']
       },
       {
         id: 'order-creation',
@@ -123,7 +150,8 @@ export class AgentCardGenerator {
           'Create order with budget $50000'
         ],
         inputModes: ['application/json'],
-        outputModes: ['application/json']
+        outputModes: ['application/json'],
+        tools: ['create_account', 'create_order', 'update_order']
       },
       {
         id: 'creative-submission',
@@ -136,7 +164,8 @@ export class AgentCardGenerator {
           'Create display ad creative'
         ],
         inputModes: ['application/json'],
-        outputModes: ['application/json']
+        outputModes: ['application/json'],
+        tools: ['create_creative', 'update_creative', 'create_assignment']
       },
       {
         id: 'product-discovery',
@@ -149,7 +178,8 @@ export class AgentCardGenerator {
           'List available ad products'
         ],
         inputModes: ['text/plain'],
-        outputModes: ['application/json']
+        outputModes: ['application/json'],
+        tools: ['search_products', 'list_products', 'get_product']
       }
     ];
   }
@@ -157,7 +187,7 @@ export class AgentCardGenerator {
   /**
    * Get seller agent skills
    */
-  private static getSellerSkills() {
+  private static getSellerSkills(): RoleSkill[] {
     return [
       {
         id: 'product-search',
@@ -170,7 +200,8 @@ export class AgentCardGenerator {
           'Find video ad inventory'
         ],
         inputModes: ['text/plain', 'application/json'],
-        outputModes: ['application/json']
+        outputModes: ['application/json'],
+        tools: ['search_products', 'list_products', 'get_product']
       },
       {
         id: 'inventory-management',
@@ -183,7 +214,8 @@ export class AgentCardGenerator {
           'Manage inventory pricing'
         ],
         inputModes: ['application/json'],
-        outputModes: ['application/json']
+        outputModes: ['application/json'],
+        tools: ['create_product', 'update_product']
       },
       {
         id: 'order-processing',
@@ -196,7 +228,8 @@ export class AgentCardGenerator {
           'Update order status'
         ],
         inputModes: ['application/json'],
-        outputModes: ['application/json']
+        outputModes: ['application/json'],
+        tools: ['update_line', 'get_order', 'list_orders']
       },
       {
         id: 'creative-approval',
@@ -209,7 +242,8 @@ export class AgentCardGenerator {
           'Reject creative with feedback'
         ],
         inputModes: ['application/json'],
-        outputModes: ['application/json']
+        outputModes: ['application/json'],
+        tools: ['approve_creative', 'reject_creative']
       }
     ];
   }
@@ -0,0 +1,48 @@
+/**
+ * Approval Audit Log
+ * Appends every approval request and decision as a JSON line, so compliance
+ * can see who approved or rejected which call and when
+ */
+
+import { promises as fs } from 'fs';
+import { dirname, resolve } from 'path';
+
+export interface ApprovalAuditEntry {
+  event: 'requested' | 'approved' | 'rejected';
+  role: 'buyer' | 'seller';
+  taskId: string;
+  contextId: string;
+  rule: string;
+  tool: string;
+  params: Record<string, any>;
+  // OAuth client whose request hit the rule, or that made the decision; "anonymous" without OAuth
+  actor?: string;
+  comment?: string;
+}
+
+export class ApprovalAuditLog {
+  private path: string;
+  // Serialize appends so lines never interleave
+  private queue: Promise<void> = Promise.resolve();
+
+  constructor(path: string) {
+    this.path = resolve(path);
+  }
+
+  /**
+   * Append an entry with a timestamp; rejects when it could not be written,
+   * so callers do not act on a decision that left no record
+   */
+  record(entry: ApprovalAuditEntry): Promise<void> {
+    const line = JSON.stringify({ timestamp: new Date().toISOString(), ...entry }) + '\n';
+
+    const write = this.queue.then(async () => {
+      await fs.mkdir(dirname(this.path), { recursive: true });
+      await fs.appendFile(this.path, line, 'utf-8');
+    });
+    this.queue = write.catch(() => undefined);
+
+    console.log(`📝 Approval ${entry.event}: ${entry.tool} (rule ${entry.rule}) on task ${entry.taskId}${entry.actor ? ` by ${entry.actor}` : ''}`);
+    return write;
+  }
+}
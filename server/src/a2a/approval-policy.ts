@@ -0,0 +1,61 @@
+/**
+ * Approval Policy
+ * Decides which tool calls need a person to approve them before they run,
+ * loaded from approvals.json next to the OpenDirect schema
+ */
+
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import type { Message } from '@a2a-js/sdk';
+import { CallRuleSet, type CallRule } from './call-rules.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export interface ApprovalRule extends CallRule {
+  reason?: string;
+}
+
+export class ApprovalPolicy extends CallRuleSet<ApprovalRule> {
+  constructor(policyPath?: string) {
+    super(policyPath || join(__dirname, '../../approvals.json'));
+  }
+}
+
+export interface ApprovalDecision {
+  approved: boolean;
+  comment?: string;
+}
+
+/**
+ * Read an explicit approve/reject decision from a reply
+ * Accepts a data part { decision: "approve" | "reject", comment? } or text that
+ * starts with approve/approved/yes or reject/rejected/deny/no. Anything else is
+ * not a decision.
+ */
+export function readDecision(reply: Message): ApprovalDecision | undefined {
+  for (const part of reply.parts) {
+    if (part.kind !== 'data' || !part.data || typeof part.data !== 'object' || typeof part.data.decision !== 'string') continue;
+    const decision = parseDecisionWord(part.data.decision);
+    if (decision !== undefined) {
+      return { approved: decision, ...(typeof part.data.comment === 'string' && { comment: part.data.comment }) };
+    }
+  }
+
+  const text = reply.parts
+    .filter(part => part.kind === 'text')
+    .map(part => part.text)
+    .join(' ')
+    .trim();
+  const match = text.match(/^([a-z]+)\b[\s.,:;!-]*(.*)$/is);
+  const decision = match ? parseDecisionWord(match[1]) : undefined;
+  if (decision === undefined) return undefined;
+
+  return { approved: decision, ...(match![2] && { comment: match![2] }) };
+}
+
+function parseDecisionWord(word: string): boolean | undefined {
+  if (/^(approve|approved|yes|confirm|confirmed)$/i.test(word)) return true;
+  if (/^(reject|rejected|deny|denied|no|decline|declined)$/i.test(word)) return false;
+  return undefined;
+}
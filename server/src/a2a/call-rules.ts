@@ -0,0 +1,92 @@
+/**
+ * Tool Call Rules
+ * Rules keyed on a tool name pattern and predicates over its arguments,
+ * shared by the approval and delegation policies
+ */
+
+import { readFileSync } from 'fs';
+
+export type CallOperator = '==' | '!=' | '>' | '>=' | '<' | '<=' | 'in' | 'exists';
+
+export interface CallCondition {
+  // Argument name, or a dotted path into nested arguments (e.g. changes.order.budget)
+  field: string;
+  op: CallOperator;
+  value?: any;
+}
+
+export interface CallRule {
+  id: string;
+  // Tool name, or a list of them; '*' matches any characters
+  tool: string | string[];
+  // Every condition must hold for the rule to match
+  when?: CallCondition[];
+}
+
+const OPERATORS: CallOperator[] = ['==', '!=', '>', '>=', '<', '<=', 'in', 'exists'];
+
+export class CallRuleSet<T extends CallRule> {
+  private rules: Array<T & { pattern: RegExp }>;
+
+  /**
+   * Load the "rules" array of a JSON policy file, rejecting unknown operators
+   */
+  constructor(path: string) {
+    const document: { rules?: T[] } = JSON.parse(readFileSync(path, 'utf-8'));
+
+    this.rules = (document.rules || []).map(rule => {
+      const unknown = (rule.when || []).find(condition => !OPERATORS.includes(condition.op));
+      if (unknown) {
+        throw new Error(`Rule ${rule.id} in ${path} uses unknown operator "${unknown.op}"`);
+      }
+      return { ...rule, pattern: this.toRegExp(rule.tool) };
+    });
+  }
+
+  /**
+   * First rule that matches this call, if any
+   */
+  match(toolName: string, params: Record<string, any>): T | undefined {
+    const rule = this.rules.find(rule =>
+      rule.pattern.test(toolName) && (rule.when || []).every(condition => this.holds(condition, params))
+    );
+    if (!rule) return undefined;
+
+    const { pattern, ...matched } = rule;
+    return matched as unknown as T;
+  }
+
+  get size(): number {
+    return this.rules.length;
+  }
+
+  private holds({ field, op, value }: CallCondition, params: Record<string, any>): boolean {
+    const actual = field.split('.').reduce<any>((value, key) => value?.[key], params);
+
+    switch (op) {
+      case 'exists':
+        return actual !== undefined && actual !== null;
+      case '==':
+        return actual === value;
+      case '!=':
+        return actual !== value;
+      case 'in':
+        return Array.isArray(value) && value.includes(actual);
+      default: {
+        // Numeric comparisons never match a missing or non-numeric argument
+        const number = typeof actual === 'number' ? actual : Number(actual);
+        if (actual === undefined || actual === null || actual === '' || Number.isNaN(number)) return false;
+        if (op === '>') return number > value;
+        if (op === '>=') return number >= value;
+        if (op === '<') return number < value;
+        return number <= value;
+      }
+    }
+  }
+
+  private toRegExp(tool: string | string[]): RegExp {
+    const alternatives = (Array.isArray(tool) ? tool : [tool])
+      .map(pattern => pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*'));
+    return new RegExp(`^(?:${alternatives.join('|')})$`);
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * Clarification
+ * Finds required tool parameters a step cannot fill, asks the user for them
+ * and reads the answers back out of their reply
+ */
+
+import type { Message } from '@a2a-js/sdk';
+import type { MCPTool } from '../types/index.js';
+
+export interface MissingField {
+  field: string;
+  type?: string;
+  description?: string;
+}
+
+/**
+ * Required fields of the tool's input schema that are absent or blank in params
+ */
+export function findMissingFields(tool: MCPTool, params: Record<string, any>): MissingField[] {
+  const properties = tool.inputSchema.properties || {};
+
+  return (tool.inputSchema.required || [])
+    .filter(field => isBlank(params[field]))
+    .map(field => ({
+      field,
+      type: properties[field]?.type,
+      description: firstSentence(properties[field]?.description)
+    }));
+}
+
+/**
+ * Targeted question for the missing fields of one step
+ */
+export function buildQuestion(toolName: string, missing: MissingField[]): string {
+  if (missing.length === 1) {
+    const [{ field, description }] = missing;
+    return `Which ${field} should I use for ${toolName}?${description ? ` (${description})` : ''}`;
+  }
+
+  const fields = missing.map(m => `- ${m.field}${m.description ? `: ${m.description}` : ''}`).join('\n');
+  return `To run ${toolName} I still need:\n${fields}\nReply with "field: value" for each one.`;
+}
+
+/**
+ * Read values for the missing fields from a reply
+ * Data parts are taken field by field; text can use "field: value" (or
+ * "field = value") pairs, and when a single field is missing the whole text
+ * is its value. Returns only the fields that were answered.
+ */
+export function readAnswers(missing: MissingField[], reply: Message): Record<string, any> {
+  const answers: Record<string, any> = {};
+  const wanted = new Map(missing.map(m => [m.field.toLowerCase(), m]));
+
+  for (const part of reply.parts) {
+    if (part.kind !== 'data' || !part.data || typeof part.data !== 'object') continue;
+    for (const [key, value] of Object.entries(part.data)) {
+      const field = wanted.get(key.toLowerCase());
+      if (field && !isBlank(value)) answers[field.field] = value;
+    }
+  }
+
+  const text = reply.parts
+    .filter(part => part.kind === 'text')
+    .map(part => part.text)
+    .join('\n')
+    .trim();
+  if (!text) return answers;
+
+  const names = missing.map(m => escapeRegExp(m.field)).join('|');
+  const pairs = new RegExp(`\\b(${names})\\s*[:=]\\s*(.+?)\\s*(?=[,;\\n]\\s*(?:${names})\\s*[:=]|$)`, 'gim');
+  for (const [, key, raw] of text.matchAll(pairs)) {
+    const field = wanted.get(key.toLowerCase())!;
+    answers[field.field] ??= coerce(raw, field.type);
+  }
+
+  if (missing.length === 1 && !(missing[0].field in answers)) {
+    answers[missing[0].field] = coerce(text, missing[0].type);
+  }
+
+  return answers;
+}
+
+/**
+ * Convert a text answer to the schema type; leave it as text when it does not parse
+ */
+function coerce(raw: string, type?: string): any {
+  const value = raw.trim().replace(/^["'`]|["'`]$/g, '').replace(/[.,;]$/, '');
+
+  switch (type) {
+    case 'number':
+    case 'integer': {
+      const number = Number(value.replace(/[$,\s]/g, ''));
+      return Number.isFinite(number) ? number : value;
+    }
+    case 'boolean':
+      return /^(true|yes|y)$/i.test(value) ? true : /^(false|no|n)$/i.test(value) ? false : value;
+    case 'object':
+    case 'array':
+      try {
+        return JSON.parse(raw.trim());
+      } catch {
+        return value;
+      }
+    default:
+      return value;
+  }
+}
+
+function isBlank(value: any): boolean {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function firstSentence(text?: string): string | undefined {
+  return text?.split(/(?<=\.)\s/)[0].trim() || undefined;
+}
+
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
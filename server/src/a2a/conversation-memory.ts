@@ -0,0 +1,178 @@
+/**
+ * Conversation Memory
+ * Per-contextId state for multi-turn requests: prior turns, entities the
+ * agent created or fetched, and the last referenced entity of each type
+ */
+
+import type { ConversationContext, ConversationTurn, EntityReference } from '../types/index.js';
+
+export interface ConversationMemoryOptions {
+  maxTurns: number;
+  maxEntities: number;
+  maxContexts: number;
+}
+
+const TOOL_PATTERN = /^(create|update|get|list|search|delete)_([a-z]+?)s?$/;
+
+// Longest turn text kept in memory (and sent back to the planner)
+const MAX_TURN_LENGTH = 500;
+
+interface ConversationState {
+  turns: ConversationTurn[];
+  entities: EntityReference[];
+  // Client whose message started the context
+  owner?: string;
+}
+
+export class ConversationMemory {
+  private options: ConversationMemoryOptions;
+  // Map order doubles as LRU order: least recently used context first
+  private contexts: Map<string, ConversationState> = new Map();
+
+  constructor(options: ConversationMemoryOptions) {
+    this.options = options;
+  }
+
+  /**
+   * Snapshot of a context for planning; empty for unknown contexts
+   */
+  get(contextId: string): ConversationContext {
+    const state = this.contexts.get(contextId);
+    const entities = state ? state.entities.map(entity => ({ ...entity })) : [];
+    const lastReferenced: Record<string, EntityReference> = {};
+    for (const entity of entities) {
+      lastReferenced[entity.type] = entity;
+    }
+
+    return { turns: state ? [...state.turns] : [], entities, lastReferenced };
+  }
+
+  has(contextId: string): boolean {
+    return this.contexts.has(contextId);
+  }
+
+  /**
+   * Client a context belongs to, if it is known and claimed
+   */
+  ownerOf(contextId: string): string | undefined {
+    return this.contexts.get(contextId)?.owner;
+  }
+
+  /**
+   * Start a context for a client, or check that it already belongs to them;
+   * returns false when another client owns it
+   */
+  claim(contextId: string, owner: string): boolean {
+    const current = this.ownerOf(contextId);
+    if (current !== undefined && current !== owner) return false;
+
+    this.touch(contextId).owner = owner;
+    return true;
+  }
+
+  recordTurn(contextId: string, role: ConversationTurn['role'], text: string) {
+    if (!text.trim()) return;
+
+    const state = this.touch(contextId);
+    state.turns.push({
+      role,
+      text: text.length > MAX_TURN_LENGTH ? `${text.slice(0, MAX_TURN_LENGTH)}…` : text,
+      timestamp: new Date().toISOString()
+    });
+    state.turns.splice(0, state.turns.length - this.options.maxTurns);
+  }
+
+  /**
+   * Remember the entities a tool call touched: "<type>id" arguments it referred
+   * to, then the entity it created, updated or fetched (which becomes the most
+   * recent). Deleted entities are forgotten.
+   */
+  recordToolResult(contextId: string, toolName: string, params: Record<string, any>, result: any) {
+    const match = toolName.match(TOOL_PATTERN);
+    if (!match) return;
+
+    const [, operation, type] = match;
+    const state = this.touch(contextId);
+
+    for (const [field, value] of Object.entries(params || {})) {
+      const referenced = field.match(/^([a-z]+)id$/)?.[1];
+      if (referenced && typeof value === 'string' && value) {
+        this.remember(state, { type: referenced, id: value, tool: toolName });
+      }
+    }
+
+    // Lists and searches return many entities; only single results become referents
+    const id = result && !Array.isArray(result) && typeof result.id === 'string' ? result.id : undefined;
+    if (!id || operation === 'list' || operation === 'search') return;
+
+    if (operation === 'delete') {
+      state.entities = state.entities.filter(entity => !(entity.type === type && entity.id === id));
+      return;
+    }
+
+    this.remember(state, {
+      type,
+      id,
+      ...(typeof result.name === 'string' && { name: result.name }),
+      tool: toolName
+    });
+  }
+
+  /**
+   * Forget everything about a context; returns whether it existed
+   */
+  reset(contextId: string): boolean {
+    return this.contexts.delete(contextId);
+  }
+
+  /**
+   * Move an entity to the most recent position, keeping a known name
+   */
+  private remember(state: ConversationState, reference: EntityReference) {
+    const index = state.entities.findIndex(entity => entity.type === reference.type && entity.id === reference.id);
+    const existing = index === -1 ? undefined : state.entities.splice(index, 1)[0];
+
+    state.entities.push({ ...reference, name: reference.name ?? existing?.name });
+    state.entities.splice(0, state.entities.length - this.options.maxEntities);
+  }
+
+  /**
+   * Get or create a context and mark it most recently used, evicting the oldest past the limit
+   */
+  private touch(contextId: string): ConversationState {
+    const state = this.contexts.get(contextId) ?? { turns: [], entities: [] };
+    this.contexts.delete(contextId);
+    this.contexts.set(contextId, state);
+
+    while (this.contexts.size > this.options.maxContexts) {
+      const oldest = this.contexts.keys().next().value!;
+      this.contexts.delete(oldest);
+    }
+
+    return state;
+  }
+}
+
+/**
+ * Plain-text summary of a conversation for LLM prompts; empty when there is nothing to say
+ */
+export function describeConversation(context: ConversationContext | undefined): string {
+  if (!context || (context.turns.length === 0 && context.entities.length === 0)) {
+    return '';
+  }
+
+  const lines: string[] = [];
+
+  if (context.turns.length > 0) {
+    lines.push('Earlier in this conversation:');
+    lines.push(...context.turns.map(turn => `- ${turn.role}: ${turn.text.replace(/\s+/g, ' ')}`));
+  }
+
+  if (context.entities.length > 0) {
+    lines.push('Entities from this conversation (most recent last):');
+    lines.push(...context.entities.map(e => `- ${e.type} ${e.id}${e.name ? ` "${e.name}"` : ''} (via ${e.tool})`));
+    lines.push('Resolve "it", "that order", "the line" and similar to these IDs; the most recent entity of a type is the default.');
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,110 @@
+/**
+ * Seller Delegation
+ * Which buyer tool calls belong to the seller agent (delegation.json), and the
+ * A2A message format that carries such a call and links the two tasks
+ */
+
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+import type { Message } from '@a2a-js/sdk';
+import { CallRuleSet, type CallRule } from './call-rules.js';
+import type { PlanStep } from '../types/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export interface DelegationRule extends CallRule {
+  description?: string;
+  // Seller calls that answer the request, under the seller's own approval rules;
+  // they may reference the request's result as {{steps[0].result...}}
+  answer?: PlanStep[];
+}
+
+// A task on one agent, as seen from the other
+export interface SubtaskReference {
+  agent: 'buyer' | 'seller';
+  taskId: string;
+  contextId: string;
+}
+
+export interface DelegatedCall {
+  name: string;
+  arguments: Record<string, any>;
+}
+
+// Who asked the delegating agent for the call, and the OAuth scopes they hold
+export interface DelegatingCaller {
+  actor: string;
+  scopes?: string[];
+}
+
+export class DelegationPolicy extends CallRuleSet<DelegationRule> {
+  constructor(policyPath?: string) {
+    super(policyPath || join(__dirname, '../../delegation.json'));
+  }
+}
+
+/**
+ * Message asking the seller agent to run one tool call for a buyer task
+ * The data part carries the exact call; metadata.delegatedBy links back to the
+ * buyer task and metadata.delegatedFor names the buyer's caller
+ */
+export function createDelegatedMessage(call: DelegatedCall, origin: SubtaskReference, caller: DelegatingCaller): Message {
+  return {
+    kind: 'message',
+    messageId: uuidv4(),
+    role: 'user',
+    // The seller keeps one conversation per buyer conversation
+    contextId: origin.contextId,
+    parts: [
+      { kind: 'text', text: `Run ${call.name} ${JSON.stringify(call.arguments)} for ${origin.agent} task ${origin.taskId}` },
+      { kind: 'data', data: { toolCall: call } }
+    ],
+    metadata: { delegatedBy: origin, delegatedFor: caller }
+  };
+}
+
+/**
+ * The tool call a delegated message asks for, if it is one
+ */
+export function readDelegatedCall(message: Message): DelegatedCall | undefined {
+  for (const part of message.parts) {
+    const data = part.kind === 'data' && part.data && typeof part.data === 'object' ? part.data : undefined;
+    const call = data?.toolCall as DelegatedCall | undefined;
+    if (call && typeof call.name === 'string') {
+      return { name: call.name, arguments: call.arguments && typeof call.arguments === 'object' ? call.arguments : {} };
+    }
+  }
+  return undefined;
+}
+
+/**
+ * The task that delegated this message, if it names one on a known agent
+ */
+export function readDelegatedBy(message: Message): SubtaskReference | undefined {
+  const origin = message.metadata?.delegatedBy as SubtaskReference | undefined;
+  if (!origin || (origin.agent !== 'buyer' && origin.agent !== 'seller')) return undefined;
+  if (typeof origin.taskId !== 'string' || typeof origin.contextId !== 'string') return undefined;
+  return { agent: origin.agent, taskId: origin.taskId, contextId: origin.contextId };
+}
+
+/**
+ * Whether a message carries delegation metadata, well-formed or not
+ */
+export function hasDelegationMetadata(message: Message): boolean {
+  const metadata = message.metadata ?? {};
+  return metadata.delegatedBy !== undefined || metadata.delegatedFor !== undefined;
+}
+
+/**
+ * The caller a delegated message runs for, if it names one
+ */
+export function readDelegatedFor(message: Message): DelegatingCaller | undefined {
+  const caller = message.metadata?.delegatedFor as DelegatingCaller | undefined;
+  if (!caller || typeof caller.actor !== 'string') return undefined;
+  return {
+    actor: caller.actor,
+    ...(Array.isArray(caller.scopes) && { scopes: caller.scopes.filter(scope => typeof scope === 'string') })
+  };
+}
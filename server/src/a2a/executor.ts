@@ -1,32 +1,129 @@
 /**
  * Agent Executor
  * AI-powered execution engine that selects and executes MCP tools
+ * Planning is delegated to a pluggable LLMProvider
  * Implements @a2a-js/sdk AgentExecutor interface
  */
 
-import OpenAI from 'openai';
 import type { AgentExecutor as IAgentExecutor, RequestContext, ExecutionEventBus } from '@a2a-js/sdk/server';
 import type { Message } from '@a2a-js/sdk';
 import type { MCPServer } from '../mcp/mcp-server.js';
-import type { MCPTool } from '../types/index.js';
+import { ToolError } from '../mcp/errors.js';
+import { resolveReferences, type CompletedStep } from './plan-references.js';
+import { TaskEventPublisher } from './task-events.js';
+import { buildQuestion, findMissingFields, readAnswers, type MissingField } from './clarification.js';
+import { describeConversation, type ConversationMemory } from './conversation-memory.js';
+import { readDecision, type ApprovalPolicy, type ApprovalRule } from './approval-policy.js';
+import type { ApprovalAuditLog } from './approval-audit.js';
+import {
+  readDelegatedBy,
+  readDelegatedCall,
+  readDelegatedFor,
+  hasDelegationMetadata,
+  type DelegatedCall,
+  type DelegationPolicy,
+  type SubtaskReference
+} from './delegation.js';
+import type { SellerAgentClient } from './seller-agent-client.js';
+import { OAuthUser } from '../auth/oauth-server.js';
+import { grantsScope } from '../auth/scopes.js';
+import type { ChatMessage, ConversationContext, ExecutionPlan, LLMProvider, MCPTool, PlanStep, ToolCall, ToolCallContext } from '../types/index.js';
+
+export interface AgentExecutorOptions {
+  // 'loop' feeds tool results back to the model; 'plan' runs a one-shot JSON plan
+  mode: 'loop' | 'plan';
+  // Tool calls a request may execute, failed ones included
+  maxSteps: number;
+  stepTimeoutMs: number;
+}
+
+// Buyer calls that the seller agent runs (see delegation.json): the buyer sends
+// matching calls to `seller`, and the seller answers them by the same rules
+export interface SellerDelegation {
+  policy: DelegationPolicy;
+  // Absent on the seller agent itself
+  seller?: SellerAgentClient;
+  // OAuth client the buyer agent authenticates as; only its messages may carry
+  // delegation metadata, so only the seller sets it
+  peer?: string;
+}
+
+// Progress through a one-shot plan; `next` is the step to run
+interface PlanState {
+  steps: PlanStep[];
+  completed: CompletedStep[];
+  next: number;
+  // Calls a person approved and that have not run since (see callKey)
+  approved: Set<string>;
+  // Role and scopes of the agent that delegated step 0, which runs for it
+  delegated?: Pick<ToolCallContext, 'role' | 'scopes'>;
+}
+
+// Progress through a function-calling loop; `pendingCalls` are the model's calls not yet run
+interface ToolLoopState {
+  messages: ChatMessage[];
+  round: number;
+  stepNumber: number;
+  pendingCalls: ToolCall[];
+  approved: Set<string>;
+}
+
+// A running execution, the controller that cancels it and who sent the message it
+// runs for (and, for a delegated call, who asked the delegating agent)
+interface ActiveTask {
+  events: TaskEventPublisher;
+  controller: AbortController;
+  actor: string;
+  onBehalfOf?: string;
+}
+
+// Actor of calls made without OAuth; anyone can be anonymous, so it proves nothing
+export const ANONYMOUS = 'anonymous';
+
+// A task paused in input-required until the user supplies a step's missing
+// parameters or approves (or rejects) a call the approval policy flagged
+type PendingInput = {
+  toolName: string;
+  params: Record<string, any>;
+  resume: (events: TaskEventPublisher, toolContext: ToolCallContext) => Promise<void>;
+} & (
+  | { kind: 'parameters'; missing: MissingField[] }
+  | { kind: 'approval'; rule: ApprovalRule; requestedBy: string; requesters: string[]; approve: () => void }
+);
 
 export class AgentExecutor implements IAgentExecutor {
-  private openai: OpenAI;
+  private llm: LLMProvider;
+  private memory: ConversationMemory;
+  private approvals: ApprovalPolicy;
+  private audit: ApprovalAuditLog;
+  private delegation: SellerDelegation | undefined;
   private mcpServer: MCPServer;
   private tools: MCPTool[];
   private role: 'buyer' | 'seller';
-  private activeTasks: Set<string> = new Set();
+  private options: AgentExecutorOptions;
+  private activeTasks: Map<string, ActiveTask> = new Map();
+  private pendingInputs: Map<string, PendingInput> = new Map();
 
   constructor(
     role: 'buyer' | 'seller',
     mcpServer: MCPServer,
     tools: MCPTool[],
-    openaiApiKey: string
+    llm: LLMProvider,
+    memory: ConversationMemory,
+    approvals: ApprovalPolicy,
+    audit: ApprovalAuditLog,
+    delegation: SellerDelegation | undefined,
+    options: AgentExecutorOptions
   ) {
     this.role = role;
     this.mcpServer = mcpServer;
     this.tools = tools;
-    this.openai = new OpenAI({ apiKey: openaiApiKey });
+    this.llm = llm;
+    this.memory = memory;
+    this.approvals = approvals;
+    this.audit = audit;
+    this.delegation = delegation;
+    this.options = options;
   }
 
   /**
@@ -35,96 +132,546 @@ export class AgentExecutor implements IAgentExecutor {
   async execute(requestContext: RequestContext, eventBus: ExecutionEventBus): Promise<void> {
     const { userMessage, taskId, contextId } = requestContext;
     const userText = this.extractTextFromMessage(userMessage);
+    const controller = new AbortController();
+    const toolContext = { ...this.createToolContext(requestContext), signal: controller.signal };
+    const events = new TaskEventPublisher(eventBus, taskId, contextId, requestContext.task);
+    const actor = this.describeActor(requestContext);
 
     console.log(`🤖 Agent Executor (${this.role}): Processing request`);
     console.log(`📝 User message: ${userText}`);
 
+    // Only the peer agent may say which task and caller a message runs for, and
+    // only the client that started a context may continue it (or someone else
+    // may decide an approval it is waiting for)
+    const owner = this.memory.ownerOf(contextId);
+    const deciding = requestContext.task && this.pendingInputs.get(taskId)?.kind === 'approval';
+    const refusal = this.checkDelegation(userMessage, actor)
+      ?? (owner !== undefined && owner !== actor && !deciding ? `context ${contextId} belongs to another client` : undefined);
+    if (refusal) {
+      console.warn(`🚫 Refused a message from ${actor}: ${refusal}`);
+      if (!requestContext.task) {
+        events.submitted(userMessage);
+      }
+      events.failed(`Refused: ${refusal}`);
+      eventBus.finished();
+      return;
+    }
+    const delegatedFor = readDelegatedFor(userMessage);
+
     // Mark task as active
-    this.activeTasks.add(taskId);
+    this.activeTasks.set(taskId, { events, controller, actor, ...(delegatedFor && { onBehalfOf: delegatedFor.actor }) });
 
     try {
-      // Step 1: Select appropriate tools using AI
-      const planResponse = await this.selectToolWithAI(userText);
-
-      // Check if multi-step or single-step
-      const steps = planResponse.steps || [{ toolName: planResponse.toolName, toolParams: planResponse.toolParams }];
-
-      console.log(`📊 Execution plan: ${steps.length} step(s)`);
-
-      const results: any[] = [];
-      let previousResult: any = null;
-
-      // Execute each step sequentially
-      for (let i = 0; i < steps.length; i++) {
-        const step = steps[i];
-        console.log(`\n🔧 Step ${i + 1}/${steps.length}: ${step.toolName}`);
-
-        // Replace placeholders with actual results from previous steps
-        let params = { ...step.toolParams };
-        if (previousResult && previousResult.id) {
-          // Replace "__PREVIOUS_RESULT_ID__" placeholder with actual ID
-          for (const key in params) {
-            if (params[key] === '__PREVIOUS_RESULT_ID__') {
-              params[key] = previousResult.id;
-              console.log(`🔗 Linked ${key} to previous result ID: ${previousResult.id}`);
-            }
-          }
+      // Follow-up messages continue an existing task; new requests start as submitted
+      // Calls delegated by another agent keep a link to the task that asked
+      const delegatedBy = readDelegatedBy(userMessage);
+      if (!requestContext.task) {
+        events.submitted(userMessage, delegatedBy && { delegatedBy });
+      }
+      events.working();
+
+      // metadata.resetContext forgets earlier turns and entities before this message
+      const resetOnly = !userText.trim() && userMessage.metadata?.resetContext === true;
+      if (userMessage.metadata?.resetContext === true) {
+        this.memory.reset(contextId);
+        console.log(`🧹 Conversation context ${contextId} reset`);
+      }
+      if (!resetOnly) {
+        this.memory.claim(contextId, actor);
+      }
+
+      const conversation = this.memory.get(contextId);
+      this.memory.recordTurn(contextId, 'user', userText);
+
+      const pending = requestContext.task && this.pendingInputs.get(taskId);
+      const delegatedCall = readDelegatedCall(userMessage);
+      if (pending) {
+        this.pendingInputs.delete(taskId);
+        if (pending.kind === 'approval') {
+          await this.resumeWithDecision(pending, userMessage, events, toolContext, actor);
+        } else {
+          await this.resumeWithAnswers(pending, userMessage, events, toolContext);
         }
+      } else if (resetOnly) {
+        events.completed('Conversation context reset.');
+      } else if (delegatedCall) {
+        // Another agent asked for an exact call: skip planning, but keep this
+        // agent's own checks (role policy, state machine, approvals)
+        console.log(`🤝 Running ${delegatedCall.name} for ${delegatedBy ? `${delegatedBy.agent} task ${delegatedBy.taskId}` : 'an A2A client'}`);
+        await this.runPlanSteps(this.startDelegatedCall(delegatedCall, userMessage, toolContext), events, toolContext);
+      } else if (this.options.mode === 'loop' && this.llm.chat) {
+        await this.executeWithToolLoop(this.startToolLoop(userText, conversation), events, toolContext);
+      } else {
+        await this.executePlan(userText, conversation, events, toolContext);
+      }
+      eventBus.finished();
+
+    } catch (error) {
+      if (controller.signal.aborted) {
+        this.publishCanceled(events);
+        eventBus.finished();
+        return;
+      }
 
-        console.log(`📋 Parameters:`, JSON.stringify(params, null, 2));
+      console.error(`❌ Execution failed:`, error);
 
-        // Execute the tool
-        const result = await this.executeTool(step.toolName, params);
-        results.push({ tool: step.toolName, result });
-        previousResult = result;
+      // Fail the task, with structured details for tool rule violations
+      events.failed(
+        `Error: ${error instanceof Error ? error.message : String(error)}`,
+        error instanceof ToolError ? { error: error.toJSON() } : null
+      );
+      eventBus.finished();
+    } finally {
+      // Remove from active tasks
+      this.activeTasks.delete(taskId);
+
+      // A reset-only message leaves the context empty
+      if (events.finalMessage && this.memory.has(contextId)) {
+        this.memory.recordTurn(contextId, 'agent', events.finalMessage);
+      }
+    }
+  }
 
-        console.log(`✅ Step ${i + 1} completed`);
+  /**
+   * Run a one-shot plan from the LLM provider, step by step
+   */
+  private async executePlan(
+    userText: string,
+    conversation: ConversationContext,
+    events: TaskEventPublisher,
+    toolContext: ToolCallContext
+  ): Promise<void> {
+    // Step 1: Select appropriate tools using AI
+    const { steps } = await this.selectToolWithAI(userText, conversation, toolContext.signal);
+
+    console.log(`📊 Execution plan: ${steps.length} step(s)`);
+
+    // Refuse an over-long plan before any of it runs
+    if (steps.length > this.options.maxSteps) {
+      events.failed(`The plan has ${steps.length} steps, more than the ${this.options.maxSteps} tool calls allowed per request.`);
+      return;
+    }
+
+    await this.runPlanSteps({ steps, completed: [], next: 0, approved: new Set() }, events, toolContext);
+  }
+
+  /**
+   * Why a message's delegation metadata is refused, if it is: it must come
+   * from the authenticated peer agent and name a buyer or seller task, so a
+   * client cannot borrow another role or caller
+   */
+  private checkDelegation(message: Message, actor: string): string | undefined {
+    if (!hasDelegationMetadata(message)) return undefined;
+    const peer = this.delegation?.peer;
+    if (!peer || actor === ANONYMOUS || actor !== peer) {
+      return `only the buyer agent's OAuth client may send delegation metadata, not ${actor}`;
+    }
+    if (!readDelegatedBy(message)) {
+      return 'metadata.delegatedBy must name a buyer or seller task';
+    }
+    return undefined;
+  }
 
-        // Publish intermediate result for multi-step
-        if (steps.length > 1) {
-          const stepMessage = this.createAgentMessage(
-            `Step ${i + 1}/${steps.length}: Successfully executed ${step.toolName}`,
-            result,
-            contextId,
-            taskId
+  /**
+   * Plan for an exact call another agent asked for. On the seller, a call a
+   * delegation rule covers runs with the buyer's role, within the scopes of
+   * the buyer's caller, and is followed by the rule's answer, run as the seller.
+   * Any other call runs as this agent.
+   */
+  private startDelegatedCall(call: DelegatedCall, message: Message, toolContext: ToolCallContext): PlanState {
+    const request: PlanStep = { toolName: call.name, toolParams: call.arguments };
+    const delegatedBy = readDelegatedBy(message);
+    const rule = this.role === 'seller' && delegatedBy ? this.delegation?.policy.match(call.name, call.arguments) : undefined;
+    if (!delegatedBy || !rule) {
+      return { steps: [request], completed: [], next: 0, approved: new Set() };
+    }
+
+    // Forwarded scopes only narrow what the delegating agent's own token grants
+    const forwarded = readDelegatedFor(message)?.scopes;
+    const scopes = forwarded && toolContext.scopes
+      ? forwarded.filter(scope => grantsScope(toolContext.scopes!, scope))
+      : forwarded ?? toolContext.scopes;
+
+    const answer = structuredClone(rule.answer ?? []);
+    console.log(`🤝 ${call.name} matches delegation rule ${rule.id}; answering with ${answer.map(step => step.toolName).join(', ') || 'nothing'}`);
+    return {
+      steps: [request, ...answer],
+      completed: [],
+      next: 0,
+      approved: new Set(),
+      delegated: { role: delegatedBy.agent, ...(scopes && { scopes }) }
+    };
+  }
+
+  /**
+   * Execute plan steps from state.next onwards, pausing for input when a step
+   * is missing required parameters
+   */
+  private async runPlanSteps(
+    state: PlanState,
+    events: TaskEventPublisher,
+    toolContext: ToolCallContext
+  ): Promise<void> {
+    const { steps, completed } = state;
+
+    // Execute each step sequentially, stopping between steps once canceled
+    for (; state.next < steps.length; state.next++) {
+      toolContext.signal?.throwIfAborted();
+      const i = state.next;
+      const step = steps[i];
+      console.log(`\n🔧 Step ${i + 1}/${steps.length}: ${step.toolName}`);
+
+      // Resolve {{steps...}} references (and the legacy __PREVIOUS_RESULT_ID__) against earlier results
+      const params = resolveReferences(step.toolParams, completed);
+
+      // Ask for anything the plan could not fill; the reply resumes at this step
+      const resume = (resumed: TaskEventPublisher, context: ToolCallContext) => this.runPlanSteps(state, resumed, context);
+      const missing = this.findMissing(step.toolName, params);
+      if (missing.length > 0) {
+        step.toolParams = params;
+        this.requestInput(events, { kind: 'parameters', toolName: step.toolName, params, missing, resume });
+        return;
+      }
+
+      // High-impact calls wait for a person; approval resumes at this step
+      if (await this.holdForApproval(state.approved, step.toolName, params, events, resume)) {
+        return;
+      }
+
+      console.log(`📋 Parameters:`, JSON.stringify(params, null, 2));
+
+      // Execute the tool (or have the seller agent run it); a delegated request runs for its agent
+      const context = i === 0 && state.delegated ? { ...toolContext, ...state.delegated } : toolContext;
+      const { result, delegatedTo } = await this.withTimeout(
+        `Tool ${step.toolName}`,
+        toolContext.signal,
+        signal => this.runTool(step.toolName, params, events, { ...context, signal })
+      );
+      completed.push({ id: step.id, toolName: step.toolName, params, result });
+      this.memory.recordToolResult(events.contextId, step.toolName, params, result);
+
+      console.log(`✅ Step ${i + 1} completed`);
+
+      // Publish the result as an artifact, with progress for multi-step plans
+      events.artifact(step.toolName, i + 1, result, delegatedTo);
+      if (steps.length > 1) {
+        events.working(`Step ${i + 1}/${steps.length}: Successfully executed ${step.toolName}${this.describeDelegation(delegatedTo)}`);
+      }
+    }
+
+    console.log(`\n✅ All ${steps.length} step(s) completed successfully`);
+
+    // Step 3: Complete the task with a summary (results are in the artifacts)
+    const summary = steps.length > 1
+      ? `Successfully completed ${steps.length} steps:\n${steps.map((s: any, i: number) => `${i + 1}. ${s.toolName}`).join('\n')}`
+      : `Successfully executed ${steps[0].toolName}`;
+
+    events.completed(summary);
+  }
+
+  /**
+   * Initial state for a function-calling loop over the user's request
+   */
+  private startToolLoop(userText: string, conversation: ConversationContext): ToolLoopState {
+    const history = describeConversation(conversation);
+
+    return {
+      messages: [
+        { role: 'system', content: history ? `${this.buildToolLoopPrompt()}\n\n${history}` : this.buildToolLoopPrompt() },
+        { role: 'user', content: userText }
+      ],
+      round: 0,
+      stepNumber: 0,
+      pendingCalls: [],
+      approved: new Set()
+    };
+  }
+
+  /**
+   * Run a native function-calling loop: every tool result (or error) is fed
+   * back to the model until it answers in natural language or the tool calls
+   * it executed use up the step budget. A call missing required parameters
+   * pauses the loop for input.
+   */
+  private async executeWithToolLoop(
+    state: ToolLoopState,
+    events: TaskEventPublisher,
+    toolContext: ToolCallContext
+  ): Promise<void> {
+    const { messages } = state;
+
+    while (true) {
+      // Run the calls from the last round (or the one a reply just completed)
+      while (state.pendingCalls.length > 0) {
+        toolContext.signal?.throwIfAborted();
+        if (state.stepNumber >= this.options.maxSteps) {
+          events.failed(`Stopped after ${this.options.maxSteps} tool calls without a final answer.`);
+          return;
+        }
+        const call = state.pendingCalls[0];
+
+        const resume = (resumed: TaskEventPublisher, context: ToolCallContext) => this.executeWithToolLoop(state, resumed, context);
+        const missing = this.findMissing(call.name, call.arguments);
+        if (missing.length > 0) {
+          this.requestInput(events, { kind: 'parameters', toolName: call.name, params: call.arguments, missing, resume });
+          return;
+        }
+        if (await this.holdForApproval(state.approved, call.name, call.arguments, events, resume)) {
+          return;
+        }
+
+        state.pendingCalls.shift();
+        const stepNumber = ++state.stepNumber;
+        console.log(`\n🔧 Step ${stepNumber}: ${call.name}`);
+        console.log(`📋 Parameters:`, JSON.stringify(call.arguments, null, 2));
+
+        try {
+          const { result, delegatedTo } = await this.withTimeout(
+            `Tool ${call.name}`,
+            toolContext.signal,
+            signal => this.runTool(call.name, call.arguments, events, { ...toolContext, signal })
           );
-          eventBus.publish(stepMessage);
+          messages.push({ role: 'tool', toolCallId: call.id, content: JSON.stringify(result) });
+          this.memory.recordToolResult(events.contextId, call.name, call.arguments, result);
+
+          console.log(`✅ Step ${stepNumber} completed`);
+          events.artifact(call.name, stepNumber, result, delegatedTo);
+          events.working(`Step ${stepNumber}: Successfully executed ${call.name}${this.describeDelegation(delegatedTo)}`);
+        } catch (error) {
+          if (toolContext.signal?.aborted) {
+            throw error;
+          }
+
+          // Feed the failure back so the model can correct its arguments or explain
+          const failure = {
+            error: error instanceof ToolError
+              ? error.toJSON()
+              : { message: error instanceof Error ? error.message : String(error) }
+          };
+          messages.push({ role: 'tool', toolCallId: call.id, content: JSON.stringify(failure) });
+
+          console.warn(`⚠️  Step ${stepNumber} failed: ${failure.error.message}`);
+          events.working(`Step ${stepNumber}: ${call.name} failed: ${failure.error.message}`, failure);
         }
       }
 
-      console.log(`\n✅ All ${steps.length} step(s) completed successfully`);
+      const round = ++state.round;
+      console.log(`🧠 Tool loop round ${round} (${state.stepNumber}/${this.options.maxSteps} tool calls) with ${this.llm.name} provider`);
+
+      const response = await this.withTimeout(
+        `LLM round ${round}`,
+        toolContext.signal,
+        signal => this.llm.chat!({ messages, tools: this.tools, signal })
+      );
+
+      if (response.toolCalls.length === 0) {
+        events.completed(response.content || 'Done.');
+        return;
+      }
+
+      messages.push({ role: 'assistant', content: response.content, toolCalls: response.toolCalls });
+      state.pendingCalls = [...response.toolCalls];
+    }
+  }
 
-      // Step 3: Publish final summary
-      const summary = steps.length > 1
-        ? `Successfully completed ${steps.length} steps:\n${steps.map((s: any, i: number) => `${i + 1}. ${s.toolName}`).join('\n')}`
-        : `Successfully executed ${steps[0].toolName}`;
+  /**
+   * Required parameters of a tool that are still empty
+   */
+  private findMissing(toolName: string, params: Record<string, any>): MissingField[] {
+    const tool = this.tools.find(t => t.name === toolName);
+    return tool ? findMissingFields(tool, params) : [];
+  }
 
-      const finalMessage = this.createAgentMessage(
-        summary,
-        steps.length === 1 ? results[0].result : results,
-        contextId,
-        taskId
+  /**
+   * Pause the task in input-required: a question about missing parameters,
+   * or the exact pending call for a person to approve, after an optional notice
+   */
+  private requestInput(events: TaskEventPublisher, pending: PendingInput, notice?: string) {
+    this.pendingInputs.set(events.taskId, pending);
+
+    if (pending.kind === 'approval') {
+      const { rule, toolName, params } = pending;
+      console.log(`✋ ${toolName} matches approval rule ${rule.id}; waiting for a decision`);
+      events.inputRequired(
+        (notice ? `${notice}\n` : '') +
+        `Approval required${rule.reason ? `: ${rule.reason}` : ''} (rule ${rule.id}).\n` +
+        `Pending call: ${toolName} ${JSON.stringify(params)}\n` +
+        'Reply "approve" or "reject", optionally followed by a comment.',
+        { approvalRequired: { rule: rule.id, reason: rule.reason, tool: toolName, params, requestedBy: pending.requestedBy } }
       );
+      return;
+    }
 
-      eventBus.publish(finalMessage);
-      eventBus.finished();
+    console.log(`❓ ${pending.toolName} needs ${pending.missing.map(m => m.field).join(', ')}; asking the user`);
+    events.inputRequired(
+      buildQuestion(pending.toolName, pending.missing),
+      { inputRequired: { tool: pending.toolName, missing: pending.missing } }
+    );
+  }
 
-    } catch (error) {
-      console.error(`❌ Execution failed:`, error);
+  /**
+   * Pause for a person when an approval rule matches a call that has no unused
+   * approval; returns whether the task was paused
+   * The sender of the message being run is recorded as the requester, together
+   * with the caller it delegated the call for.
+   */
+  private async holdForApproval(
+    approved: Set<string>,
+    toolName: string,
+    params: Record<string, any>,
+    events: TaskEventPublisher,
+    resume: PendingInput['resume']
+  ): Promise<boolean> {
+    const rule = this.approvals.match(toolName, params);
+    // An approval covers one run of the call it was given for, so it is used up here
+    if (!rule || approved.delete(this.callKey(toolName, params))) {
+      return false;
+    }
 
-      // Publish error message
-      const errorMessage = this.createAgentMessage(
-        `Error: ${error instanceof Error ? error.message : String(error)}`,
-        null,
-        contextId,
-        taskId
+    const task = this.activeTasks.get(events.taskId);
+    const requesters = [task?.actor ?? ANONYMOUS, ...(task?.onBehalfOf !== undefined ? [task.onBehalfOf] : [])];
+    const requestedBy = task?.onBehalfOf !== undefined ? `${task.onBehalfOf} via ${task.actor}` : requesters[0];
+    await this.audit.record({
+      event: 'requested',
+      role: this.role,
+      taskId: events.taskId,
+      contextId: events.contextId,
+      rule: rule.id,
+      tool: toolName,
+      params,
+      actor: requestedBy
+    });
+    const key = this.callKey(toolName, params);
+    this.requestInput(events, { kind: 'approval', toolName, params, rule, requestedBy, requesters, approve: () => approved.add(key), resume });
+    return true;
+  }
+
+  /**
+   * Apply an approve/reject reply: approval runs the exact pending call once,
+   * rejection ends the task as rejected, and anything else asks again.
+   * A requester (or the caller it delegated for) cannot approve its own call,
+   * though it may still reject it. Without an identity on both sides, no one
+   * can approve it. Decisions are audit-logged before they take effect.
+   */
+  private async resumeWithDecision(
+    pending: Extract<PendingInput, { kind: 'approval' }>,
+    reply: Message,
+    events: TaskEventPublisher,
+    toolContext: ToolCallContext,
+    actor: string
+  ): Promise<void> {
+    const decision = readDecision(reply);
+    if (!decision) {
+      this.requestInput(events, pending);
+      return;
+    }
+
+    const { rule, toolName, params, requesters } = pending;
+    if (decision.approved && [actor, ...requesters].includes(ANONYMOUS)) {
+      console.warn(`🚫 Refused an approval of ${toolName} without an authenticated requester and approver`);
+      this.requestInput(events, pending, 'Approving needs an authenticated requester and approver, so an anonymous call can only be rejected.');
+      return;
+    }
+    if (decision.approved && requesters.includes(actor)) {
+      console.warn(`🚫 ${actor} tried to approve its own ${toolName} call`);
+      this.requestInput(events, pending, `${actor} requested this call, so someone else has to approve it.`);
+      return;
+    }
+
+    await this.audit.record({
+      event: decision.approved ? 'approved' : 'rejected',
+      role: this.role,
+      taskId: events.taskId,
+      contextId: events.contextId,
+      rule: rule.id,
+      tool: toolName,
+      params,
+      actor,
+      ...(decision.comment && { comment: decision.comment })
+    });
+
+    if (!decision.approved) {
+      events.rejected(
+        `${toolName} was rejected by ${actor}${decision.comment ? `: ${decision.comment}` : ''}. No further steps were run.`,
+        { rejection: { rule: rule.id, tool: toolName, params, actor, comment: decision.comment } }
       );
+      return;
+    }
 
-      eventBus.publish(errorMessage);
-      eventBus.finished();
+    console.log(`✅ ${toolName} approved by ${actor}`);
+    pending.approve();
+    await pending.resume(events, toolContext);
+  }
+
+  /**
+   * Identity of an exact call, so an approval covers only what was shown
+   */
+  private callKey(toolName: string, params: Record<string, any>): string {
+    return JSON.stringify([toolName, params]);
+  }
+
+  /**
+   * Fill the paused step's parameters from the user's reply and continue
+   * Anything still missing is asked for again when the step is re-checked
+   */
+  private async resumeWithAnswers(
+    pending: Extract<PendingInput, { kind: 'parameters' }>,
+    reply: Message,
+    events: TaskEventPublisher,
+    toolContext: ToolCallContext
+  ): Promise<void> {
+    const answers = readAnswers(pending.missing, reply);
+    Object.assign(pending.params, answers);
+
+    console.log(`▶️  Resuming ${pending.toolName} with ${Object.keys(answers).join(', ') || 'no new values'}`);
+    await pending.resume(events, toolContext);
+  }
+
+  /**
+   * System prompt for the function-calling loop
+   */
+  private buildToolLoopPrompt(): string {
+    return `You are the OpenDirect ${this.role} agent.
+Use the provided tools to fulfil the user's request. You will see each tool's result
+(or error) before deciding what to do next, so look things up before acting on them.
+
+RULES:
+1. Use entity names EXACTLY as provided by the user
+2. Use IDs returned by earlier tool results; never invent IDs
+3. If a tool returns an error, correct the arguments and retry, or explain the problem
+4. Use enum values exactly as listed, uppercase ISO-4217 currency codes and ISO 8601 date-times
+5. When the request is complete, reply with a short natural-language summary of what was done`;
+  }
+
+  /**
+   * Run one step with the per-step timeout, aborting it when the time is up
+   * or the task is canceled
+   */
+  private async withTimeout<T>(
+    label: string,
+    cancelSignal: AbortSignal | undefined,
+    run: (signal: AbortSignal) => Promise<T>
+  ): Promise<T> {
+    cancelSignal?.throwIfAborted();
+
+    const controller = new AbortController();
+    const onCancel = () => controller.abort(cancelSignal!.reason);
+    cancelSignal?.addEventListener('abort', onCancel, { once: true });
+    let timer: NodeJS.Timeout | undefined;
+
+    const interrupted = new Promise<never>((_, reject) => {
+      timer = setTimeout(() => {
+        reject(new Error(`${label} timed out after ${this.options.stepTimeoutMs}ms`));
+        controller.abort();
+      }, this.options.stepTimeoutMs);
+      controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+    });
+
+    try {
+      return await Promise.race([run(controller.signal), interrupted]);
     } finally {
-      // Remove from active tasks
-      this.activeTasks.delete(taskId);
+      clearTimeout(timer);
+      cancelSignal?.removeEventListener('abort', onCancel);
     }
   }
 
@@ -133,101 +680,126 @@ export class AgentExecutor implements IAgentExecutor {
    */
   async cancelTask(taskId: string, eventBus: ExecutionEventBus): Promise<void> {
     console.log(`🚫 Canceling task: ${taskId}`);
+    this.releaseTask(taskId);
 
-    if (!this.activeTasks.has(taskId)) {
+    const active = this.activeTasks.get(taskId);
+    if (!active) {
       console.warn(`Task ${taskId} not found in active tasks`);
       return;
     }
 
-    // Remove from active tasks
-    this.activeTasks.delete(taskId);
+    // Abort the pending LLM request or tool call; execute() stops before the
+    // next step and publishes the canceled state with what already committed
+    active.controller.abort();
+  }
 
-    // Publish cancellation event
-    const cancelMessage = this.createAgentMessage(
-      'Task has been canceled',
-      null,
-      '', // contextId will be set by SDK
-      taskId
+  /**
+   * End a canceled task, listing the steps whose results were already committed
+   */
+  private publishCanceled(events: TaskEventPublisher) {
+    const committedSteps = events.committedSteps;
+    console.log(`🚫 Task ${events.taskId} canceled after ${committedSteps.length} committed step(s)`);
+
+    events.canceled(
+      committedSteps.length > 0
+        ? `Task canceled. Already committed: ${committedSteps.map(s => `step ${s.step} ${s.tool}`).join(', ')}`
+        : 'Task canceled before any step committed.',
+      { committedSteps }
     );
-
-    eventBus.publish(cancelMessage);
-    eventBus.finished();
   }
 
   /**
-   * Select tool using OpenAI
+   * Forget the input a task was paused for, once the task is canceled
+   * Nothing runs for a paused task, so the SDK cancels it without calling cancelTask
    */
-  private async selectToolWithAI(userMessage: string): Promise<{ toolName: string; toolParams: any; steps?: Array<{ toolName: string; toolParams: any }> }> {
-    const toolsWithSchemas = this.tools.map(t => ({
-      name: t.name,
-      description: t.description,
-      parameters: t.inputSchema.properties || {}
-    }));
-
-    const systemPrompt = `You are an AI assistant for the OpenDirect ${this.role} agent.
-Your job is to analyze user requests and determine which tools to execute.
-
-Available tools with their exact parameter names:
-${toolsWithSchemas.map(t => `
-- ${t.name}: ${t.description}
-  Parameters: ${JSON.stringify(t.parameters, null, 2)}
-`).join('\n')}
-
-IMPORTANT RULES:
-1. Use the EXACT parameter names from the tool schemas above
-2. Use entity names EXACTLY as provided by the user (do NOT add suffixes like "Account" or "Order")
-3. For multi-step workflows that need results from previous steps, use the special placeholder: "__PREVIOUS_RESULT_ID__"
-4. You must respond with a valid JSON object
-
-Example for "create account for Nike and create order for Nike with budget 500":
-{
-  "steps": [
-    {
-      "toolName": "create_account",
-      "toolParams": { "name": "Nike", "type": "advertiser" }
-    },
-    {
-      "toolName": "create_order",
-      "toolParams": { "accountId": "__PREVIOUS_RESULT_ID__", "name": "Nike", "budget": 500 }
+  releaseTask(taskId: string) {
+    if (this.pendingInputs.delete(taskId)) {
+      console.log(`🧹 Dropped pending input of task ${taskId}`);
     }
-  ]
-}
+  }
 
-If the request requires only ONE tool, respond with this JSON format:
-{
-  "toolName": "the_tool_to_use",
-  "toolParams": { "paramName": "value" }
-}
+  /**
+   * Tool call context for a request: the agent role plus, when the caller
+   * authenticated with OAuth, the scopes granted to its access token
+   */
+  private createToolContext(requestContext: RequestContext): ToolCallContext {
+    const user = requestContext.context?.user;
+    return {
+      role: this.role,
+      ...(user instanceof OAuthUser && { scopes: user.auth.scopes })
+    };
+  }
 
-Always return valid JSON.`;
+  /**
+   * Who sent the request's message: the OAuth client, or "anonymous"
+   */
+  private describeActor(requestContext: RequestContext): string {
+    const user = requestContext.context?.user;
+    return user?.isAuthenticated && user.userName ? user.userName : ANONYMOUS;
+  }
 
-    const response = await this.openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userMessage }
-      ],
-      response_format: { type: 'json_object' },
-      temperature: 0.3
-    });
+  /**
+   * Select tools using the configured LLM provider
+   */
+  private async selectToolWithAI(
+    userMessage: string,
+    conversation: ConversationContext,
+    signal?: AbortSignal
+  ): Promise<ExecutionPlan> {
+    console.log(`🧠 Planning with ${this.llm.name} provider`);
+    return this.llm.plan({ userMessage, tools: this.tools, role: this.role, conversation, signal });
+  }
 
-    const content = response.choices[0]?.message?.content;
-    if (!content) {
-      throw new Error('No response from AI');
+  /**
+   * Run one tool call: through MCP here, or on the seller agent when a
+   * delegation rule matches, returning the seller task for linking
+   * Every call must pass this agent's role policy and the caller's scopes first,
+   * delegated or not; the seller then runs a delegated call for that caller.
+   */
+  private async runTool(
+    toolName: string,
+    params: Record<string, any>,
+    events: TaskEventPublisher,
+    toolContext: ToolCallContext
+  ): Promise<{ result: any; delegatedTo?: SubtaskReference }> {
+    this.mcpServer.assertCallAllowed(toolName, toolContext);
+
+    const seller = this.delegation?.seller;
+    const rule = seller && this.delegation!.policy.match(toolName, params);
+    if (!rule) {
+      return { result: await this.executeTool(toolName, params, toolContext) };
     }
 
-    return JSON.parse(content);
+    console.log(`🤝 Delegating ${toolName} to the seller agent (rule ${rule.id})`);
+    const { result, subtask } = await seller.delegate(
+      { name: toolName, arguments: params },
+      { agent: this.role, taskId: events.taskId, contextId: events.contextId },
+      {
+        actor: this.activeTasks.get(events.taskId)?.actor ?? ANONYMOUS,
+        ...(toolContext.scopes && { scopes: toolContext.scopes })
+      },
+      toolContext.signal
+    );
+    return { result, delegatedTo: subtask };
+  }
+
+  private describeDelegation(delegatedTo?: SubtaskReference): string {
+    return delegatedTo ? ` (${delegatedTo.agent} task ${delegatedTo.taskId})` : '';
   }
 
   /**
    * Execute a tool using MCP protocol
    */
-  private async executeTool(toolName: string, params: any): Promise<any> {
+  private async executeTool(toolName: string, params: any, toolContext: ToolCallContext): Promise<any> {
     console.log(`🔌 Calling MCP tool via protocol: ${toolName}`);
 
     try {
       // Execute through MCP server using protocol-compliant call
-      const response = await this.mcpServer.callTool(toolName, params);
+      const response = await this.mcpServer.callTool(toolName, params, toolContext);
+
+      if (response.isError) {
+        throw this.toolErrorFromResponse(toolName, response);
+      }
 
       // Extract result from MCP response
       if (response.content && response.content.length > 0) {
@@ -244,43 +816,35 @@ Always return valid JSON.`;
 
       return response;
     } catch (error) {
+      if (toolContext.signal?.aborted) {
+        throw error;
+      }
       console.error(`❌ MCP tool execution failed:`, error);
+      if (error instanceof ToolError) {
+        throw error;
+      }
       throw new Error(`Tool execution failed: ${error instanceof Error ? error.message : String(error)}`);
     }
   }
 
   /**
-   * Extract text from message (SDK Message type)
+   * Rebuild a ToolError from an MCP error result so it can be explained to the user
    */
-  private extractTextFromMessage(message: Message): string {
-    const textParts = message.parts.filter((p: any) => p.kind === 'text');
-    return textParts.map((p: any) => p.text).join(' ');
+  private toolErrorFromResponse(toolName: string, response: any): ToolError {
+    const text = response.content?.[0]?.text;
+    try {
+      const { error } = JSON.parse(text);
+      return new ToolError(error.code, `${toolName} was rejected: ${error.message}`, error.details);
+    } catch {
+      return new ToolError('TOOL_ERROR', `${toolName} was rejected: ${text || 'unknown error'}`);
+    }
   }
 
   /**
-   * Create agent message (SDK Message type)
+   * Extract text from message (SDK Message type)
    */
-  private createAgentMessage(
-    text: string,
-    data: any,
-    contextId: string,
-    taskId: string
-  ): Message {
-    const parts: any[] = [
-      { kind: 'text', text }
-    ];
-
-    if (data) {
-      parts.push({ kind: 'data', data });
-    }
-
-    return {
-      kind: 'message',
-      messageId: `msg-${Date.now()}-${Math.random().toString(36).substring(7)}`,
-      role: 'agent',
-      parts,
-      contextId,
-      taskId
-    } as Message;
+  private extractTextFromMessage(message: Message): string {
+    const textParts = message.parts.filter((p: any) => p.kind === 'text');
+    return textParts.map((p: any) => p.text).join(' ');
   }
 }
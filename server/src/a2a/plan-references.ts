@@ -0,0 +1,107 @@
+/**
+ * Plan References
+ * Resolves cross-step references such as {{steps.create_order.result.id}}
+ * or {{steps[1].result.lines[0].id}} anywhere in a plan step's params
+ */
+import { ToolError } from '../mcp/errors.js';
+
+export interface CompletedStep {
+  id?: string;
+  toolName: string;
+  params: Record<string, any>;
+  result: any;
+}
+
+// Legacy placeholder for the ID returned by the step directly before
+export const PREVIOUS_RESULT_ID = '__PREVIOUS_RESULT_ID__';
+
+const REFERENCE_PATTERN = /\{\{\s*(steps(?:\.[\w-]+|\[\d+\])(?:\.[\w$-]+|\[\d+\])*)\s*\}\}/g;
+const SEGMENT_PATTERN = /\.([\w$-]+)|\[(\d+)\]/g;
+
+/**
+ * Error for a reference that does not point at an earlier step's value
+ */
+function danglingReference(reference: string, message: string): ToolError {
+  return new ToolError('DANGLING_REFERENCE', message, { reference });
+}
+
+/**
+ * Replace every reference in params with values from completed steps
+ * A string that is exactly one reference takes the referenced value's type;
+ * references inside longer strings are interpolated as text
+ */
+export function resolveReferences(value: any, completed: CompletedStep[]): any {
+  if (typeof value === 'string') {
+    return resolveString(value, completed);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => resolveReferences(item, completed));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, resolveReferences(item, completed)])
+    );
+  }
+  return value;
+}
+
+function resolveString(value: string, completed: CompletedStep[]): any {
+  if (value === PREVIOUS_RESULT_ID) {
+    const previous = completed[completed.length - 1];
+    if (previous?.result?.id === undefined) {
+      throw danglingReference(value, `${PREVIOUS_RESULT_ID} used, but no previous step returned an id`);
+    }
+    return previous.result.id;
+  }
+
+  const whole = value.match(new RegExp(`^${REFERENCE_PATTERN.source}$`));
+  if (whole) {
+    return lookup(whole[1], completed);
+  }
+
+  return value.replace(REFERENCE_PATTERN, (_, expression: string) => {
+    const resolved = lookup(expression, completed);
+    return typeof resolved === 'object' ? JSON.stringify(resolved) : String(resolved);
+  });
+}
+
+/**
+ * Evaluate "steps.<name|id>.<path>" or "steps[<index>].<path>"
+ * Named steps match a step's id first, then the most recent step with that tool name
+ */
+function lookup(expression: string, completed: CompletedStep[]): any {
+  const reference = `{{${expression}}}`;
+  const segments = Array.from(expression.slice('steps'.length).matchAll(SEGMENT_PATTERN))
+    .map(match => (match[2] !== undefined ? Number(match[2]) : match[1]));
+
+  const [selector, ...path] = segments;
+  const describe = (segments: Array<string | number>) =>
+    segments.map(s => (typeof s === 'number' ? `[${s}]` : `.${s}`)).join('');
+  const step = typeof selector === 'number'
+    ? completed[selector]
+    : completed.find(s => s.id === selector)
+      || [...completed].reverse().find(s => s.toolName === selector);
+
+  if (!step) {
+    const available = completed.map((s, i) => `steps[${i}] (${s.id || s.toolName})`).join(', ') || 'none';
+    throw danglingReference(
+      reference,
+      `Dangling reference ${reference}: no earlier step matches steps${describe([selector])}. Completed steps: ${available}`
+    );
+  }
+
+  let node: any = step;
+  for (let i = 0; i < path.length; i++) {
+    const segment = path[i];
+    // Own properties only, so names like "constructor" do not reach the prototype
+    if (node === null || node === undefined || !Object.hasOwn(node, segment)) {
+      throw danglingReference(
+        reference,
+        `Dangling reference ${reference}: ${describe([segment])} not found at steps${describe([selector])}${describe(path.slice(0, i))}`
+      );
+    }
+    node = node[segment];
+  }
+
+  return node;
+}
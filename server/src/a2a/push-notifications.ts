@@ -0,0 +1,252 @@
+/**
+ * A2A Push Notifications
+ * Delivers task updates to registered webhooks with retries, exponential
+ * backoff and an HMAC signature the receiver can verify. The same delivery
+ * is used for OpenDirect resource webhooks.
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import { lookup } from 'dns/promises';
+import { BlockList, isIP } from 'net';
+import { v4 as uuidv4 } from 'uuid';
+import type { PushNotificationSender, PushNotificationStore } from '@a2a-js/sdk/server';
+import type { PushNotificationConfig, Task } from '@a2a-js/sdk';
+import type { ServerConfig } from '../types/index.js';
+
+export const SIGNATURE_HEADER = 'X-A2A-Signature';
+export const TOKEN_HEADER = 'X-A2A-Notification-Token';
+export const DELIVERY_ID_HEADER = 'X-A2A-Delivery-Id';
+export const ATTEMPT_HEADER = 'X-A2A-Delivery-Attempt';
+
+// Receivers should reject signatures older than this to prevent replays
+export const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+const MAX_BACKOFF_MS = 30_000;
+
+// Loopback, private, link-local, carrier-grade NAT and unspecified addresses;
+// webhooks come from clients, so they only reach these on allowed hosts
+const INTERNAL_ADDRESSES = new BlockList();
+for (const [network, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]] as const) {
+  INTERNAL_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]] as const) {
+  INTERNAL_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+export interface PushDeliveryOptions {
+  signingSecret: string;
+  maxAttempts: number;
+  retryBaseMs: number;
+  timeoutMs: number;
+  // Host names webhooks may use even when they resolve to internal addresses
+  allowedHosts: string[];
+}
+
+/**
+ * Signature header value: "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>"
+ */
+export function signPushPayload(secret: string, body: string, timestamp = Math.floor(Date.now() / 1000)): string {
+  const digest = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Check a signature header against the raw request body
+ */
+export function verifyPushSignature(secret: string, body: string, header: string | undefined): boolean {
+  const parts = Object.fromEntries((header || '').split(',').map(part => part.trim().split('=', 2)));
+  const timestamp = Number(parts.t);
+  if (!parts.v1 || !Number.isFinite(timestamp)) return false;
+  if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) return false;
+
+  const expected = Buffer.from(signPushPayload(secret, body, timestamp).split('v1=')[1], 'hex');
+  const actual = Buffer.from(parts.v1, 'hex');
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+export interface WebhookDelivery {
+  url: string;
+  body: string;
+  // What is delivered, for logs (e.g. "Push notification for task 123")
+  label: string;
+  // Extra headers such as a notification token or Authorization
+  headers?: Record<string, string>;
+}
+
+/**
+ * Why a webhook URL may not be called, if it may not: it must be http(s), and
+ * unless its host is allowed, every address the host resolves to must be public
+ * Rejects when the host cannot be resolved.
+ */
+export async function checkWebhookUrl(url: string, allowedHosts: string[]): Promise<string | undefined> {
+  let parsed: URL;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'not a URL';
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return `unsupported protocol ${parsed.protocol}`;
+  }
+
+  const host = parsed.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+  if (allowedHosts.some(allowed => allowed.toLowerCase() === host)) {
+    return undefined;
+  }
+
+  const addresses = isIP(host) ? [{ address: host, family: isIP(host) }] : await lookup(host, { all: true });
+  const internal = addresses.find(({ address, family }) => INTERNAL_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+  return internal && `${host} resolves to internal address ${internal.address}`;
+}
+
+/**
+ * POST a JSON body to a webhook, retrying until it succeeds or attempts run out
+ * The URL is checked before every attempt (see checkWebhookUrl). Network
+ * errors, timeouts, 429 and 5xx are retried with exponential backoff; any other
+ * response ends delivery. Failures are logged, never thrown.
+ */
+export async function deliverWebhook(delivery: WebhookDelivery, options: PushDeliveryOptions): Promise<boolean> {
+  const { url, body, label } = delivery;
+  const deliveryId = uuidv4();
+
+  for (let attempt = 1; attempt <= options.maxAttempts; attempt++) {
+    try {
+      const refused = await checkWebhookUrl(url, options.allowedHosts);
+      if (refused) {
+        console.warn(`⚠️  Skipping ${label} to ${url}: ${refused}`);
+        return false;
+      }
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: buildHeaders(delivery, options, deliveryId, attempt),
+        body,
+        signal: AbortSignal.timeout(options.timeoutMs)
+      });
+
+      if (response.ok) {
+        console.log(`📬 ${label} delivered to ${url} (attempt ${attempt})`);
+        return true;
+      }
+      if (response.status !== 429 && response.status < 500) {
+        console.error(`❌ ${label} rejected by ${url}: HTTP ${response.status}`);
+        return false;
+      }
+      throw new Error(`HTTP ${response.status}`);
+    } catch (error) {
+      const reason = error instanceof Error ? error.message : String(error);
+      if (attempt === options.maxAttempts) {
+        console.error(`❌ ${label} to ${url} failed after ${attempt} attempts: ${reason}`);
+        return false;
+      }
+
+      const delay = Math.min(options.retryBaseMs * 2 ** (attempt - 1), MAX_BACKOFF_MS);
+      console.warn(`⚠️  ${label} to ${url} failed (${reason}); retrying in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+  return false;
+}
+
+function buildHeaders(delivery: WebhookDelivery, options: PushDeliveryOptions, deliveryId: string, attempt: number) {
+  const headers: Record<string, string> = {
+    'Content-Type': 'application/json',
+    [DELIVERY_ID_HEADER]: deliveryId,
+    [ATTEMPT_HEADER]: String(attempt),
+    ...delivery.headers
+  };
+
+  if (options.signingSecret) {
+    headers[SIGNATURE_HEADER] = signPushPayload(options.signingSecret, delivery.body);
+  }
+  return headers;
+}
+
+/**
+ * Runs deliveries one after another per key, so a receiver sees updates in order
+ */
+export class DeliveryQueue {
+  private chains: Map<string, Promise<void>> = new Map();
+
+  enqueue(key: string, work: () => Promise<unknown>) {
+    const previous = this.chains.get(key) ?? Promise.resolve();
+    const next = previous.then(work).then(() => undefined);
+
+    this.chains.set(key, next);
+    next.finally(() => {
+      if (this.chains.get(key) === next) {
+        this.chains.delete(key);
+      }
+    });
+  }
+}
+
+/**
+ * PushNotificationSender that POSTs the task to every webhook registered for it
+ * Deliveries for a task are sent in order; failed deliveries (network errors,
+ * timeouts, 429 and 5xx) are retried with exponential backoff
+ */
+export class WebhookPushNotificationSender implements PushNotificationSender {
+  private store: PushNotificationStore;
+  private options: PushDeliveryOptions;
+  private queue = new DeliveryQueue();
+
+  constructor(store: PushNotificationStore, options: PushDeliveryOptions) {
+    this.store = store;
+    this.options = options;
+  }
+
+  /**
+   * Queue delivery of the task's current state (SDK PushNotificationSender interface)
+   */
+  async send(task: Task): Promise<void> {
+    const configs = await this.store.load(task.id);
+    if (configs.length === 0) return;
+
+    const body = JSON.stringify(task);
+    this.queue.enqueue(task.id, () =>
+      Promise.all(configs.map(config => deliverWebhook({
+        url: config.url,
+        body,
+        label: `Push notification for task ${task.id}`,
+        headers: this.configHeaders(config)
+      }, this.options)))
+    );
+  }
+
+  private configHeaders(config: PushNotificationConfig): Record<string, string> {
+    const headers: Record<string, string> = {};
+
+    if (config.token) {
+      headers[TOKEN_HEADER] = config.token;
+    }
+
+    // Credentials the client asked us to present to its webhook (e.g. Bearer)
+    const scheme = config.authentication?.schemes?.[0];
+    if (scheme && config.authentication?.credentials) {
+      headers['Authorization'] = `${scheme} ${config.authentication.credentials}`;
+    }
+
+    return headers;
+  }
+}
+
+/**
+ * Webhook delivery policy from server configuration
+ */
+export function pushDeliveryOptions(config: ServerConfig): PushDeliveryOptions {
+  return {
+    signingSecret: config.pushSigningSecret,
+    maxAttempts: config.pushMaxAttempts,
+    retryBaseMs: config.pushRetryBaseMs,
+    timeoutMs: config.pushTimeoutMs,
+    allowedHosts: config.pushAllowedHosts
+  };
+}
+
+/**
+ * Create the push notification sender for an agent from server configuration
+ */
+export function createPushNotificationSender(store: PushNotificationStore, config: ServerConfig): WebhookPushNotificationSender {
+  return new WebhookPushNotificationSender(store, pushDeliveryOptions(config));
+}
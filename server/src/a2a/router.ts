@@ -4,25 +4,61 @@
  * for full A2A v0.3.0 compliance
  */
 
-import { Router, type Request, type Response } from 'express';
+import { Router, type NextFunction, type Request, type Response } from 'express';
 import { AGENT_CARD_PATH } from '@a2a-js/sdk';
 import {
   DefaultRequestHandler,
   JsonRpcTransportHandler,
-  InMemoryTaskStore,
-  DefaultExecutionEventBusManager
+  DefaultExecutionEventBusManager,
+  InMemoryPushNotificationStore,
+  ServerCallContext,
+  UnauthenticatedUser,
+  type User
 } from '@a2a-js/sdk/server';
+import { restHandler } from '@a2a-js/sdk/server/express';
 import { AgentCardGenerator } from './agent-card.js';
-import { AgentExecutor } from './executor.js';
+import { AgentExecutor, ANONYMOUS, type SellerDelegation } from './executor.js';
+import { ConversationMemory } from './conversation-memory.js';
+import { ApprovalPolicy } from './approval-policy.js';
+import { ApprovalAuditLog } from './approval-audit.js';
+import { DelegationPolicy } from './delegation.js';
+import { SellerAgentClient } from './seller-agent-client.js';
+import { createTaskStore } from './task-store.js';
+import { createPushNotificationSender } from './push-notifications.js';
+import { createLLMProvider } from '../llm/providers.js';
+import { OAuthUser, type AuthenticatedRequest } from '../auth/oauth-server.js';
+import { SCOPES, grantsScope } from '../auth/scopes.js';
 import type { MCPServer } from '../mcp/mcp-server.js';
-import type { MCPTool } from '../types/index.js';
+import type { Task, TaskIdParams } from '@a2a-js/sdk';
+import type { MCPTool, ServerConfig } from '../types/index.js';
+
+/**
+ * SDK request handler that tells the executor when a task it paused for input
+ * is canceled: nothing runs for such a task, so the SDK cancels it in the task
+ * store without calling the executor
+ */
+class PausedTaskAwareRequestHandler extends DefaultRequestHandler {
+  private executor: AgentExecutor;
+
+  constructor(executor: AgentExecutor, ...handlerArgs: ConstructorParameters<typeof DefaultRequestHandler>) {
+    super(...handlerArgs);
+    this.executor = executor;
+  }
+
+  async cancelTask(params: TaskIdParams, context?: ServerCallContext): Promise<Task> {
+    const task = await super.cancelTask(params, context);
+    this.executor.releaseTask(params.id);
+    return task;
+  }
+}
 
 export class A2ARouter {
   private router: Router;
   private role: 'buyer' | 'seller';
   private mcpServer: MCPServer;
   private tools: MCPTool[];
-  private openaiApiKey: string;
+  private config: ServerConfig;
+  private memory: ConversationMemory;
   private requestHandler!: DefaultRequestHandler;
   private jsonRpcHandler!: JsonRpcTransportHandler;
 
@@ -30,13 +66,18 @@ export class A2ARouter {
     role: 'buyer' | 'seller',
     mcpServer: MCPServer,
     tools: MCPTool[],
-    openaiApiKey: string
+    config: ServerConfig
   ) {
     this.role = role;
     this.mcpServer = mcpServer;
     this.tools = tools;
-    this.openaiApiKey = openaiApiKey;
+    this.config = config;
     this.router = Router();
+    this.memory = new ConversationMemory({
+      maxTurns: config.conversationMaxTurns,
+      maxEntities: config.conversationMaxEntities,
+      maxContexts: config.conversationMaxContexts
+    });
 
     // Initialize SDK components
     this.initializeSDKComponents();
@@ -48,28 +89,49 @@ export class A2ARouter {
    */
   private initializeSDKComponents() {
     // Generate agent card
-    const agentCard = AgentCardGenerator.createAgentCard(this.role, this.tools);
+    const agentCard = AgentCardGenerator.createAgentCard(this.role, this.tools, this.mcpServer.getTools());
 
-    // Create task store
-    const taskStore = new InMemoryTaskStore();
+    // Create task store (in-memory or file-backed, per configuration)
+    const taskStore = createTaskStore(this.role, this.config);
+
+    // Tool calls that wait for a person (approvals.json), with every decision audit-logged
+    const approvalPolicy = new ApprovalPolicy();
+    console.log(`✋ Approval policy: ${approvalPolicy.size} rule(s) for ${this.role} agent`);
 
     // Create agent executor
+    const delegation = this.createSellerDelegation();
     const agentExecutor = new AgentExecutor(
       this.role,
       this.mcpServer,
       this.tools,
-      this.openaiApiKey
+      createLLMProvider(this.config),
+      this.memory,
+      approvalPolicy,
+      new ApprovalAuditLog(this.config.approvalAuditLog),
+      delegation,
+      {
+        mode: this.config.agentMode,
+        maxSteps: this.config.agentMaxSteps,
+        stepTimeoutMs: this.config.agentStepTimeoutMs
+      }
     );
 
     // Create event bus manager
     const eventBusManager = new DefaultExecutionEventBusManager();
 
+    // Webhooks registered via tasks/pushNotificationConfig/* or message configuration
+    const pushNotificationStore = new InMemoryPushNotificationStore();
+    const pushNotificationSender = createPushNotificationSender(pushNotificationStore, this.config);
+
     // Create request handler (SDK's default handler)
-    this.requestHandler = new DefaultRequestHandler(
+    this.requestHandler = new PausedTaskAwareRequestHandler(
+      agentExecutor,
       agentCard,
       taskStore,
       agentExecutor,
-      eventBusManager
+      eventBusManager,
+      pushNotificationStore,
+      pushNotificationSender
     );
 
     // Create JSON-RPC transport handler
@@ -78,6 +140,36 @@ export class A2ARouter {
     console.log(`✅ SDK components initialized for ${this.role} agent`);
   }
 
+  /**
+   * Seller-owned buyer calls (delegation.json): the buyer sends them to the
+   * seller agent over A2A when SELLER_DELEGATION is on, and the seller answers
+   * them by the same rules when they come from the buyer's OAuth client
+   */
+  private createSellerDelegation(): SellerDelegation | undefined {
+    if (this.role === 'seller') {
+      const policy = new DelegationPolicy();
+      const peer = this.config.oauthEnabled && this.config.sellerAgentClientId ? this.config.sellerAgentClientId : undefined;
+      console.log(`🤝 Seller answers ${policy.size} delegation rule(s) ${peer ? `from OAuth client ${peer}` : 'from no one (needs OAuth and SELLER_AGENT_CLIENT_ID)'}`);
+      return { policy, ...(peer && { peer }) };
+    }
+    if (!this.config.sellerDelegation) {
+      return undefined;
+    }
+
+    const policy = new DelegationPolicy();
+    console.log(`🤝 Buyer delegates ${policy.size} seller-owned operation rule(s) to ${this.config.sellerAgentUrl}`);
+
+    return {
+      policy,
+      seller: new SellerAgentClient({
+        url: this.config.sellerAgentUrl,
+        clientId: this.config.sellerAgentClientId || undefined,
+        clientSecret: this.config.sellerAgentClientSecret || undefined,
+        timeoutMs: this.config.agentStepTimeoutMs
+      })
+    };
+  }
+
   /**
    * Setup Express routes using SDK handlers
    */
@@ -113,6 +205,53 @@ export class A2ARouter {
     this.router.post('/jsonrpc', async (req, res) => {
       await this.handleJSONRPC(req, res);
     });
+
+    // HTTP+JSON (REST) binding on the same request handler:
+    // POST /rest/v1/message:send|stream, GET /rest/v1/tasks/{id}, POST /rest/v1/tasks/{id}:cancel|subscribe,
+    // and /rest/v1/tasks/{id}/pushNotificationConfigs
+    this.router.use('/rest', restHandler({
+      requestHandler: this.requestHandler,
+      userBuilder: async (req) => this.buildUser(req)
+    }));
+
+    // Conversation memory per contextId: inspect it, or reset it between topics.
+    // Only the client that started a context sees it; to anyone else it is unknown.
+    this.router.get('/contexts/:contextId', this.requireScope(SCOPES.read), (req: AuthenticatedRequest, res) => {
+      const { contextId } = req.params;
+      if (!this.memory.has(contextId) || this.memory.ownerOf(contextId) !== this.describeCaller(req)) {
+        res.status(404).json({ error: 'Unknown context', contextId });
+        return;
+      }
+      res.json({ contextId, ...this.memory.get(contextId) });
+    });
+
+    this.router.delete('/contexts/:contextId', this.requireScope(SCOPES.write), (req: AuthenticatedRequest, res) => {
+      const { contextId } = req.params;
+      if (this.memory.has(contextId) && this.memory.ownerOf(contextId) !== this.describeCaller(req)) {
+        res.status(404).json({ error: 'Unknown context', contextId });
+        return;
+      }
+      this.memory.reset(contextId);
+      res.sendStatus(204);
+    });
+
+    // Role-scoped MCP endpoint advertised in the agent card
+    this.router.all('/mcp/sse', this.mcpServer.createHttpHandler(this.role));
+  }
+
+  /**
+   * Express middleware requiring a scope of the caller's bearer token
+   * Without OAuth there is no token and every call passes, as with tool calls
+   */
+  private requireScope(scope: string) {
+    return (req: AuthenticatedRequest, res: Response, next: NextFunction) => {
+      if (req.auth && !grantsScope(req.auth.scopes, scope)) {
+        res.set('WWW-Authenticate', `Bearer realm="opendirect", error="insufficient_scope", scope="${scope}"`);
+        res.status(403).json({ error: 'insufficient_scope', error_description: `Requires the ${scope} scope` });
+        return;
+      }
+      next();
+    };
   }
 
   /**
@@ -122,8 +261,8 @@ export class A2ARouter {
     try {
       console.log(`📥 JSON-RPC request: method="${req.body?.method}"`);
 
-      // Use SDK's JsonRpcTransportHandler
-      const result = await this.jsonRpcHandler.handle(req.body);
+      // Use SDK's JsonRpcTransportHandler, passing the OAuth caller (if any) through to the executor
+      const result = await this.jsonRpcHandler.handle(req.body, this.createCallContext(req));
 
       // Check if it's a streaming response (AsyncGenerator)
       if (result && typeof (result as any)[Symbol.asyncIterator] === 'function') {
@@ -154,6 +293,27 @@ export class A2ARouter {
     }
   }
 
+  /**
+   * Build the SDK call context from the bearer token validated by the OAuth middleware
+   */
+  private createCallContext(req: AuthenticatedRequest): ServerCallContext {
+    return new ServerCallContext(undefined, this.buildUser(req));
+  }
+
+  /**
+   * Who made a request, as the executor records it: the OAuth client, or "anonymous"
+   */
+  private describeCaller(req: AuthenticatedRequest): string {
+    return req.auth?.clientId ?? ANONYMOUS;
+  }
+
+  /**
+   * SDK user for a request: the OAuth client when a bearer token was validated
+   */
+  private buildUser(req: AuthenticatedRequest): User {
+    return req.auth ? new OAuthUser(req.auth) : new UnauthenticatedUser();
+  }
+
   /**
    * Get Express router
    */
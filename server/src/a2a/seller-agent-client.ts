@@ -0,0 +1,213 @@
+/**
+ * Seller Agent Client
+ * Sends delegated tool calls to the seller agent over A2A (JSON-RPC streaming)
+ * and turns the seller task's outcome back into a tool result
+ */
+
+import {
+  JsonRpcTransport,
+  createAuthenticatingFetchWithRetry,
+  type AuthenticationHandler,
+  type HttpHeaders
+} from '@a2a-js/sdk/client';
+import type { Task, TaskArtifactUpdateEvent, TaskStatusUpdateEvent, Message } from '@a2a-js/sdk';
+import { ToolError } from '../mcp/errors.js';
+import { readArtifactData } from './task-events.js';
+import { createDelegatedMessage, type DelegatedCall, type DelegatingCaller, type SubtaskReference } from './delegation.js';
+
+export interface SellerAgentClientOptions {
+  // Seller agent base URL, e.g. http://localhost:3000/a2a/seller
+  url: string;
+  // OAuth client used for the client_credentials grant when the seller requires a token
+  clientId?: string;
+  clientSecret?: string;
+  tokenUrl?: string;
+  timeoutMs: number;
+}
+
+export interface DelegationOutcome {
+  result: any;
+  subtask: SubtaskReference;
+}
+
+type StreamEvent = Message | Task | TaskStatusUpdateEvent | TaskArtifactUpdateEvent;
+
+export class SellerAgentClient {
+  private options: SellerAgentClientOptions;
+  private transport: JsonRpcTransport;
+  private accessToken: string | null = null;
+
+  constructor(options: SellerAgentClientOptions) {
+    this.options = options;
+
+    const fetchImpl = options.clientId
+      ? createAuthenticatingFetchWithRetry(fetch, this.createAuthHandler())
+      : fetch;
+    this.transport = new JsonRpcTransport({ endpoint: `${options.url.replace(/\/$/, '')}/jsonrpc`, fetchImpl });
+  }
+
+  /**
+   * Ask the seller agent to run one call for a buyer task and wait for its task to end
+   * The seller runs it for the buyer's caller, within that caller's scopes. A
+   * canceled buyer task cancels the seller task too. Anything but completed is
+   * raised as a ToolError naming the seller task.
+   */
+  async delegate(
+    call: DelegatedCall,
+    origin: SubtaskReference,
+    caller: DelegatingCaller,
+    signal?: AbortSignal
+  ): Promise<DelegationOutcome> {
+    const timeout = AbortSignal.timeout(this.options.timeoutMs);
+    const combined = signal ? AbortSignal.any([signal, timeout]) : timeout;
+    let task: Task | undefined;
+
+    try {
+      const stream = this.transport.sendMessageStream(
+        { message: createDelegatedMessage(call, origin, caller) },
+        { signal: combined }
+      );
+      for await (const event of stream) {
+        task = this.apply(task, event as StreamEvent);
+      }
+    } catch (error) {
+      if (task && combined.aborted) {
+        await this.cancel(task.id);
+      }
+      if (signal?.aborted) {
+        throw error;
+      }
+
+      const reason = timeout.aborted
+        ? `timed out after ${this.options.timeoutMs}ms`
+        : error instanceof Error ? error.message : String(error);
+      throw new ToolError('DELEGATION_FAILED', `The seller agent could not run ${call.name}: ${reason}`, {
+        agent: 'seller',
+        url: this.options.url,
+        ...(task && { subtask: this.reference(task) })
+      });
+    }
+
+    if (!task) {
+      throw new ToolError('DELEGATION_FAILED', `The seller agent answered ${call.name} without a task`, {
+        agent: 'seller',
+        url: this.options.url
+      });
+    }
+
+    return this.outcome(call, task);
+  }
+
+  /**
+   * Fold a stream event into the seller task snapshot
+   */
+  private apply(task: Task | undefined, event: StreamEvent): Task | undefined {
+    switch (event.kind) {
+      case 'task':
+        return { ...event, artifacts: [...(event.artifacts ?? [])] };
+      case 'status-update':
+        if (task) task.status = event.status;
+        return task;
+      case 'artifact-update':
+        if (task) {
+          const artifacts = task.artifacts ?? (task.artifacts = []);
+          const index = artifacts.findIndex(a => a.artifactId === event.artifact.artifactId);
+          if (index === -1) artifacts.push(event.artifact);
+          else artifacts[index] = event.artifact;
+        }
+        return task;
+      default:
+        return task;
+    }
+  }
+
+  /**
+   * Result of a completed seller task, or a ToolError explaining why there is none
+   */
+  private outcome(call: DelegatedCall, task: Task): DelegationOutcome {
+    const subtask = this.reference(task);
+    const { state, message } = task.status;
+    const data = message?.parts.find(p => p.kind === 'data');
+    const error = data?.kind === 'data' ? data.data.error as { message?: string } | undefined : undefined;
+    const details = { subtask, state, ...(error && { error }) };
+
+    // Prefer the seller's structured error over its "Error: ..." status text
+    const text = error?.message
+      || message?.parts.filter(p => p.kind === 'text').map(p => p.text).join(' ')
+      || state;
+
+    console.log(`🤝 Seller task ${task.id} for ${call.name} ended ${state}`);
+
+    switch (state) {
+      case 'completed': {
+        const artifact = task.artifacts?.[task.artifacts.length - 1];
+        if (!artifact) {
+          throw new ToolError('DELEGATION_FAILED', `The seller agent completed ${call.name} without a result: ${text}`, details);
+        }
+        return { result: readArtifactData(artifact), subtask };
+      }
+      case 'input-required':
+        throw new ToolError('DELEGATION_PENDING', `The seller agent is waiting for input on task ${task.id}: ${text}`, details);
+      case 'rejected':
+        throw new ToolError('DELEGATION_REJECTED', `The seller agent rejected ${call.name}: ${text}`, details);
+      default:
+        throw new ToolError('DELEGATION_FAILED', `The seller agent could not run ${call.name}: ${text}`, details);
+    }
+  }
+
+  /**
+   * Best-effort cancel of a seller task the buyer no longer waits for
+   */
+  private async cancel(taskId: string) {
+    try {
+      await this.transport.cancelTask({ id: taskId });
+      console.log(`🚫 Canceled seller task ${taskId}`);
+    } catch (error) {
+      console.warn(`⚠️  Could not cancel seller task ${taskId}: ${error instanceof Error ? error.message : String(error)}`);
+    }
+  }
+
+  private reference(task: Task): SubtaskReference {
+    return { agent: 'seller', taskId: task.id, contextId: task.contextId };
+  }
+
+  /**
+   * Bearer tokens from the client_credentials grant, fetched on first use and
+   * again whenever the seller answers 401
+   */
+  private createAuthHandler(): AuthenticationHandler {
+    const bearer = (token: string): HttpHeaders => ({ Authorization: `Bearer ${token}` });
+
+    return {
+      headers: async () => {
+        this.accessToken ??= await this.fetchToken();
+        return bearer(this.accessToken);
+      },
+      shouldRetryWithHeaders: async (_req, res) => {
+        if (res.status !== 401) return undefined;
+        this.accessToken = await this.fetchToken();
+        return bearer(this.accessToken);
+      }
+    };
+  }
+
+  private async fetchToken(): Promise<string> {
+    const tokenUrl = this.options.tokenUrl || new URL('/oauth/token', this.options.url).toString();
+    const response = await fetch(tokenUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'client_credentials',
+        client_id: this.options.clientId!,
+        client_secret: this.options.clientSecret || '',
+        scope: 'opendirect:read opendirect:write'
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Token request to ${tokenUrl} failed with HTTP ${response.status}`);
+    }
+    const { access_token } = await response.json() as { access_token: string };
+    return access_token;
+  }
+}
@@ -0,0 +1,222 @@
+/**
+ * Task Events
+ * Publishes A2A task lifecycle events (submitted → working → input-required/completed/failed/canceled/rejected)
+ * and tool results as named artifacts on an execution event bus
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import type { ExecutionEventBus } from '@a2a-js/sdk/server';
+import type { Artifact, Message, Part, Task, TaskState } from '@a2a-js/sdk';
+import type { SubtaskReference } from './delegation.js';
+
+/**
+ * Artifact name for a tool result: the entity the tool works on, as JSON
+ * e.g. create_order → order.json, list_lines → lines.json
+ */
+export function artifactNameForTool(toolName: string): string {
+  const entity = toolName.replace(/^(create|update|delete|get|list|search)_/, '');
+  return `${entity}.json`;
+}
+
+/**
+ * Tool result carried by an artifact's data part; { items } and { value }
+ * wrappers are undone
+ */
+export function readArtifactData(artifact: Artifact): any {
+  const part = artifact.parts.find(part => part.kind === 'data');
+  if (!part || part.kind !== 'data') return undefined;
+
+  const keys = Object.keys(part.data);
+  if (keys.length === 1 && keys[0] === 'items' && Array.isArray(part.data.items)) return part.data.items;
+  if (keys.length === 1 && keys[0] === 'value') return part.data.value;
+  return part.data;
+}
+
+// A tool call whose result was published as an artifact
+export interface CommittedStep {
+  step: number;
+  tool: string;
+  artifact: string;
+  id?: string;
+  // Set when another agent ran the call
+  delegatedTo?: SubtaskReference;
+}
+
+export class TaskEventPublisher {
+  private eventBus: ExecutionEventBus;
+  readonly taskId: string;
+  readonly contextId: string;
+  private artifactNames: Set<string> = new Set();
+  private committed: CommittedStep[] = [];
+  private finalState: TaskState | null = null;
+  private finalText: string | null = null;
+
+  constructor(eventBus: ExecutionEventBus, taskId: string, contextId: string, existingTask?: Task) {
+    this.eventBus = eventBus;
+    this.taskId = taskId;
+    this.contextId = contextId;
+
+    // Keep names unique across turns of the same task
+    for (const artifact of existingTask?.artifacts ?? []) {
+      if (artifact.name) this.artifactNames.add(artifact.name);
+    }
+  }
+
+  /**
+   * Whether this turn has ended (completed, failed, canceled, rejected or input-required)
+   */
+  get isFinal(): boolean {
+    return this.finalState !== null;
+  }
+
+  /**
+   * Text of the message that ended this turn, if any
+   */
+  get finalMessage(): string | null {
+    return this.finalText;
+  }
+
+  /**
+   * Tool calls of this turn whose results were published, in order
+   */
+  get committedSteps(): CommittedStep[] {
+    return [...this.committed];
+  }
+
+  /**
+   * Publish the new task in the submitted state
+   */
+  submitted(userMessage: Message, metadata?: Record<string, unknown>) {
+    const task: Task = {
+      kind: 'task',
+      id: this.taskId,
+      contextId: this.contextId,
+      status: { state: 'submitted', timestamp: new Date().toISOString() },
+      history: [userMessage],
+      artifacts: [],
+      ...(metadata && { metadata })
+    };
+    this.eventBus.publish(task);
+  }
+
+  /**
+   * Publish a working status update, optionally with a progress message
+   */
+  working(text?: string, data?: any) {
+    this.publishStatus('working', false, text, data);
+  }
+
+  /**
+   * Publish a tool result as a named data artifact, linked to the other
+   * agent's task when the call was delegated
+   */
+  artifact(toolName: string, step: number, result: any, delegatedTo?: SubtaskReference) {
+    const name = this.uniqueName(artifactNameForTool(toolName));
+    this.committed.push({
+      step,
+      tool: toolName,
+      artifact: name,
+      ...(typeof result?.id === 'string' && { id: result.id }),
+      ...(delegatedTo && { delegatedTo })
+    });
+
+    this.eventBus.publish({
+      kind: 'artifact-update',
+      taskId: this.taskId,
+      contextId: this.contextId,
+      artifact: {
+        artifactId: uuidv4(),
+        name,
+        description: `Result of ${toolName} (step ${step})`,
+        parts: [{ kind: 'data', data: this.toDataPart(result) }],
+        metadata: { tool: toolName, step, ...(delegatedTo && { delegatedTo }) }
+      },
+      lastChunk: true
+    });
+  }
+
+  /**
+   * Pause the task until the user answers a question (ends this turn)
+   */
+  inputRequired(text: string, data?: any) {
+    this.publishStatus('input-required', true, text, data);
+  }
+
+  completed(text: string, data?: any) {
+    this.publishStatus('completed', true, text, data);
+  }
+
+  failed(text: string, data?: any) {
+    this.publishStatus('failed', true, text, data);
+  }
+
+  canceled(text: string, data?: any) {
+    this.publishStatus('canceled', true, text, data);
+  }
+
+  rejected(text: string, data?: any) {
+    this.publishStatus('rejected', true, text, data);
+  }
+
+  /**
+   * Publish a status update with an agent message; a turn ends only once
+   */
+  private publishStatus(state: TaskState, final: boolean, text?: string, data?: any) {
+    if (this.finalState) {
+      console.warn(`⚠️  Task ${this.taskId} is already ${this.finalState}; ignoring ${state} update`);
+      return;
+    }
+    if (final) {
+      this.finalState = state;
+      this.finalText = text ?? null;
+    }
+
+    this.eventBus.publish({
+      kind: 'status-update',
+      taskId: this.taskId,
+      contextId: this.contextId,
+      status: {
+        state,
+        timestamp: new Date().toISOString(),
+        ...(text && { message: this.createAgentMessage(text, data) })
+      },
+      final
+    });
+  }
+
+  /**
+   * Suffix repeated names: line.json, line-2.json, line-3.json...
+   */
+  private uniqueName(name: string): string {
+    let candidate = name;
+    for (let n = 2; this.artifactNames.has(candidate); n++) {
+      candidate = name.replace(/\.json$/, `-${n}.json`);
+    }
+    this.artifactNames.add(candidate);
+    return candidate;
+  }
+
+  /**
+   * Data parts must carry an object: lists become { items }, primitives { value }
+   */
+  private toDataPart(result: any): Record<string, unknown> {
+    if (Array.isArray(result)) return { items: result };
+    return result !== null && typeof result === 'object' ? result : { value: result };
+  }
+
+  private createAgentMessage(text: string, data?: any): Message {
+    const parts: Part[] = [{ kind: 'text', text }];
+    if (data) {
+      parts.push({ kind: 'data', data: this.toDataPart(data) });
+    }
+
+    return {
+      kind: 'message',
+      messageId: uuidv4(),
+      role: 'agent',
+      parts,
+      contextId: this.contextId,
+      taskId: this.taskId
+    };
+  }
+}
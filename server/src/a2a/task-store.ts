@@ -0,0 +1,218 @@
+/**
+ * A2A Task Stores
+ * Durable JSON-on-disk TaskStore for @a2a-js/sdk, selected by configuration
+ */
+
+import { mkdir, readFile, readdir, rename, rm, stat, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { randomUUID } from 'crypto';
+import { InMemoryTaskStore, type TaskStore } from '@a2a-js/sdk/server';
+import type { Message, Task } from '@a2a-js/sdk';
+import type { ServerConfig } from '../types/index.js';
+
+interface StoredTask {
+  savedAt: number;
+  // Process run that saved the task; absent in files from older versions
+  runId?: string;
+  task: Task;
+}
+
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// A save renames its temp file within moments; one older than this was left
+// behind by a crash or a failed rename
+const STALE_TEMP_MS = 60 * 1000;
+
+// States whose execution (or the input it waits for) lives only in the process
+// that saved them
+const UNFINISHED_STATES: Task['status']['state'][] = ['submitted', 'working', 'input-required', 'auth-required'];
+
+/**
+ * Stores each task as a JSON file so tasks survive server restarts.
+ * Tasks not saved within the retention window are pruned, as are temp files a
+ * crashed save left behind, and tasks a previous run left unfinished are failed
+ * when loaded: the input they waited for (or the execution they were in) did
+ * not survive the restart.
+ */
+export class FileTaskStore implements TaskStore {
+  private directory: string;
+  private ttlMs: number;
+  private runId = randomUUID();
+  private ready: Promise<void>;
+  private pruneTimer?: NodeJS.Timeout;
+
+  constructor(directory: string, ttlHours: number) {
+    this.directory = directory;
+    this.ttlMs = ttlHours * 60 * 60 * 1000;
+    this.ready = mkdir(directory, { recursive: true })
+      .then(() => this.removeStaleTempFiles())
+      .catch(error => {
+        throw new Error(`Task directory ${directory} is not usable: ${error instanceof Error ? error.message : String(error)}`);
+      });
+    // Every save and load rejects with this error; logging it here also keeps
+    // it from going unhandled before the first one
+    this.ready.catch(error => console.error(`❌ ${error.message}`));
+
+    if (this.ttlMs > 0) {
+      this.pruneTimer = setInterval(() => {
+        this.prune().catch(error => console.error('❌ Task store prune failed:', error));
+      }, PRUNE_INTERVAL_MS);
+      this.pruneTimer.unref();
+    }
+  }
+
+  /**
+   * Save a task (SDK TaskStore interface)
+   * Writes to a temp file and renames so a crash never leaves partial JSON;
+   * each save gets its own temp file so concurrent saves of a task never share one
+   */
+  async save(task: Task): Promise<void> {
+    await this.ready;
+
+    const path = this.pathFor(task.id);
+    const tempPath = `${path}.${randomUUID()}.tmp`;
+    const record: StoredTask = { savedAt: Date.now(), runId: this.runId, task };
+
+    await writeFile(tempPath, JSON.stringify(record), 'utf-8');
+    await rename(tempPath, path);
+  }
+
+  /**
+   * Load a task (SDK TaskStore interface)
+   */
+  async load(taskId: string): Promise<Task | undefined> {
+    await this.ready;
+
+    const record = await this.read(this.pathFor(taskId));
+    if (!record) return undefined;
+
+    if (this.isExpired(record)) {
+      await rm(this.pathFor(taskId), { force: true });
+      return undefined;
+    }
+
+    if (record.runId !== this.runId && UNFINISHED_STATES.includes(record.task.status.state)) {
+      return this.failInterrupted(record.task);
+    }
+
+    return record.task;
+  }
+
+  /**
+   * Delete tasks older than the retention window, and stale temp files
+   * Returns the number of tasks removed
+   */
+  async prune(): Promise<number> {
+    if (this.ttlMs <= 0) return 0;
+    await this.ready;
+    await this.removeStaleTempFiles();
+
+    let removed = 0;
+    for (const file of await readdir(this.directory)) {
+      if (!file.endsWith('.json')) continue;
+
+      const path = join(this.directory, file);
+      const record = await this.read(path);
+      if (!record || this.isExpired(record)) {
+        await rm(path, { force: true });
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      console.log(`🧹 Pruned ${removed} expired task(s) from ${this.directory}`);
+    }
+    return removed;
+  }
+
+  /**
+   * Stop the background prune timer
+   */
+  close() {
+    if (this.pruneTimer) {
+      clearInterval(this.pruneTimer);
+    }
+  }
+
+  /**
+   * Delete temp files no save is still writing
+   */
+  private async removeStaleTempFiles() {
+    let removed = 0;
+    for (const file of await readdir(this.directory)) {
+      if (!file.endsWith('.tmp')) continue;
+
+      const path = join(this.directory, file);
+      try {
+        if (Date.now() - (await stat(path)).mtimeMs > STALE_TEMP_MS) {
+          await rm(path, { force: true });
+          removed++;
+        }
+      } catch (error: any) {
+        // Renamed by a save that finished in the meantime
+        if (error?.code !== 'ENOENT') throw error;
+      }
+    }
+
+    if (removed > 0) {
+      console.log(`🧹 Removed ${removed} stale temp file(s) from ${this.directory}`);
+    }
+  }
+
+  /**
+   * Fail a task left unfinished by a previous run, so it does not wait forever
+   */
+  private async failInterrupted(task: Task): Promise<Task> {
+    const message: Message = {
+      kind: 'message',
+      role: 'agent',
+      messageId: randomUUID(),
+      taskId: task.id,
+      contextId: task.contextId,
+      parts: [{ kind: 'text', text: `The server restarted while this task was ${task.status.state}; send the request again.` }]
+    };
+    const failed: Task = {
+      ...task,
+      status: { state: 'failed', message, timestamp: new Date().toISOString() },
+      history: [...(task.history || []), message]
+    };
+
+    console.warn(`⚠️  Task ${task.id} was ${task.status.state} when the server stopped; marking it failed`);
+    await this.save(failed);
+    return failed;
+  }
+
+  private async read(path: string): Promise<StoredTask | undefined> {
+    try {
+      return JSON.parse(await readFile(path, 'utf-8'));
+    } catch (error: any) {
+      if (error?.code === 'ENOENT') return undefined;
+      if (error instanceof SyntaxError) {
+        console.warn(`⚠️  Ignoring corrupt task file: ${path}`);
+        return undefined;
+      }
+      throw error;
+    }
+  }
+
+  private isExpired(record: StoredTask): boolean {
+    return this.ttlMs > 0 && Date.now() - record.savedAt > this.ttlMs;
+  }
+
+  private pathFor(taskId: string): string {
+    return join(this.directory, `${encodeURIComponent(taskId)}.json`);
+  }
+}
+
+/**
+ * Create the task store configured for an agent role
+ */
+export function createTaskStore(role: 'buyer' | 'seller', config: ServerConfig): TaskStore {
+  if (config.taskStore === 'file') {
+    const directory = join(config.taskStoreDir, role);
+    console.log(`💾 ${role} tasks persisted to ${directory} (TTL ${config.taskStoreTtlHours}h)`);
+    return new FileTaskStore(directory, config.taskStoreTtlHours);
+  }
+
+  return new InMemoryTaskStore();
+}
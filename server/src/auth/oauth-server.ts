@@ -0,0 +1,429 @@
+/**
+ * OAuth2 Authorization Server
+ * Local authorization server for the agents: client registry from config,
+ * signed JWT access tokens, rotating refresh tokens and bearer validation
+ */
+
+import express, { Router, type NextFunction, type Request, type Response } from 'express';
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { SignJWT, jwtVerify } from 'jose';
+import { v4 as uuidv4 } from 'uuid';
+import type { User } from '@a2a-js/sdk/server';
+import type { AuthInfo } from '@modelcontextprotocol/sdk/server/auth/types.js';
+import { SUPPORTED_SCOPES } from './scopes.js';
+import type { OAuthClient, ServerConfig } from '../types/index.js';
+
+// Express request after bearer validation; the MCP HTTP transport reads req.auth as well
+export type AuthenticatedRequest = Request & { auth?: AuthInfo };
+
+const AUDIENCE = 'opendirect';
+const AUTHORIZATION_CODE_TTL_MS = 10 * 60 * 1000;
+
+interface AuthorizationCode {
+  clientId: string;
+  redirectUri: string;
+  scopes: string[];
+  codeChallenge?: string;
+  codeChallengeMethod?: 'S256' | 'plain';
+  expiresAt: number;
+}
+
+interface RefreshGrant {
+  clientId: string;
+  scopes: string[];
+  expiresAt: number;
+}
+
+interface TokenResponse {
+  access_token: string;
+  token_type: 'Bearer';
+  expires_in: number;
+  scope: string;
+  refresh_token?: string;
+}
+
+/**
+ * RFC 6749 error response
+ */
+class OAuthError extends Error {
+  readonly error: string;
+  readonly status: number;
+
+  constructor(error: string, description: string, status = 400) {
+    super(description);
+    this.error = error;
+    this.status = status;
+  }
+}
+
+/**
+ * A2A user backed by a validated access token
+ */
+export class OAuthUser implements User {
+  readonly auth: AuthInfo;
+
+  constructor(auth: AuthInfo) {
+    this.auth = auth;
+  }
+
+  get isAuthenticated(): boolean {
+    return true;
+  }
+
+  get userName(): string {
+    return this.auth.clientId;
+  }
+}
+
+export class OAuthServer {
+  private router: Router;
+  private clients: Map<string, OAuthClient>;
+  private key: Uint8Array;
+  private issuer: string;
+  private accessTokenTtlSeconds: number;
+  private refreshTokenTtlSeconds: number;
+  private codes: Map<string, AuthorizationCode> = new Map();
+  private refreshTokens: Map<string, RefreshGrant> = new Map();
+
+  constructor(config: ServerConfig) {
+    this.clients = new Map(config.oauthClients.map(client => [client.clientId, client]));
+    this.issuer = config.oauthIssuer;
+    this.accessTokenTtlSeconds = config.oauthAccessTokenTtlSeconds;
+    this.refreshTokenTtlSeconds = config.oauthRefreshTokenTtlSeconds;
+
+    if (config.oauthJwtSecret) {
+      this.key = new TextEncoder().encode(config.oauthJwtSecret);
+    } else {
+      // Tokens stop validating on restart; set OAUTH_JWT_SECRET to keep them
+      console.warn('⚠️  OAUTH_JWT_SECRET not set - signing tokens with a random per-process key');
+      this.key = randomBytes(32);
+    }
+
+    this.router = Router();
+    this.setupRoutes();
+  }
+
+  /**
+   * Token and authorization endpoints, mounted at /oauth
+   */
+  private setupRoutes() {
+    this.router.use(express.urlencoded({ extended: false }));
+
+    this.router.post('/token', async (req, res) => {
+      await this.handleToken(req, res);
+    });
+
+    this.router.get('/authorize', (req, res) => {
+      this.handleAuthorize(req, res);
+    });
+  }
+
+  /**
+   * Express middleware requiring a valid bearer token; sets req.auth
+   */
+  requireBearer(isPublic: (req: Request) => boolean = () => false) {
+    return async (req: AuthenticatedRequest, res: Response, next: NextFunction) => {
+      if (req.method === 'OPTIONS' || isPublic(req)) {
+        next();
+        return;
+      }
+
+      const token = req.headers.authorization?.match(/^Bearer\s+(\S+)$/i)?.[1];
+      if (!token) {
+        this.rejectBearer(res, undefined, 'Bearer access token required');
+        return;
+      }
+
+      try {
+        req.auth = await this.verifyAccessToken(token);
+        next();
+      } catch (error) {
+        console.warn(`🔒 Rejected access token: ${error instanceof Error ? error.message : String(error)}`);
+        this.rejectBearer(res, 'invalid_token', 'Access token is invalid or expired');
+      }
+    };
+  }
+
+  /**
+   * Validate a signed access token and return its grant
+   */
+  async verifyAccessToken(token: string): Promise<AuthInfo> {
+    const { payload } = await jwtVerify(token, this.key, {
+      issuer: this.issuer,
+      audience: AUDIENCE,
+      algorithms: ['HS256'],
+      typ: 'at+jwt'
+    });
+
+    return {
+      token,
+      clientId: String(payload.client_id ?? payload.sub),
+      scopes: typeof payload.scope === 'string' ? payload.scope.split(' ').filter(Boolean) : [],
+      expiresAt: payload.exp
+    };
+  }
+
+  /**
+   * POST /oauth/token (client_credentials, authorization_code, refresh_token)
+   */
+  private async handleToken(req: Request, res: Response) {
+    res.set('Cache-Control', 'no-store');
+    res.set('Pragma', 'no-cache');
+
+    try {
+      this.pruneExpired();
+      const grantType = req.body?.grant_type;
+      const client = this.authenticateClient(req, grantType);
+
+      let tokens: TokenResponse;
+      switch (grantType) {
+        case 'client_credentials':
+          tokens = await this.issueTokens(client.clientId, this.grantScopes(client.scopes, req.body.scope), false);
+          break;
+        case 'authorization_code':
+          tokens = await this.exchangeCode(client, req.body);
+          break;
+        case 'refresh_token':
+          tokens = await this.refresh(client, req.body);
+          break;
+        default:
+          throw new OAuthError('unsupported_grant_type', `Unsupported grant_type: ${grantType}`);
+      }
+
+      console.log(`🔑 Issued ${grantType} token for ${client.clientId} (${tokens.scope})`);
+      res.json(tokens);
+    } catch (error) {
+      if (error instanceof OAuthError) {
+        if (error.status === 401) {
+          res.set('WWW-Authenticate', 'Basic realm="opendirect"');
+        }
+        res.status(error.status).json({ error: error.error, error_description: error.message });
+        return;
+      }
+      console.error('❌ Token endpoint error:', error);
+      res.status(500).json({ error: 'server_error', error_description: 'Failed to issue token' });
+    }
+  }
+
+  /**
+   * GET /oauth/authorize
+   * This local server has no end-user login, so registered clients are approved
+   * immediately and redirected back with an authorization code. It is only
+   * mounted with OAUTH_ENABLED.
+   */
+  private handleAuthorize(req: Request, res: Response) {
+    const query = req.query as Record<string, string | undefined>;
+    const client = query.client_id ? this.clients.get(query.client_id) : undefined;
+    if (!client) {
+      res.status(400).json({ error: 'invalid_request', error_description: 'Unknown client_id' });
+      return;
+    }
+
+    // Never redirect to an unregistered URI, so these errors are returned directly
+    const registered = client.redirectUris || [];
+    const redirectUri = query.redirect_uri || (registered.length === 1 ? registered[0] : undefined);
+    if (!redirectUri || !registered.includes(redirectUri)) {
+      res.status(400).json({ error: 'invalid_request', error_description: 'redirect_uri is missing or not registered' });
+      return;
+    }
+
+    const redirect = new URL(redirectUri);
+    if (query.state) {
+      redirect.searchParams.set('state', query.state);
+    }
+
+    try {
+      if (query.response_type !== 'code') {
+        throw new OAuthError('unsupported_response_type', 'Only response_type=code is supported');
+      }
+
+      const codeChallengeMethod = query.code_challenge ? (query.code_challenge_method || 'plain') : undefined;
+      if (codeChallengeMethod && codeChallengeMethod !== 'S256' && codeChallengeMethod !== 'plain') {
+        throw new OAuthError('invalid_request', 'code_challenge_method must be S256 or plain');
+      }
+      if (!client.clientSecret && !query.code_challenge) {
+        throw new OAuthError('invalid_request', 'Public clients must use PKCE (code_challenge)');
+      }
+
+      const code = randomBytes(24).toString('base64url');
+      this.codes.set(code, {
+        clientId: client.clientId,
+        redirectUri,
+        scopes: this.grantScopes(client.scopes, query.scope),
+        codeChallenge: query.code_challenge,
+        codeChallengeMethod: codeChallengeMethod as AuthorizationCode['codeChallengeMethod'],
+        expiresAt: Date.now() + AUTHORIZATION_CODE_TTL_MS
+      });
+      redirect.searchParams.set('code', code);
+    } catch (error) {
+      if (!(error instanceof OAuthError)) throw error;
+      redirect.searchParams.set('error', error.error);
+      redirect.searchParams.set('error_description', error.message);
+    }
+
+    res.redirect(302, redirect.toString());
+  }
+
+  /**
+   * Identify the client from HTTP Basic credentials or client_id/client_secret in the body
+   */
+  private authenticateClient(req: Request, grantType: string | undefined): OAuthClient {
+    let clientId: string | undefined = req.body?.client_id;
+    let clientSecret: string | undefined = req.body?.client_secret;
+
+    const basic = req.headers.authorization?.match(/^Basic\s+(\S+)$/i)?.[1];
+    if (basic) {
+      // The secret may itself contain colons; only the first one separates the id
+      const credentials = Buffer.from(basic, 'base64').toString('utf-8');
+      const colon = credentials.indexOf(':');
+      try {
+        clientId = decodeURIComponent(colon < 0 ? credentials : credentials.slice(0, colon));
+        clientSecret = decodeURIComponent(colon < 0 ? '' : credentials.slice(colon + 1));
+      } catch {
+        // Stray "%" sequences are a client's mistake, not a server error
+        throw new OAuthError('invalid_client', 'Malformed client credentials', 401);
+      }
+    }
+
+    const client = clientId ? this.clients.get(clientId) : undefined;
+    if (!client) {
+      throw new OAuthError('invalid_client', 'Unknown client', 401);
+    }
+
+    if (client.clientSecret) {
+      if (!clientSecret || !this.secretsMatch(client.clientSecret, clientSecret)) {
+        throw new OAuthError('invalid_client', 'Client authentication failed', 401);
+      }
+    } else if (grantType === 'client_credentials') {
+      throw new OAuthError('unauthorized_client', 'Public clients cannot use client_credentials');
+    }
+
+    return client;
+  }
+
+  /**
+   * Redeem a single-use authorization code
+   */
+  private async exchangeCode(client: OAuthClient, body: Record<string, string>): Promise<TokenResponse> {
+    const grant = body.code ? this.codes.get(body.code) : undefined;
+    if (body.code) {
+      this.codes.delete(body.code);
+    }
+
+    if (!grant || grant.clientId !== client.clientId || grant.expiresAt < Date.now()) {
+      throw new OAuthError('invalid_grant', 'Authorization code is invalid or expired');
+    }
+    // The code is bound to the redirect URI it was sent to, even one chosen by default (RFC 6749 §4.1.3)
+    if (body.redirect_uri !== grant.redirectUri) {
+      throw new OAuthError('invalid_grant', 'redirect_uri is missing or does not match the authorization request');
+    }
+
+    if (grant.codeChallenge) {
+      const verifier = body.code_verifier || '';
+      const expected = grant.codeChallengeMethod === 'S256'
+        ? createHash('sha256').update(verifier).digest('base64url')
+        : verifier;
+      if (expected !== grant.codeChallenge) {
+        throw new OAuthError('invalid_grant', 'code_verifier does not match code_challenge');
+      }
+    }
+
+    return this.issueTokens(client.clientId, grant.scopes, true);
+  }
+
+  /**
+   * Exchange a refresh token for new tokens; the old refresh token is revoked
+   */
+  private async refresh(client: OAuthClient, body: Record<string, string>): Promise<TokenResponse> {
+    const grant = body.refresh_token ? this.refreshTokens.get(body.refresh_token) : undefined;
+
+    if (!grant || grant.clientId !== client.clientId || grant.expiresAt < Date.now()) {
+      throw new OAuthError('invalid_grant', 'Refresh token is invalid or expired');
+    }
+
+    // Scope may be narrowed but never widened
+    const scopes = this.grantScopes(grant.scopes, body.scope);
+    this.refreshTokens.delete(body.refresh_token);
+    return this.issueTokens(client.clientId, scopes, true);
+  }
+
+  /**
+   * Sign an access token, plus a refresh token when requested
+   */
+  private async issueTokens(clientId: string, scopes: string[], withRefreshToken: boolean): Promise<TokenResponse> {
+    const now = Math.floor(Date.now() / 1000);
+    const accessToken = await new SignJWT({ scope: scopes.join(' '), client_id: clientId })
+      .setProtectedHeader({ alg: 'HS256', typ: 'at+jwt' })
+      .setIssuer(this.issuer)
+      .setAudience(AUDIENCE)
+      .setSubject(clientId)
+      .setIssuedAt(now)
+      .setExpirationTime(now + this.accessTokenTtlSeconds)
+      .setJti(uuidv4())
+      .sign(this.key);
+
+    const response: TokenResponse = {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: this.accessTokenTtlSeconds,
+      scope: scopes.join(' ')
+    };
+
+    if (withRefreshToken) {
+      const refreshToken = randomBytes(32).toString('base64url');
+      this.refreshTokens.set(refreshToken, {
+        clientId,
+        scopes,
+        expiresAt: Date.now() + this.refreshTokenTtlSeconds * 1000
+      });
+      response.refresh_token = refreshToken;
+    }
+
+    return response;
+  }
+
+  /**
+   * Requested scopes must be a subset of the allowed ones; none requested means all allowed
+   */
+  private grantScopes(allowed: string[], requested: string | undefined): string[] {
+    if (!requested) {
+      return allowed.filter(scope => SUPPORTED_SCOPES.includes(scope));
+    }
+
+    const scopes = requested.split(' ').filter(Boolean);
+    const denied = scopes.filter(scope => !allowed.includes(scope) || !SUPPORTED_SCOPES.includes(scope));
+    if (denied.length > 0) {
+      throw new OAuthError('invalid_scope', `Scope not allowed for this client: ${denied.join(' ')}`);
+    }
+    return scopes;
+  }
+
+  private secretsMatch(expected: string, actual: string): boolean {
+    const digest = (value: string) => createHash('sha256').update(value).digest();
+    return timingSafeEqual(digest(expected), digest(actual));
+  }
+
+  private rejectBearer(res: Response, error: string | undefined, description: string) {
+    res.set('WWW-Authenticate', error
+      ? `Bearer realm="opendirect", error="${error}", error_description="${description}"`
+      : 'Bearer realm="opendirect"');
+    res.status(401).json({ error: error || 'unauthorized', error_description: description });
+  }
+
+  private pruneExpired() {
+    const now = Date.now();
+    for (const [code, grant] of this.codes) {
+      if (grant.expiresAt < now) this.codes.delete(code);
+    }
+    for (const [token, grant] of this.refreshTokens) {
+      if (grant.expiresAt < now) this.refreshTokens.delete(token);
+    }
+  }
+
+  /**
+   * Get Express router
+   */
+  getRouter(): Router {
+    return this.router;
+  }
+}
@@ -0,0 +1,42 @@
+/**
+ * OAuth Scopes
+ * Maps MCP tools to the OpenDirect scopes a caller needs to run them
+ */
+
+import { ToolError } from '../mcp/errors.js';
+
+export const SCOPES = {
+  read: 'opendirect:read',
+  write: 'opendirect:write',
+  admin: 'opendirect:admin'
+} as const;
+
+export const SUPPORTED_SCOPES: string[] = Object.values(SCOPES);
+
+/**
+ * Read tools (get/list/search) need opendirect:read; anything that changes state needs opendirect:write
+ */
+export function requiredScope(toolName: string): string {
+  return /^(get|list|search)_/.test(toolName) ? SCOPES.read : SCOPES.write;
+}
+
+/**
+ * Whether granted scopes cover a required one; opendirect:admin covers every scope
+ */
+export function grantsScope(granted: string[], required: string): boolean {
+  return granted.includes(required) || granted.includes(SCOPES.admin);
+}
+
+/**
+ * Throw an INSUFFICIENT_SCOPE ToolError unless the granted scopes cover the tool
+ */
+export function assertToolScope(toolName: string, granted: string[]) {
+  const required = requiredScope(toolName);
+  if (!grantsScope(granted, required)) {
+    throw new ToolError(
+      'INSUFFICIENT_SCOPE',
+      `${toolName} requires the ${required} scope`,
+      { tool: toolName, required, granted }
+    );
+  }
+}
@@ -0,0 +1,192 @@
+/**
+ * OpenAI Provider
+ * Plans tool calls with OpenAI or any OpenAI-compatible chat completions endpoint
+ */
+
+import OpenAI from 'openai';
+import { describeConversation } from '../a2a/conversation-memory.js';
+import type {
+  ChatMessage,
+  ChatRequest,
+  ChatResponse,
+  ExecutionPlan,
+  LLMProvider,
+  MCPTool,
+  PlanRequest
+} from '../types/index.js';
+
+export interface OpenAIProviderOptions {
+  name: string;
+  apiKey: string;
+  model: string;
+  // Set for OpenAI-compatible endpoints (e.g. a local inference server)
+  baseURL?: string;
+}
+
+export class OpenAIProvider implements LLMProvider {
+  readonly name: string;
+  private openai: OpenAI;
+  private model: string;
+
+  constructor(options: OpenAIProviderOptions) {
+    this.name = options.name;
+    this.model = options.model;
+    this.openai = new OpenAI({
+      apiKey: options.apiKey,
+      ...(options.baseURL && { baseURL: options.baseURL })
+    });
+  }
+
+  /**
+   * Ask the model for a JSON execution plan
+   */
+  async plan({ userMessage, tools, role, conversation, signal }: PlanRequest): Promise<ExecutionPlan> {
+    const toolsWithSchemas = tools.map(t => ({
+      name: t.name,
+      description: t.description,
+      parameters: t.inputSchema.properties || {}
+    }));
+
+    const history = describeConversation(conversation);
+
+    const systemPrompt = `You are an AI assistant for the OpenDirect ${role} agent.
+Your job is to analyze user requests and determine which tools to execute.
+
+Available tools with their exact parameter names:
+${toolsWithSchemas.map(t => `
+- ${t.name}: ${t.description}
+  Parameters: ${JSON.stringify(t.parameters, null, 2)}
+`).join('\n')}
+
+IMPORTANT RULES:
+1. Use the EXACT parameter names from the tool schemas above
+2. Use entity names EXACTLY as provided by the user (do NOT add suffixes like "Account" or "Order")
+3. For multi-step workflows that need results from earlier steps, reference them as "{{steps.<toolName or step id>.result.<path>}}" or "{{steps[<0-based index>].result.<path>}}", e.g. "{{steps.create_order.result.id}}" or "{{steps[1].result.lines[0].id}}". References work in any parameter, including nested objects and arrays; give a step an "id" to tell repeated tools apart
+4. Arguments are validated against the schemas: use enum values exactly as listed, uppercase ISO-4217 currency codes, ISO 8601 date-times, and respect maxLength
+5. Never set readOnly fields (e.g. rate, cost, status fields) - the server determines them. A line's rate and cost come from its product, so use the product's ratetype and keep within its minspend, minflight, maxflight and leadtime
+6. You must respond with a valid JSON object
+
+Example for "create account for Nike and create order for Nike with budget 500":
+{
+  "steps": [
+    {
+      "toolName": "create_account",
+      "toolParams": { "name": "Nike", "advertiserid": "nike", "buyerid": "nike" }
+    },
+    {
+      "toolName": "create_order",
+      "toolParams": { "accountid": "{{steps.create_account.result.id}}", "name": "Nike", "publisherid": "default-publisher", "currency": "USD", "budget": 500 }
+    }
+  ]
+}
+
+If the request requires only ONE tool, respond with this JSON format:
+{
+  "toolName": "the_tool_to_use",
+  "toolParams": { "paramName": "value" }
+}
+
+Always return valid JSON.${history ? `\n\n${history}` : ''}`;
+
+    const response = await this.openai.chat.completions.create(
+      {
+        model: this.model,
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: userMessage }
+        ],
+        response_format: { type: 'json_object' },
+        temperature: 0.3
+      },
+      { signal }
+    );
+
+    const content = response.choices[0]?.message?.content;
+    if (!content) {
+      throw new Error('No response from AI');
+    }
+
+    const plan = JSON.parse(content);
+    return {
+      steps: plan.steps || [{ toolName: plan.toolName, toolParams: plan.toolParams || {} }]
+    };
+  }
+
+  /**
+   * One round of native function calling
+   */
+  async chat({ messages, tools, signal }: ChatRequest): Promise<ChatResponse> {
+    const response = await this.openai.chat.completions.create(
+      {
+        model: this.model,
+        messages: messages.map(message => this.toOpenAIMessage(message)),
+        tools: tools.map(tool => ({
+          type: 'function' as const,
+          function: {
+            name: tool.name,
+            description: tool.description,
+            parameters: this.writableParameters(tool)
+          }
+        })),
+        temperature: 0.3
+      },
+      { signal }
+    );
+
+    const message = response.choices[0]?.message;
+    if (!message) {
+      throw new Error('No response from AI');
+    }
+
+    return {
+      content: message.content,
+      toolCalls: (message.tool_calls || [])
+        .filter(call => call.type === 'function')
+        .map(call => ({
+          id: call.id,
+          name: call.function.name,
+          arguments: this.parseArguments(call.function.name, call.function.arguments)
+        }))
+    };
+  }
+
+  private toOpenAIMessage(message: ChatMessage): OpenAI.Chat.Completions.ChatCompletionMessageParam {
+    switch (message.role) {
+      case 'assistant':
+        return {
+          role: 'assistant',
+          content: message.content,
+          ...(message.toolCalls?.length && {
+            tool_calls: message.toolCalls.map(call => ({
+              id: call.id,
+              type: 'function' as const,
+              function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+            }))
+          })
+        };
+      case 'tool':
+        return { role: 'tool', tool_call_id: message.toolCallId || '', content: message.content || '' };
+      default:
+        return { role: message.role, content: message.content || '' };
+    }
+  }
+
+  /**
+   * Hide readOnly properties so the model does not try to set them
+   */
+  private writableParameters(tool: MCPTool) {
+    const properties = Object.fromEntries(
+      Object.entries(tool.inputSchema.properties || {}).filter(([, schema]) => !schema?.readOnly)
+    );
+    return { ...tool.inputSchema, properties };
+  }
+
+  private parseArguments(toolName: string, raw: string): Record<string, any> {
+    try {
+      return raw ? JSON.parse(raw) : {};
+    } catch {
+      console.warn(`⚠️  Model sent malformed arguments for ${toolName}: ${raw}`);
+      return {};
+    }
+  }
+}
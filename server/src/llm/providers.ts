@@ -0,0 +1,40 @@
+/**
+ * LLM Provider Factory
+ * Selects the planner behind AgentExecutor from configuration
+ */
+
+import { OpenAIProvider } from './openai-provider.js';
+import { RuleBasedPlanner } from './rule-based-planner.js';
+import type { LLMProvider, ServerConfig } from '../types/index.js';
+
+export function createLLMProvider(config: ServerConfig): LLMProvider {
+  switch (config.llmProvider) {
+    case 'openai':
+      if (!config.openaiApiKey) {
+        throw new Error('OPENAI_API_KEY is required when LLM_PROVIDER=openai');
+      }
+      return new OpenAIProvider({
+        name: 'openai',
+        apiKey: config.openaiApiKey,
+        model: config.openaiModel
+      });
+
+    case 'openai-compatible':
+      if (!config.llmBaseUrl) {
+        throw new Error('LLM_BASE_URL is required when LLM_PROVIDER=openai-compatible');
+      }
+      return new OpenAIProvider({
+        name: 'openai-compatible',
+        // Local servers usually ignore the key, but the client requires one
+        apiKey: config.openaiApiKey || 'not-needed',
+        model: config.openaiModel,
+        baseURL: config.llmBaseUrl
+      });
+
+    case 'rules':
+      return new RuleBasedPlanner();
+
+    default:
+      throw new Error(`Unknown LLM provider: ${config.llmProvider}`);
+  }
+}
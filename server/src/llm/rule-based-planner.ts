@@ -0,0 +1,281 @@
+/**
+ * Rule-Based Planner
+ * Deterministic, offline planner that maps utterances to tools using
+ * tool names, descriptions and input schemas. Needs no API key.
+ */
+
+import type { ConversationContext, ExecutionPlan, LLMProvider, MCPTool, PlanRequest, PlanStep } from '../types/index.js';
+
+// Utterance words → tool name verb
+const VERB_SYNONYMS: Record<string, string> = {
+  create: 'create', add: 'create', new: 'create', make: 'create', setup: 'create',
+  submit: 'create', register: 'create', open: 'create', upload: 'create',
+  update: 'update', change: 'update', modify: 'update', edit: 'update',
+  rename: 'update', set: 'update', move: 'update',
+  get: 'get', show: 'get', fetch: 'get', retrieve: 'get', view: 'get', describe: 'get',
+  list: 'list', browse: 'list', all: 'list',
+  search: 'search', find: 'search', discover: 'search', lookup: 'search',
+  delete: 'delete', remove: 'delete', unassign: 'delete',
+  approve: 'approve', reject: 'reject', draft: 'draft',
+  reply: 'create', answer: 'create'
+};
+
+// Utterance words → tool name resource
+const RESOURCE_SYNONYMS: Record<string, string> = {
+  inventory: 'product', campaign: 'order', campaigns: 'order', advertiser: 'account',
+  ad: 'creative', ads: 'creative', banner: 'creative'
+};
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'for', 'of', 'to', 'with', 'and', 'in', 'on', 'by', 'my', 'me',
+  'please', 'some', 'any', 'that', 'this', 'is', 'are', 'new', 'all', 'available', 'id'
+]);
+
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'CHF', 'CNY', 'INR', 'BRL', 'MXN', 'SEK', 'NOK', 'DKK'];
+
+const UUID_PATTERN = /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi;
+
+// "it" / "its" refer to the most recent entity of the conversation
+const PRONOUN_PATTERN = /\b(?:it|its|it's)\b/i;
+
+// Entities from earlier turns that a clause refers to
+interface Referents {
+  // Entity type → ID, e.g. { order: "..." } for "that order"
+  ids: Record<string, string>;
+  // Type to plan for when the clause names no resource itself ("change its budget")
+  implied?: string;
+  // The clause without the referring phrases, for tool selection
+  remainder: string;
+}
+
+// Splits "create X and create Y" / "create X, then add Y" into clauses
+const CLAUSE_SEPARATOR = new RegExp(
+  `\\s*(?:,\\s*)?\\b(?:and then|then|and)\\b\\s+(?=(?:${Object.keys(VERB_SYNONYMS).join('|')})\\b)`,
+  'i'
+);
+
+export class RuleBasedPlanner implements LLMProvider {
+  readonly name = 'rules';
+
+  /**
+   * Build a plan with one step per clause of the utterance
+   */
+  async plan({ userMessage, tools, conversation }: PlanRequest): Promise<ExecutionPlan> {
+    const clauses = userMessage.split(CLAUSE_SEPARATOR).map(c => c.trim()).filter(Boolean);
+    const steps: PlanStep[] = [];
+
+    for (const clause of clauses) {
+      const referents = this.findReferents(clause, conversation);
+      const referring = Object.keys(referents.ids).length > 0;
+      const tool = this.selectTool(referents.remainder, tools, referring)
+        ?? (referents.implied ? this.selectTool(`${referents.remainder} ${referents.implied}`, tools, referring) : undefined);
+      if (!tool) {
+        throw new Error(`Could not match "${clause}" to any available tool`);
+      }
+      steps.push({ toolName: tool.name, toolParams: this.extractParams(clause, tool, steps, referents.ids) });
+    }
+
+    if (steps.length === 0) {
+      throw new Error('Could not match the request to any available tool');
+    }
+
+    return { steps };
+  }
+
+  /**
+   * Match "that order", "the line", "this campaign" and "it"/"its" to entities
+   * the conversation already knows about
+   */
+  private findReferents(clause: string, conversation?: ConversationContext): Referents {
+    const referents: Referents = { ids: {}, remainder: clause };
+    if (!conversation || conversation.entities.length === 0) {
+      return referents;
+    }
+
+    for (const [type, entity] of Object.entries(conversation.lastReferenced)) {
+      const names = [type, ...Object.keys(RESOURCE_SYNONYMS).filter(word => RESOURCE_SYNONYMS[word] === type)];
+      const phrase = new RegExp(`\\b(?:that|this|the|same)\\s+(?:${names.join('|')})s?\\b`, 'gi');
+      const remainder = referents.remainder.replace(phrase, ' ');
+      if (remainder !== referents.remainder) {
+        referents.ids[type] = entity.id;
+        referents.implied ??= type;
+        referents.remainder = remainder;
+      }
+    }
+
+    if (PRONOUN_PATTERN.test(referents.remainder)) {
+      const latest = conversation.entities[conversation.entities.length - 1];
+      referents.ids[latest.type] ??= latest.id;
+      referents.implied ??= latest.type;
+      referents.remainder = referents.remainder.replace(new RegExp(PRONOUN_PATTERN.source, 'gi'), ' ');
+    }
+
+    return referents;
+  }
+
+  /**
+   * Score each tool by verb, resource name and description overlap
+   */
+  private selectTool(clause: string, tools: MCPTool[], referring = false): MCPTool | undefined {
+    const words = this.tokenize(clause.replace(/\bset\s+up\b/gi, 'setup').replace(/\bchange\s+requests?\b/gi, 'changerequest'));
+    let verb = words.map(w => VERB_SYNONYMS[w]).find(Boolean);
+    // Adjacent word pairs, for two-word resources such as message_threads ("message threads")
+    const pairs = words.slice(1).map((w, i) => `${words[i]}${w}`);
+
+    // "show orders" without an ID (or an earlier entity) means listing them
+    if (verb === 'get' && !clause.match(UUID_PATTERN) && !referring) {
+      verb = 'list';
+    }
+
+    let best: { tool: MCPTool; score: number } | undefined;
+    for (const tool of tools) {
+      const [toolVerb, ...rest] = tool.name.split('_');
+      const resource = rest.join('_');
+      const singular = resource.replace(/ies$/, 'y').replace(/s$/, '');
+
+      const compound = singular.replace(/_/g, '');
+
+      let score = 0;
+      if (compound !== singular && pairs.some(w => w === compound || w === `${compound}s`)) score += 6;
+      else if (words.some(w => w === singular || w === `${singular}s` || w === resource)) score += 5;
+      else if (words.some(w => RESOURCE_SYNONYMS[w] === singular)) score += 3;
+      if (verb === toolVerb) score += 4;
+      else if (verb === 'list' && toolVerb === 'search') score += 2;
+      else if (verb === 'search' && toolVerb === 'list') score += 1;
+      else if (verb) score -= 4;
+
+      const descriptionWords = new Set(this.tokenize(tool.description));
+      score += words.filter(w => !STOP_WORDS.has(w) && descriptionWords.has(w)).length * 0.5;
+
+      if (score > 0 && (!best || score > best.score)) {
+        best = { tool, score };
+      }
+    }
+
+    return best && best.score >= 5 ? best.tool : undefined;
+  }
+
+  /**
+   * Pull parameter values out of the clause using the tool's input schema
+   */
+  private extractParams(
+    clause: string,
+    tool: MCPTool,
+    previousSteps: PlanStep[],
+    referencedIds: Record<string, string> = {}
+  ): Record<string, any> {
+    const properties = tool.inputSchema.properties || {};
+    const writable = (name: string) => properties[name] && !properties[name].readOnly;
+    const params: Record<string, any> = {};
+
+    // IDs: the first UUID is the target for get/update/delete
+    const ids = clause.match(UUID_PATTERN) || [];
+    if (ids.length > 0 && writable('id')) {
+      params.id = ids[0];
+    }
+    for (const match of clause.matchAll(/\b([a-z]+)\s+([0-9a-f-]{36})\b/gi)) {
+      const field = `${match[1].toLowerCase()}id`;
+      if (writable(field) && params.id !== match[2]) {
+        params[field] = match[2];
+      }
+    }
+
+    // Names: quoted text, or capitalized words after "for", "called" or "named"
+    const name = clause.match(/"([^"]+)"/)?.[1]
+      || clause.match(/\b(?:for|called|named)\s+([A-Z][\w&'.-]*(?:\s+[A-Z][\w&'.-]*)*)/)?.[1];
+    if (name && writable('name')) {
+      params.name = name;
+    }
+
+    // Replies: "reply to message <id>"
+    const replyTo = clause.match(/\breply(?:ing)?\s+to\s+(?:message\s+)?([0-9a-f-]{36})\b/i)?.[1];
+    if (replyTo && writable('replytomessageid')) {
+      params.replytomessageid = replyTo;
+    }
+
+    // Message text: quoted, or everything after "saying"
+    const text = clause.match(/\bsaying\s+(.+)$/i)?.[1]?.replace(/^"(.*)"$/, '$1') || clause.match(/"([^"]+)"/)?.[1];
+    if (text && writable('message') && !writable('name')) {
+      params.message = text.trim();
+    }
+
+    // Decision notes: "reject ... because the dates clash"
+    const reason = clause.match(/\b(?:because|reason:?)\s+(.+)$/i)?.[1];
+    if (reason && writable('reason')) {
+      params.reason = reason.trim();
+    }
+
+    // Amounts: "budget 500", "$50k", "50000 impressions"
+    const budget = clause.match(/\b(?:budget|spend)\s*(?:of\s*|to\s*)?\$?([\d,.]+)\s*([km])?\b/i)
+      || clause.match(/\$([\d,.]+)\s*([km])?\b/i);
+    if (budget && writable('budget')) {
+      params.budget = this.parseAmount(budget[1], budget[2]);
+    }
+    const quantity = clause.match(/\b([\d,.]+)\s*([km])?\s*(?:impressions|imps|units|clicks)\b/i);
+    if (quantity && writable('quantity')) {
+      params.quantity = Math.round(this.parseAmount(quantity[1], quantity[2]));
+    }
+
+    // Currency codes, with "$" implying USD
+    if (writable('currency')) {
+      const currency = clause.match(new RegExp(`\\b(${CURRENCIES.join('|')})\\b`, 'i'))?.[1];
+      if (currency) params.currency = currency.toUpperCase();
+      else if (clause.includes('$')) params.currency = 'USD';
+    }
+
+    // Dates: first is the start, second the end
+    const dates = clause.match(/\b\d{4}-\d{2}-\d{2}(?:T[\d:.]+Z?)?\b/g) || [];
+    const toDateTime = (date: string) => (date.includes('T') ? date : `${date}T00:00:00Z`);
+    if (dates[0] && writable('startdate')) params.startdate = toDateTime(dates[0]);
+    if (dates[1] && writable('enddate')) params.enddate = toDateTime(dates[1]);
+
+    // Enum values mentioned verbatim (e.g. CPM, Booked, Week)
+    const words = new Set(this.tokenize(clause));
+    for (const [field, schema] of Object.entries<any>(properties)) {
+      if (params[field] !== undefined || !writable(field) || !Array.isArray(schema.enum)) continue;
+      const value = schema.enum.find((option: any) => typeof option === 'string' && words.has(option.toLowerCase()));
+      if (value) params[field] = value;
+    }
+
+    // Free-text search, minus words already taken as filters (currency, enum values, amounts)
+    if (tool.name.startsWith('search_') && writable('query')) {
+      const consumed = new Set(Object.values(params).filter(v => typeof v === 'string').flatMap(v => this.tokenize(v)));
+      if (params.budget !== undefined) ['budget', 'spend'].forEach(w => consumed.add(w));
+      const query = this.tokenize(clause)
+        .filter(w => !VERB_SYNONYMS[w] && !STOP_WORDS.has(w) && !tool.name.includes(w.replace(/s$/, '')))
+        .filter(w => !consumed.has(w) && !/^\d/.test(w))
+        .join(' ');
+      if (query) params.query = query;
+    }
+
+    // Link "<resource>id" to the ID returned by the most recent step for that resource
+    for (let i = previousSteps.length - 1; i >= 0; i--) {
+      const previousResource = previousSteps[i].toolName.split('_').slice(1).join('_');
+      const field = `${previousResource}id`;
+      if (writable(field) && params[field] === undefined) {
+        params[field] = `{{steps[${i}].result.id}}`;
+      }
+    }
+
+    // Entities from earlier turns: the tool's own resource is the target, others fill "<type>id"
+    const resource = tool.name.split('_').slice(1).join('_').replace(/ies$/, 'y').replace(/s$/, '');
+    for (const [type, id] of Object.entries(referencedIds)) {
+      const field = type === resource ? 'id' : `${type}id`;
+      if (writable(field) && params[field] === undefined) {
+        params[field] = id;
+      }
+    }
+
+    return params;
+  }
+
+  private parseAmount(value: string, suffix?: string): number {
+    const amount = parseFloat(value.replace(/,/g, ''));
+    const multiplier = suffix?.toLowerCase() === 'k' ? 1_000 : suffix?.toLowerCase() === 'm' ? 1_000_000 : 1;
+    return amount * multiplier;
+  }
+
+  private tokenize(text: string): string[] {
+    return text.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  }
+}
@@ -0,0 +1,275 @@
+/**
+ * Change Request Workflow
+ * Buyer-proposed edits to an order and its booked lines. Submitting puts the
+ * lines in ChangePending; the seller's approval applies every edit at once, and
+ * approval or rejection returns the lines to the status they had.
+ */
+
+import { ToolError } from './errors.js';
+import { assertLineTransition, type BookingStatus } from './line-state-machine.js';
+import { repriceLine } from './line-pricing.js';
+import type { Entity, EntityStore } from './entity-store.js';
+import type { ResourceWebhooks } from './resource-webhooks.js';
+
+export interface ChangeSet {
+  order?: Record<string, any>;
+  lines?: Array<{ id: string; [field: string]: any }>;
+}
+
+// What the changed fields held at submission, checked again before approval
+interface OriginalValues {
+  order?: Record<string, any>;
+  lines: Array<{ id: string; bookingstatus: BookingStatus; [field: string]: any }>;
+}
+
+interface Conflict {
+  resource: 'Order' | 'Line';
+  id: string;
+  field: string;
+  expected: any;
+  actual: any;
+}
+
+// Line statuses where the buyer edits through change requests rather than update_line
+export const CHANGE_CONTROLLED_STATUSES: BookingStatus[] = ['Booked', 'InFlight', 'ChangePending'];
+
+// Fields the buyer may still set directly on a change-controlled line
+const DIRECT_LINE_FIELDS = ['id', 'bookingstatus', 'comment'];
+
+/**
+ * Keep the buyer from editing a booked, in-flight or change-pending line directly
+ * Status moves and comments still go through update_line; anything else needs a change request
+ */
+export function assertDirectLineEdit(line: Entity, fields: Record<string, any>, role?: 'buyer' | 'seller') {
+  if (role !== 'buyer' || !CHANGE_CONTROLLED_STATUSES.includes(line.bookingstatus)) return;
+
+  const edited = Object.keys(fields).filter(field =>
+    !DIRECT_LINE_FIELDS.includes(field) && fields[field] !== undefined && fields[field] !== line[field]
+  );
+  if (edited.length > 0) {
+    throw new ToolError(
+      'CHANGE_REQUEST_REQUIRED',
+      `Line ${line.id} is ${line.bookingstatus}; propose changes to ${edited.join(', ')} with create_changerequest`,
+      { id: line.id, bookingstatus: line.bookingstatus, fields: edited }
+    );
+  }
+}
+
+// Fields the buyer may still set directly on an order with change-controlled lines
+const DIRECT_ORDER_FIELDS = ['id', 'orderstatus'];
+
+/**
+ * Keep the buyer from editing an order directly once any of its lines is booked,
+ * in flight or change-pending; those edits need a change request too
+ */
+export function assertDirectOrderEdit(order: Entity, lines: Entity[], fields: Record<string, any>, role?: 'buyer' | 'seller') {
+  const controlled = lines.filter(line => CHANGE_CONTROLLED_STATUSES.includes(line.bookingstatus));
+  if (role !== 'buyer' || controlled.length === 0) return;
+
+  const edited = Object.keys(fields).filter(field =>
+    !DIRECT_ORDER_FIELDS.includes(field) && fields[field] !== undefined && !sameValue(fields[field], order[field])
+  );
+  if (edited.length > 0) {
+    throw new ToolError(
+      'CHANGE_REQUEST_REQUIRED',
+      `Order ${order.id} has ${controlled.map(line => `${line.bookingstatus} line ${line.id}`).join(', ')}; ` +
+        `propose changes to ${edited.join(', ')} with create_changerequest`,
+      { id: order.id, lines: controlled.map(({ id, bookingstatus }) => ({ id, bookingstatus })), fields: edited }
+    );
+  }
+}
+
+export class ChangeRequestWorkflow {
+  private store: EntityStore;
+  private webhooks: ResourceWebhooks;
+
+  constructor(store: EntityStore, webhooks: ResourceWebhooks) {
+    this.store = store;
+    this.webhooks = webhooks;
+  }
+
+  /**
+   * Record a PENDING change request and put its lines in ChangePending
+   * Everything is checked before anything is written: the order and lines exist,
+   * the lines belong to the order and may move to ChangePending, and the changed
+   * lines still meet their product's booking limits.
+   */
+  submit(params: Record<string, any>): Entity {
+    const { changes = {}, ...fields } = params as { changes?: ChangeSet; [field: string]: any };
+    const order = this.store.get('Order', fields.orderid);
+    const orderChanges = changes.order ?? {};
+    const lineChanges = changes.lines ?? [];
+
+    if (order.accountid && fields.accountid !== order.accountid) {
+      throw ToolError.invalidArgument(
+        `Order ${order.id} belongs to account ${order.accountid}, not ${fields.accountid}`,
+        { field: 'accountid' }
+      );
+    }
+    if (Object.keys(orderChanges).length === 0 && lineChanges.length === 0) {
+      throw ToolError.invalidArgument('A change request needs at least one change to the order or its lines', { field: 'changes' });
+    }
+
+    const seen = new Set<string>();
+    const lines = lineChanges.map(({ id, ...edits }) => {
+      if (seen.has(id)) {
+        throw ToolError.invalidArgument(`Line ${id} appears more than once in the changes`, { field: 'changes.lines', id });
+      }
+      seen.add(id);
+
+      const line = this.store.get('Line', id);
+      if (line.orderid !== order.id) {
+        throw ToolError.invalidArgument(`Line ${id} belongs to order ${line.orderid}, not ${order.id}`, { field: 'changes.lines', id });
+      }
+      const transition = assertLineTransition(line.bookingstatus, 'ChangePending', 'buyer');
+      repriceLine(this.store, edits, line);
+      return { line, edits, transition };
+    });
+
+    const original: OriginalValues = {
+      ...(Object.keys(orderChanges).length > 0 && { order: pick(order, Object.keys(orderChanges)) }),
+      lines: lines.map(({ line, edits }) => ({ ...pick(line, Object.keys(edits)), id: line.id, bookingstatus: line.bookingstatus }))
+    };
+    const request = this.store.create('ChangeRequest', { ...fields, changes, status: 'PENDING', original });
+
+    for (const { line, transition } of lines) {
+      this.store.update('Line', line.id, {
+        bookingstatus: 'ChangePending',
+        statechangereason: `${transition.reason} (change request ${request.id})`
+      });
+    }
+
+    console.log(`🔁 Change request ${request.id} submitted for order ${order.id} (${lines.length} line(s))`);
+    return this.notify(request);
+  }
+
+  /**
+   * Apply every change and return the lines to their earlier status
+   * Fails with CHANGE_CONFLICT, applying nothing, when a changed field was edited
+   * after submission; the buyer then submits a new request against current values.
+   */
+  approve(id: string, reason?: string): Entity {
+    const request = this.getPending(id);
+
+    const conflicts = this.findConflicts(request);
+    if (conflicts.length > 0) {
+      throw new ToolError(
+        'CHANGE_CONFLICT',
+        `Change request ${id} no longer applies: ` +
+          conflicts.map(c => `${c.resource} ${c.id} ${c.field} is ${JSON.stringify(c.actual)}, expected ${JSON.stringify(c.expected)}`).join('; '),
+        { id, conflicts }
+      );
+    }
+
+    // Work out every write first so a failure leaves nothing half-applied
+    const changes: ChangeSet = request.changes ?? {};
+    const lineUpdates = (changes.lines ?? []).map(({ id: lineId, ...edits }) => {
+      const line = this.store.get('Line', lineId);
+      return {
+        id: lineId,
+        fields: { ...edits, ...repriceLine(this.store, edits, line), ...this.restoreStatus(request, line, 'approved', reason) }
+      };
+    });
+
+    if (changes.order && Object.keys(changes.order).length > 0) {
+      this.store.update('Order', request.orderid, changes.order);
+    }
+    for (const { id: lineId, fields } of lineUpdates) {
+      this.store.update('Line', lineId, fields);
+    }
+
+    return this.decide(request, 'APPROVED', reason);
+  }
+
+  /**
+   * Leave the order and lines as they are and return the lines to their earlier status
+   */
+  reject(id: string, reason: string): Entity {
+    const request = this.getPending(id);
+    const original: OriginalValues = request.original ?? { lines: [] };
+
+    const lineUpdates = original.lines.map(({ id: lineId }) => ({
+      id: lineId,
+      fields: this.restoreStatus(request, this.store.get('Line', lineId), 'rejected', reason)
+    }));
+    for (const { id: lineId, fields } of lineUpdates) {
+      if (Object.keys(fields).length > 0) this.store.update('Line', lineId, fields);
+    }
+
+    return this.decide(request, 'REJECTED', reason);
+  }
+
+  private getPending(id: string): Entity {
+    if (typeof id !== 'string' || !id) {
+      throw ToolError.invalidArgument('A change request "id" is required', { field: 'id' });
+    }
+    const request = this.store.get('ChangeRequest', id);
+    if (request.status !== 'PENDING') {
+      throw new ToolError('CHANGE_REQUEST_CLOSED', `Change request ${id} is already ${request.status}`, { id, status: request.status });
+    }
+    return request;
+  }
+
+  /**
+   * Changed fields whose value moved since submission, and lines no longer in ChangePending
+   */
+  private findConflicts(request: Entity): Conflict[] {
+    const original: OriginalValues = request.original ?? { lines: [] };
+    const changes: ChangeSet = request.changes ?? {};
+    const conflicts: Conflict[] = [];
+
+    const compare = (resource: Conflict['resource'], entity: Entity, fields: string[], expected: Record<string, any>) => {
+      for (const field of fields) {
+        if (!sameValue(entity[field], expected[field])) {
+          conflicts.push({ resource, id: entity.id, field, expected: expected[field], actual: entity[field] });
+        }
+      }
+    };
+
+    if (changes.order) {
+      compare('Order', this.store.get('Order', request.orderid), Object.keys(changes.order), original.order ?? {});
+    }
+    for (const { id, ...edits } of changes.lines ?? []) {
+      const line = this.store.get('Line', id);
+      const before = original.lines.find(l => l.id === id) ?? { id, bookingstatus: 'ChangePending' };
+      compare('Line', line, Object.keys(edits), before);
+      compare('Line', line, ['bookingstatus'], { bookingstatus: 'ChangePending' });
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Move a line out of ChangePending back to the status it had at submission
+   * Lines the seller already moved on are left alone.
+   */
+  private restoreStatus(request: Entity, line: Entity, outcome: 'approved' | 'rejected', reason?: string) {
+    const before = (request.original as OriginalValues | undefined)?.lines.find(l => l.id === line.id);
+    if (!before || line.bookingstatus !== 'ChangePending') return {};
+
+    const transition = assertLineTransition('ChangePending', before.bookingstatus, 'seller');
+    return {
+      bookingstatus: before.bookingstatus,
+      statechangereason: `${transition.reason} (${outcome} change request ${request.id}${reason ? `: ${reason}` : ''})`
+    };
+  }
+
+  private decide(request: Entity, status: 'APPROVED' | 'REJECTED', reason?: string): Entity {
+    const decided = this.store.update('ChangeRequest', request.id, { status, ...(reason && { statusreason: reason }) });
+    console.log(`🔁 Change request ${request.id} ${status}`);
+    return this.notify(decided);
+  }
+
+  private notify(request: Entity): Entity {
+    this.webhooks.notify('ChangeRequest', request, request.webhook);
+    return request;
+  }
+}
+
+function pick(entity: Entity, fields: string[]): Record<string, any> {
+  return Object.fromEntries(fields.map(field => [field, entity[field]]));
+}
+
+function sameValue(a: any, b: any): boolean {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
@@ -0,0 +1,256 @@
+/**
+ * Creative Assignments
+ * Placements put a line's product ad unit to use; assignments rotate creatives
+ * through a placement. A creative must fit the placement's spec to be assigned,
+ * and a line only goes InFlight with approved creatives and consistent weights.
+ */
+
+import { ToolError } from './errors.js';
+import { assertLineTransition } from './line-state-machine.js';
+import { inspectCreative, matchCreativeSpec } from './creative-specs.js';
+import type { CreativeApproval } from './creative-review.js';
+import type { Entity, EntityStore } from './entity-store.js';
+
+export interface AssignmentFilter {
+  lineid?: string;
+  placementid?: string;
+  creativeid?: string;
+}
+
+// Weights of a line's active assignments must add up to this before it delivers
+const FULL_ROTATION = 100;
+
+export class CreativeAssignments {
+  private store: EntityStore;
+
+  constructor(store: EntityStore) {
+    this.store = store;
+  }
+
+  /**
+   * Store a placement on the ad unit of its line's product
+   */
+  createPlacement(fields: Record<string, any>): Entity {
+    const line = this.store.get('Line', fields.lineid);
+    const adunit = this.productAdUnit(line);
+    if (fields.adunitid !== undefined && fields.adunitid !== adunit.id) {
+      throw ToolError.invalidArgument(
+        `Line ${line.id} is for ad unit ${adunit.id}, not ${fields.adunitid}`,
+        { field: 'adunitid', adunitid: adunit.id }
+      );
+    }
+    return this.store.create('Placement', { ...fields, adunitid: adunit.id });
+  }
+
+  /**
+   * Assign a creative to a placement it fits
+   * The creative is checked against the placement's creativespec, or its ad
+   * unit's when the placement does not override it. A line that is already
+   * delivering only takes creatives its publisher approved.
+   */
+  assign(fields: Record<string, any>): Entity {
+    const creative = this.store.get('Creative', fields.creativeid);
+    const placement = this.store.get('Placement', fields.placementid);
+    const line = this.store.get('Line', placement.lineid);
+    this.assertFits(creative.id, creative.creativeasset, placement);
+
+    const active = this.list({ placementid: placement.id }).filter(a => a.status === 'Active');
+    if (active.some(a => a.creativeid === creative.id)) {
+      throw ToolError.invalidArgument(
+        `Creative ${creative.id} is already assigned to placement ${placement.id}`,
+        { field: 'creativeid' }
+      );
+    }
+    this.assertWeights(line, fields.weight);
+    if (line.bookingstatus === 'InFlight') {
+      this.assertApproved(line, [creative]);
+    }
+
+    const assignment = this.store.create('Assignment', { ...fields, status: 'Active' });
+    console.log(`🧩 Creative ${creative.id} assigned to placement ${placement.id} of line ${line.id}`);
+    return assignment;
+  }
+
+  /**
+   * Delete an assignment
+   * A delivering line must stay ready to deliver without it, so its last
+   * creative or part of its weights cannot be taken away while it is InFlight.
+   */
+  unassign(id: string): Entity {
+    const assignment = this.store.get('Assignment', id);
+    const placement = this.store.find('Placement', assignment.placementid);
+    const line = placement && this.store.find('Line', placement.lineid);
+    if (line?.bookingstatus === 'InFlight') {
+      this.assertReadyToDeliver(line, id);
+    }
+
+    return this.store.delete('Assignment', id);
+  }
+
+  /**
+   * Check a replacement asset still fits every placement the creative is
+   * actively assigned to, before the creative is updated
+   */
+  assertAssignedFit(creative: Entity, creativeasset: Record<string, any>) {
+    for (const assignment of this.list({ creativeid: creative.id }).filter(a => a.status === 'Active')) {
+      const placement = this.store.find('Placement', assignment.placementid);
+      if (placement) this.assertFits(creative.id, creativeasset, placement);
+    }
+  }
+
+  /**
+   * Pause the delivering lines a creative is assigned to once their publisher
+   * no longer approves it (the seller rejected it, or a new asset reset the
+   * reviews); returns the paused lines
+   * Lines whose product is missing have no publisher to check and are left as
+   * they are, so the creative update never fails after some lines were paused.
+   */
+  pauseLinesOf(creative: Entity): Entity[] {
+    const approvals: CreativeApproval[] = creative.creativeapprovals ?? [];
+    const { reason } = assertLineTransition('InFlight', 'Pause', 'seller');
+
+    const paused: Entity[] = [];
+    for (const assignment of this.list({ creativeid: creative.id }).filter(a => a.status === 'Active')) {
+      const placement = this.store.find('Placement', assignment.placementid);
+      const line = placement && this.store.find('Line', placement.lineid);
+      if (line?.bookingstatus !== 'InFlight') continue;
+
+      const product = line.productid && this.store.find('Product', line.productid);
+      if (!product) continue;
+
+      const { publisherid } = product;
+      const approval = approvals.find(a => a.publisherid === publisherid);
+      if (approval?.approvalstatus === 'Approved') continue;
+
+      paused.push(this.store.update('Line', line.id, {
+        bookingstatus: 'Pause',
+        statechangereason: `${reason}: creative ${creative.id} is ${approval?.approvalstatus ?? 'not submitted'} for publisher ${publisherid}`
+      }));
+      console.log(`⏸️  Line ${line.id} paused: creative ${creative.id} no longer approved by ${publisherid}`);
+    }
+    return paused;
+  }
+
+  /**
+   * Assignments matching every given filter; lineid matches through the placement
+   */
+  list(filter: AssignmentFilter = {}): Entity[] {
+    const { lineid, ...fields } = filter;
+    const placements = lineid ? new Set(this.store.list('Placement', { lineid }).map(p => p.id)) : undefined;
+    return this.store.list('Assignment', fields).filter(a => !placements || placements.has(a.placementid));
+  }
+
+  /**
+   * Check a line can start delivering: it has active assignments, every assigned
+   * creative is approved by the line's publisher, and weights add up to 100
+   * With `without`, check the line as it would be once that assignment is deleted.
+   */
+  assertReadyToDeliver(line: Entity, without?: string) {
+    const active = this.list({ lineid: line.id }).filter(a => a.status === 'Active' && a.id !== without);
+    const change = without ? `Deleting assignment ${without} would leave InFlight line ${line.id}` : `Line ${line.id}`;
+    if (active.length === 0) {
+      throw new ToolError(
+        'NO_CREATIVES_ASSIGNED',
+        without
+          ? `${change} with no creatives assigned`
+          : `${change} has no creatives assigned; assign approved creatives before it goes InFlight`,
+        { lineid: line.id, ...(without && { id: without }) }
+      );
+    }
+
+    const weighted = active.filter(a => a.weight !== undefined);
+    const total = weighted.reduce((sum, a) => sum + a.weight, 0);
+    if (weighted.length > 0 && total !== FULL_ROTATION) {
+      throw new ToolError(
+        'ASSIGNMENT_WEIGHTS',
+        without
+          ? `${change} with assignment weights adding up to ${total}, not ${FULL_ROTATION}`
+          : `Assignment weights on line ${line.id} add up to ${total}, not ${FULL_ROTATION}`,
+        { lineid: line.id, total, assignments: weighted.map(a => ({ id: a.id, weight: a.weight })), ...(without && { id: without }) }
+      );
+    }
+
+    const creatives = Array.from(new Set(active.map(a => a.creativeid))).map(id => this.store.get('Creative', id));
+    this.assertApproved(line, creatives);
+  }
+
+  /**
+   * The asset must fit the placement's creativespec, or its ad unit's when the
+   * placement does not override it
+   */
+  private assertFits(creativeid: string, creativeasset: Record<string, any> | undefined, placement: Entity) {
+    const spec = placement.creativespec ?? this.findAdUnit(placement.adunitid)?.creativespec;
+    const { profile } = inspectCreative(creativeasset ?? {});
+    const problems = profile ? matchCreativeSpec(profile, spec) : ['its asset cannot be read'];
+    if (problems.length > 0) {
+      throw new ToolError(
+        'CREATIVE_MISMATCH',
+        `Creative ${creativeid} does not fit placement ${placement.id} (ad unit ${placement.adunitid}): ${problems.join('; ')}`,
+        { creativeid, placementid: placement.id, adunitid: placement.adunitid, problems }
+      );
+    }
+  }
+
+  /**
+   * Either every active assignment on a line carries a weight or none does, and
+   * weights never add up to more than 100
+   */
+  private assertWeights(line: Entity, weight: number | undefined) {
+    const active = this.list({ lineid: line.id }).filter(a => a.status === 'Active');
+    if (active.length > 0 && active.some(a => a.weight !== undefined) !== (weight !== undefined)) {
+      throw ToolError.invalidArgument(
+        weight === undefined
+          ? `Assignments on line ${line.id} are weighted; give this one a weight too`
+          : `Assignments on line ${line.id} rotate evenly without weights; leave out the weight`,
+        { field: 'weight' }
+      );
+    }
+
+    const total = active.reduce((sum, a) => sum + (a.weight ?? 0), 0) + (weight ?? 0);
+    if (total > FULL_ROTATION) {
+      throw new ToolError(
+        'ASSIGNMENT_WEIGHTS',
+        `Assignment weights on line ${line.id} would add up to ${total}, more than ${FULL_ROTATION}`,
+        { lineid: line.id, total }
+      );
+    }
+  }
+
+  /**
+   * Every creative must be Approved by the publisher of the line's product
+   */
+  private assertApproved(line: Entity, creatives: Entity[]) {
+    const { publisherid } = this.store.get('Product', line.productid);
+    const unapproved = creatives
+      .map(creative => ({
+        creative,
+        approval: ((creative.creativeapprovals ?? []) as CreativeApproval[]).find(a => a.publisherid === publisherid)
+      }))
+      .filter(({ approval }) => approval?.approvalstatus !== 'Approved');
+
+    if (unapproved.length > 0) {
+      throw new ToolError(
+        'CREATIVE_NOT_APPROVED',
+        `Publisher ${publisherid} has not approved creative(s) for line ${line.id}: ` +
+          unapproved.map(({ creative, approval }) => `${creative.id} (${approval?.approvalstatus ?? 'not submitted'})`).join(', '),
+        { lineid: line.id, publisherid, creatives: unapproved.map(({ creative, approval }) => ({ id: creative.id, approvalstatus: approval?.approvalstatus })) }
+      );
+    }
+  }
+
+  private productAdUnit(line: Entity): { id: string; creativespec?: Record<string, any> } {
+    if (!line.productid) {
+      throw ToolError.invalidArgument(`Line ${line.id} has no product, so it has no ad unit to place`, { field: 'lineid' });
+    }
+    const product = this.store.get('Product', line.productid);
+    if (!product.adunit) {
+      throw ToolError.invalidArgument(`Product ${product.id} has no ad unit`, { field: 'lineid' });
+    }
+    return product.adunit;
+  }
+
+  // Retired products still describe the ad units of lines booked on them
+  private findAdUnit(adunitid: string): { id: string; creativespec?: Record<string, any> } | undefined {
+    return this.store.list('Product').find(product => product.adunit?.id === adunitid)?.adunit;
+  }
+}
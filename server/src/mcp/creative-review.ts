@@ -0,0 +1,223 @@
+/**
+ * Creative Review
+ * Validates creatives when their asset is set and records the outcome per
+ * publisher in creativeapprovals: Pending when the creative fits one of the
+ * publisher's ad units, Rejected when it fits none. The seller then approves or
+ * rejects the pending reviews.
+ */
+
+import { ToolError } from './errors.js';
+import { inspectCreative, matchCreativeSpec, acceptedFormats, type CreativeProfile } from './creative-specs.js';
+import { isActive } from './product-catalog.js';
+import type { Entity, EntityStore } from './entity-store.js';
+
+export type ApprovalStatus = 'Pending' | 'Approved' | 'Rejected';
+
+export interface CreativeApproval {
+  publisherid: string;
+  approvalstatus: ApprovalStatus;
+  // Ad units of the publisher the creative fits
+  adunitids: string[];
+  reason?: string;
+  decidedat?: string;
+}
+
+interface AdUnit {
+  id: string;
+  name?: string;
+  creativespec?: Record<string, any>;
+}
+
+export class CreativeReview {
+  private store: EntityStore;
+
+  constructor(store: EntityStore) {
+    this.store = store;
+  }
+
+  /**
+   * Store a creative whose asset passed inspection, reviewed for each publisher
+   * Without creativeapprovals, every publisher with an ad unit for the
+   * creative's format reviews it.
+   */
+  create(fields: Record<string, any>): Entity {
+    const profile = this.inspect(fields.creativeasset);
+    const creativeapprovals = this.targetPublishers(fields.creativeapprovals, profile).map(p => this.review(profile, p));
+
+    const creative = this.store.create('Creative', { ...fields, creativeapprovals });
+    this.log(creative, profile);
+    return creative;
+  }
+
+  /**
+   * Update a creative, reviewing it again where its asset or publishers changed
+   * A new asset resets every review, including the seller's decisions; a new
+   * publisher list keeps the reviews of publishers already on it.
+   */
+  update(id: string, fields: Record<string, any>): Entity {
+    const creative = this.store.get('Creative', id);
+    const { creativeasset, creativeapprovals: requested, ...rest } = fields;
+    if (creativeasset === undefined && requested === undefined) {
+      return this.store.update('Creative', id, rest);
+    }
+
+    const assetChanged = creativeasset !== undefined && JSON.stringify(creativeasset) !== JSON.stringify(creative.creativeasset);
+    const profile = this.inspect(creativeasset ?? creative.creativeasset);
+    const previous: CreativeApproval[] = creative.creativeapprovals ?? [];
+    const publishers = this.targetPublishers(requested ?? previous, profile);
+
+    const creativeapprovals = publishers.map(publisherid =>
+      (!assetChanged && previous.find(a => a.publisherid === publisherid)) || this.review(profile, publisherid)
+    );
+
+    const updated = this.store.update('Creative', id, { ...rest, ...(creativeasset !== undefined && { creativeasset }), creativeapprovals });
+    this.log(updated, profile);
+    return updated;
+  }
+
+  /**
+   * Approve the creative for one publisher, or for every publisher still reviewing it
+   * Only pending reviews can be approved: a creative that fits none of a
+   * publisher's ad units has to be fixed first.
+   */
+  approve(id: string, publisherid?: string, reason?: string): Entity {
+    return this.decide(id, 'Approved', ['Pending'], publisherid, reason);
+  }
+
+  /**
+   * Reject the creative for one publisher, or for every publisher that has not rejected it yet
+   */
+  reject(id: string, publisherid: string | undefined, reason: string): Entity {
+    return this.decide(id, 'Rejected', ['Pending', 'Approved'], publisherid, reason);
+  }
+
+  private decide(
+    id: string,
+    decision: ApprovalStatus,
+    from: ApprovalStatus[],
+    publisherid?: string,
+    reason?: string
+  ): Entity {
+    if (typeof id !== 'string' || !id) {
+      throw ToolError.invalidArgument('A creative "id" is required', { field: 'id' });
+    }
+
+    const creative = this.store.get('Creative', id);
+    const approvals: CreativeApproval[] = creative.creativeapprovals ?? [];
+    const verb = decision === 'Approved' ? 'approve' : 'reject';
+
+    const targets = publisherid
+      ? approvals.filter(a => a.publisherid === publisherid)
+      : approvals.filter(a => from.includes(a.approvalstatus));
+    if (publisherid && targets.length === 0) {
+      throw ToolError.invalidArgument(`Creative ${id} was not submitted to publisher ${publisherid}`, { field: 'publisherid' });
+    }
+    const closed = targets.find(a => !from.includes(a.approvalstatus));
+    if (targets.length === 0 || closed) {
+      throw new ToolError(
+        'CREATIVE_REVIEW_CLOSED',
+        closed
+          ? `Creative ${id} is already ${closed.approvalstatus} for publisher ${closed.publisherid}${closed.reason ? `: ${closed.reason}` : ''}`
+          : `Creative ${id} has no ${from.join(' or ').toLowerCase()} review to ${verb}`,
+        { id, ...(closed && { publisherid: closed.publisherid, approvalstatus: closed.approvalstatus }) }
+      );
+    }
+
+    const decidedat = new Date().toISOString();
+    const creativeapprovals = approvals.map(approval => targets.includes(approval)
+      ? { publisherid: approval.publisherid, approvalstatus: decision, adunitids: approval.adunitids, ...(reason && { reason }), decidedat }
+      : approval);
+
+    const updated = this.store.update('Creative', id, { creativeapprovals });
+    console.log(`🎨 Creative ${id} ${decision} for ${targets.map(a => a.publisherid).join(', ')}`);
+    return updated;
+  }
+
+  /**
+   * Inspect an asset, throwing INVALID_CREATIVE with every problem found
+   */
+  private inspect(asset: Record<string, any> | undefined): CreativeProfile {
+    const { profile, issues } = inspectCreative(asset ?? {});
+    if (!profile || issues.length > 0) {
+      throw new ToolError(
+        'INVALID_CREATIVE',
+        `Creative asset is invalid: ${issues.map(i => `${i.field} ${i.message}`).join('; ')}`,
+        { errors: issues }
+      );
+    }
+    return profile;
+  }
+
+  /**
+   * Publishers to review the creative, each of which must sell at least one ad unit
+   */
+  private targetPublishers(requested: Array<{ publisherid: string }> | undefined, profile: CreativeProfile): string[] {
+    const adUnits = this.adUnitsByPublisher();
+    if (!requested?.length) {
+      return Array.from(adUnits.entries())
+        .filter(([, units]) => units.some(unit => takesFormat(unit, profile)))
+        .map(([publisherid]) => publisherid);
+    }
+
+    const publishers = Array.from(new Set(requested.map(a => a.publisherid)));
+    for (const publisherid of publishers) {
+      if (!adUnits.has(publisherid)) {
+        throw ToolError.invalidArgument(
+          `Publisher ${publisherid} has no ad units in the product catalog`,
+          { field: 'creativeapprovals', publisherid }
+        );
+      }
+    }
+    return publishers;
+  }
+
+  /**
+   * Check the creative against every ad unit of its format the publisher sells
+   */
+  private review(profile: CreativeProfile, publisherid: string): CreativeApproval {
+    const results = (this.adUnitsByPublisher().get(publisherid) ?? [])
+      .filter(unit => takesFormat(unit, profile))
+      .map(unit => ({ unit, problems: matchCreativeSpec(profile, unit.creativespec) }));
+    const fits = results.filter(({ problems }) => problems.length === 0);
+
+    if (fits.length > 0) {
+      return { publisherid, approvalstatus: 'Pending', adunitids: fits.map(({ unit }) => unit.id) };
+    }
+    return {
+      publisherid,
+      approvalstatus: 'Rejected',
+      adunitids: [],
+      reason: results.length === 0
+        ? `The publisher sells no ad units for ${profile.format} creatives`
+        : `Fits none of the publisher's ${profile.format} ad units: ${results.map(({ unit, problems }) => `${unit.name || unit.id} (${problems.join(', ')})`).join('; ')}`,
+      decidedat: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Ad units of the products on sale, by publisher
+   */
+  private adUnitsByPublisher(): Map<string, AdUnit[]> {
+    const units = new Map<string, AdUnit[]>();
+    for (const product of this.store.list('Product')) {
+      if (!product.publisherid || !product.adunit || !isActive(product)) continue;
+      const known = units.get(product.publisherid) ?? [];
+      if (!known.some(unit => unit.id === product.adunit.id)) {
+        units.set(product.publisherid, [...known, product.adunit]);
+      }
+    }
+    return units;
+  }
+
+  private log(creative: Entity, profile: CreativeProfile) {
+    const approvals: CreativeApproval[] = creative.creativeapprovals ?? [];
+    const pending = approvals.filter(a => a.approvalstatus === 'Pending').length;
+    console.log(`🎨 Creative ${creative.id} (${profile.format}) in review with ${pending} of ${approvals.length} publisher(s)`);
+  }
+}
+
+// An ad unit whose spec names no format takes any creative
+function takesFormat(unit: AdUnit, profile: CreativeProfile): boolean {
+  const formats = acceptedFormats(unit.creativespec);
+  return formats.length === 0 || formats.includes(profile.format);
+}
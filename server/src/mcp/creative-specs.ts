@@ -0,0 +1,461 @@
+/**
+ * Creative Specs
+ * Checks a creative asset (AdCOM CreativeResp) on its own - markup, MIME types,
+ * VAST/DAAST structure - and against an ad unit's AdCOM CreativeSpec: banner
+ * size, native assets, duration and protocol
+ */
+
+export type CreativeFormat = 'banner' | 'native' | 'video' | 'audio';
+
+export interface CreativeIssue {
+  field: string;
+  message: string;
+}
+
+export interface MediaFile {
+  type: string;
+  w?: number;
+  h?: number;
+}
+
+// What an asset turned out to hold; values that cannot be read from it are left out
+export interface CreativeProfile {
+  format: CreativeFormat;
+  w?: number;
+  h?: number;
+  wratio?: number;
+  hratio?: number;
+  // Seconds, from the linear creative's <Duration>
+  duration?: number;
+  // AdCOM protocol (List: Creative Subtypes - Audio/Video) of the VAST or DAAST markup
+  protocol?: number;
+  mediafiles: MediaFile[];
+  // Native response object from the display markup
+  native?: Record<string, any>;
+}
+
+const DISPLAY_MIMES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/svg+xml', 'text/html', 'application/javascript'];
+const VIDEO_MIMES = [
+  'video/mp4', 'video/webm', 'video/ogg', 'video/3gpp', 'video/quicktime',
+  'application/x-mpegurl', 'application/dash+xml', 'application/javascript'
+];
+const AUDIO_MIMES = ['audio/mpeg', 'audio/mp4', 'audio/aac', 'audio/ogg', 'audio/wav', 'audio/webm'];
+
+// AdCOM protocol IDs by markup version
+const PROTOCOLS: Record<number, string> = {
+  1: 'VAST 1.0',
+  2: 'VAST 2.0',
+  3: 'VAST 3.0',
+  4: 'VAST 1.0 Wrapper',
+  5: 'VAST 2.0 Wrapper',
+  6: 'VAST 3.0 Wrapper',
+  7: 'VAST 4.0',
+  8: 'VAST 4.0 Wrapper',
+  9: 'DAAST 1.0',
+  10: 'DAAST 1.0 Wrapper',
+  11: 'VAST 4.1',
+  12: 'VAST 4.1 Wrapper',
+  13: 'VAST 4.2',
+  14: 'VAST 4.2 Wrapper'
+};
+
+// Media files match a player whose aspect ratio is within 2%
+const ASPECT_TOLERANCE = 0.02;
+
+/**
+ * Work out an asset's format and read what the spec checks need, listing every problem found
+ * An asset holds exactly one of display, video or audio. Display markup that is
+ * JSON is a native response; video and audio markup is VAST or DAAST XML. An
+ * asset given only by curl cannot be read, so its duration and sizes stay unknown.
+ */
+export function inspectCreative(asset: Record<string, any>): { profile?: CreativeProfile; issues: CreativeIssue[] } {
+  const formats = (['display', 'video', 'audio'] as const).filter(kind => asset[kind] !== undefined);
+  if (formats.length !== 1) {
+    return {
+      issues: [{
+        field: 'creativeasset',
+        message: formats.length === 0
+          ? 'must contain one of display, video or audio'
+          : `must contain only one of display, video or audio, not ${formats.join(' and ')}`
+      }]
+    };
+  }
+
+  const kind = formats[0];
+  const resp = asset[kind] ?? {};
+  const field = `creativeasset.${kind}`;
+  const issues: CreativeIssue[] = [];
+
+  if (!resp.adm && !resp.curl) {
+    issues.push({ field, message: 'needs markup (adm) or a markup URL (curl)' });
+  }
+
+  if (kind === 'display') {
+    const native = typeof resp.adm === 'string' && resp.adm.trim().startsWith('{');
+    const profile = native ? inspectNative(resp.adm, field, issues) : inspectBanner(resp, field, issues);
+    checkMimes(resp.mimes, DISPLAY_MIMES, `${field}.mimes`, issues);
+    return { profile, issues };
+  }
+
+  const allowed = kind === 'video' ? VIDEO_MIMES : AUDIO_MIMES;
+  const profile: CreativeProfile = { format: kind, mediafiles: [] };
+  checkMimes(resp.mimes, allowed, `${field}.mimes`, issues);
+  if (typeof resp.adm === 'string' && resp.adm) {
+    Object.assign(profile, inspectAdMarkup(resp.adm, kind, `${field}.adm`, issues));
+  }
+  return { profile, issues };
+}
+
+/**
+ * Every way the creative falls short of an ad unit's spec; empty when it fits
+ * Values the profile could not read are not held against it.
+ */
+export function matchCreativeSpec(profile: CreativeProfile, spec: Record<string, any> = {}): string[] {
+  const accepted = acceptedFormats(spec);
+  if (accepted.length > 0 && !accepted.includes(profile.format)) {
+    return [`takes ${accepted.join(' or ')} creatives, not ${profile.format}`];
+  }
+
+  switch (profile.format) {
+    case 'banner':
+      return matchBanner(profile, spec.display?.bannerformat ?? {});
+    case 'native':
+      return matchNative(profile, spec.display?.nativeformat);
+    case 'video':
+      return [
+        ...matchDuration(profile, spec.video?.mindur, spec.video?.maxdur),
+        ...matchProtocol(profile, spec.video?.protocols),
+        ...matchPlayerSize(profile, spec.video?.w, spec.video?.h)
+      ];
+    default:
+      return [
+        ...matchDuration(profile, spec.audio?.minduration, spec.audio?.maxduration),
+        ...matchProtocol(profile, spec.audio?.protocols)
+      ];
+  }
+}
+
+/**
+ * Creative formats an ad unit's spec takes; empty when it does not say
+ */
+export function acceptedFormats(spec: Record<string, any> = {}): CreativeFormat[] {
+  const formats: CreativeFormat[] = [];
+  if (spec.display?.bannerformat || (spec.display && !spec.display.nativeformat)) formats.push('banner');
+  if (spec.display?.nativeformat) formats.push('native');
+  if (spec.video) formats.push('video');
+  if (spec.audio) formats.push('audio');
+  return formats;
+}
+
+function inspectBanner(resp: Record<string, any>, field: string, issues: CreativeIssue[]): CreativeProfile {
+  const sized = resp.w !== undefined || resp.h !== undefined;
+  const ratio = resp.wratio !== undefined || resp.hratio !== undefined;
+
+  if (!sized && !ratio) {
+    issues.push({ field, message: 'needs a size (w and h) or an aspect ratio (wratio and hratio)' });
+  }
+  for (const [a, b] of [['w', 'h'], ['wratio', 'hratio']]) {
+    if ((resp[a] === undefined) !== (resp[b] === undefined)) {
+      issues.push({ field, message: `sets ${resp[a] === undefined ? b : a} without ${resp[a] === undefined ? a : b}` });
+    }
+    for (const key of [a, b]) {
+      if (resp[key] !== undefined && !(resp[key] > 0)) {
+        issues.push({ field: `${field}.${key}`, message: 'must be greater than 0' });
+      }
+    }
+  }
+
+  return { format: 'banner', w: resp.w, h: resp.h, wratio: resp.wratio, hratio: resp.hratio, mediafiles: [] };
+}
+
+/**
+ * Read a native response: { "native": { "assets": [...], "link": { "url" } } }
+ */
+function inspectNative(adm: string, field: string, issues: CreativeIssue[]): CreativeProfile | undefined {
+  let document: any;
+  try {
+    document = JSON.parse(adm);
+  } catch (error: any) {
+    issues.push({ field: `${field}.adm`, message: `is not valid JSON: ${error.message}` });
+    return undefined;
+  }
+
+  const native = document?.native ?? document;
+  if (!Array.isArray(native?.assets) || native.assets.length === 0) {
+    issues.push({ field: `${field}.adm`, message: 'is not a native response: it has no assets' });
+    return undefined;
+  }
+  native.assets.forEach((asset: any, index: number) => {
+    if (typeof asset?.id !== 'number') {
+      issues.push({ field: `${field}.adm`, message: `native asset #${index} has no numeric id` });
+    }
+  });
+  if (typeof native.link?.url !== 'string' || !native.link.url) {
+    issues.push({ field: `${field}.adm`, message: 'native response needs a link.url' });
+  }
+
+  return { format: 'native', native, mediafiles: [] };
+}
+
+/**
+ * Check VAST (video, or audio from VAST 4.1) or DAAST (audio) markup
+ * Reads the first <Ad>: a wrapper needs its ad tag URI; an inline ad needs an
+ * impression, a linear creative with a <Duration> and typed media files.
+ */
+function inspectAdMarkup(
+  adm: string,
+  kind: 'video' | 'audio',
+  field: string,
+  issues: CreativeIssue[]
+): Partial<CreativeProfile> {
+  let root: XmlElement;
+  try {
+    root = parseXml(adm);
+  } catch (error: any) {
+    issues.push({ field, message: `is not well-formed XML: ${error.message}` });
+    return {};
+  }
+
+  const roots = kind === 'video' ? ['VAST'] : ['DAAST', 'VAST'];
+  if (!roots.includes(root.name)) {
+    issues.push({ field, message: `must be ${roots.join(' or ')} markup, not <${root.name}>` });
+    return {};
+  }
+
+  const ad = child(root, 'Ad');
+  const inline = ad && child(ad, 'InLine');
+  const wrapper = ad && child(ad, 'Wrapper');
+  const protocol = protocolOf(root, Boolean(wrapper));
+  if (protocol === undefined) {
+    issues.push({ field, message: `has unsupported ${root.name} version "${root.attributes.version ?? ''}"` });
+  }
+  if (!ad) {
+    issues.push({ field, message: `has no <Ad>` });
+    return { protocol };
+  }
+  if (Boolean(inline) === Boolean(wrapper)) {
+    issues.push({ field, message: '<Ad> must hold exactly one of <InLine> or <Wrapper>' });
+    return { protocol };
+  }
+
+  if (wrapper) {
+    const tag = descendant(wrapper, `${root.name}AdTagURI`);
+    if (!tag?.text.trim()) {
+      issues.push({ field, message: `<Wrapper> has no <${root.name}AdTagURI>` });
+    }
+    return { protocol };
+  }
+
+  if (!descendant(inline!, 'Impression')) {
+    issues.push({ field, message: '<InLine> has no <Impression>' });
+  }
+  const linear = descendant(inline!, 'Linear');
+  if (!linear) {
+    issues.push({ field, message: '<InLine> has no <Linear> creative' });
+    return { protocol };
+  }
+
+  const durationText = descendant(linear, 'Duration')?.text.trim() ?? '';
+  const duration = parseDuration(durationText);
+  if (duration === undefined) {
+    issues.push({ field, message: durationText ? `<Duration> "${durationText}" is not HH:MM:SS` : '<Linear> has no <Duration>' });
+  }
+
+  const allowed = kind === 'video' ? VIDEO_MIMES : AUDIO_MIMES;
+  const mediafiles: MediaFile[] = [];
+  const elements = descendants(linear, 'MediaFile');
+  if (elements.length === 0) {
+    issues.push({ field, message: '<Linear> has no <MediaFile>' });
+  }
+  elements.forEach((element, index) => {
+    const label = `<MediaFile> #${index + 1}`;
+    const type = element.attributes.type ?? '';
+    const w = element.attributes.width === undefined ? undefined : Number(element.attributes.width);
+    const h = element.attributes.height === undefined ? undefined : Number(element.attributes.height);
+
+    if (!element.text.trim()) issues.push({ field, message: `${label} has no URL` });
+    if (!allowed.includes(type.toLowerCase())) {
+      issues.push({ field, message: `${label} type "${type}" is not a ${kind} MIME type (${allowed.join(', ')})` });
+    }
+    if (kind === 'video' && !(Number.isInteger(w) && w! > 0 && Number.isInteger(h) && h! > 0)) {
+      issues.push({ field, message: `${label} needs a positive width and height` });
+    }
+    mediafiles.push({ type, ...(w !== undefined && { w }), ...(h !== undefined && { h }) });
+  });
+
+  return { protocol, duration, mediafiles };
+}
+
+function checkMimes(mimes: unknown, allowed: string[], field: string, issues: CreativeIssue[]) {
+  for (const mime of Array.isArray(mimes) ? mimes : []) {
+    if (typeof mime !== 'string' || !allowed.includes(mime.toLowerCase())) {
+      issues.push({ field, message: `"${mime}" is not one of ${allowed.join(', ')}` });
+    }
+  }
+}
+
+function matchBanner(profile: CreativeProfile, banner: Record<string, any>): string[] {
+  const size = profile.w !== undefined ? `${profile.w}x${profile.h}` : `${profile.wratio}:${profile.hratio}`;
+
+  if (banner.w !== undefined && banner.h !== undefined) {
+    const fits = profile.w !== undefined
+      ? profile.w === banner.w && profile.h === banner.h
+      : sameRatio(profile.wratio!, profile.hratio!, banner.w, banner.h, 0);
+    return fits ? [] : [`size is ${size}, expected ${banner.w}x${banner.h}`];
+  }
+  if (banner.wratio !== undefined && banner.hratio !== undefined) {
+    const [w, h] = profile.w !== undefined ? [profile.w, profile.h!] : [profile.wratio!, profile.hratio!];
+    return sameRatio(w, h, banner.wratio, banner.hratio, 0) ? [] : [`size is ${size}, expected a ${banner.wratio}:${banner.hratio} ratio`];
+  }
+  return [];
+}
+
+/**
+ * Every asset the native request marks required must be in the response, within its limits
+ */
+function matchNative(profile: CreativeProfile, nativeformat: Record<string, any> | undefined): string[] {
+  if (!nativeformat?.request) return [];
+
+  let request: any;
+  try {
+    request = JSON.parse(nativeformat.request);
+  } catch {
+    return ['the ad unit\'s native request is not valid JSON'];
+  }
+
+  const problems: string[] = [];
+  const responseAssets: any[] = profile.native?.assets ?? [];
+  for (const wanted of request?.native?.assets ?? request?.assets ?? []) {
+    const given = responseAssets.find(asset => asset?.id === wanted.id);
+    const kind = ['title', 'img', 'video', 'data'].find(key => wanted[key] !== undefined) ?? 'asset';
+
+    if (given?.[kind] == null) {
+      if (wanted.required === 1) problems.push(`native ${kind} asset ${wanted.id} is required`);
+      continue;
+    }
+    if (kind === 'title' && wanted.title.len !== undefined && String(given.title.text ?? '').length > wanted.title.len) {
+      problems.push(`native title is longer than ${wanted.title.len} characters`);
+    }
+    if (kind === 'img') {
+      const { w, h } = given.img;
+      if (wanted.img.w !== undefined && w !== undefined && (w !== wanted.img.w || h !== wanted.img.h)) {
+        problems.push(`native image ${wanted.id} is ${w}x${h}, expected ${wanted.img.w}x${wanted.img.h}`);
+      }
+      if (wanted.img.wmin !== undefined && w !== undefined && (w < wanted.img.wmin || h < (wanted.img.hmin ?? 0))) {
+        problems.push(`native image ${wanted.id} is ${w}x${h}, smaller than ${wanted.img.wmin}x${wanted.img.hmin ?? 0}`);
+      }
+    }
+  }
+  return problems;
+}
+
+function matchDuration(profile: CreativeProfile, min?: number, max?: number): string[] {
+  if (profile.duration === undefined) return [];
+  if (min !== undefined && profile.duration < min) return [`runs ${profile.duration}s, shorter than ${min}s`];
+  if (max !== undefined && profile.duration > max) return [`runs ${profile.duration}s, longer than ${max}s`];
+  return [];
+}
+
+function matchProtocol(profile: CreativeProfile, protocols?: number[]): string[] {
+  if (profile.protocol === undefined || !protocols?.length || protocols.includes(profile.protocol)) return [];
+  return [`is ${PROTOCOLS[profile.protocol]}, expected ${protocols.map(p => PROTOCOLS[p] ?? p).join(', ')}`];
+}
+
+function matchPlayerSize(profile: CreativeProfile, w?: number, h?: number): string[] {
+  const sized = profile.mediafiles.filter(file => file.w && file.h);
+  if (!w || !h || sized.length === 0) return [];
+  return sized.some(file => sameRatio(file.w!, file.h!, w, h, ASPECT_TOLERANCE))
+    ? []
+    : [`no media file has the ${w}x${h} player's aspect ratio`];
+}
+
+function sameRatio(w1: number, h1: number, w2: number, h2: number, tolerance: number): boolean {
+  return Math.abs(w1 / h1 - w2 / h2) <= (w2 / h2) * tolerance + Number.EPSILON;
+}
+
+function protocolOf(root: XmlElement, wrapper: boolean): number | undefined {
+  const match = (root.attributes.version ?? '').match(/^(\d+)(?:\.(\d+))?/);
+  if (!match) return undefined;
+
+  const name = `${root.name} ${match[1]}.${match[2] ?? 0}${wrapper ? ' Wrapper' : ''}`;
+  const entry = Object.entries(PROTOCOLS).find(([, label]) => label === name);
+  return entry ? Number(entry[0]) : undefined;
+}
+
+// "00:00:30" or "00:00:30.500" → seconds
+function parseDuration(text: string): number | undefined {
+  const match = text.match(/^(\d{1,2}):([0-5]\d):([0-5]\d(?:\.\d{1,3})?)$/);
+  return match ? Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]) : undefined;
+}
+
+interface XmlElement {
+  name: string;
+  attributes: Record<string, string>;
+  children: XmlElement[];
+  text: string;
+}
+
+const XML_TOKEN = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/\s*([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/y;
+const XML_ATTRIBUTE = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+/**
+ * Parse markup into its root element, throwing on anything not well-formed
+ * Enough XML for ad markup: elements, attributes, text, CDATA, comments and
+ * declarations. Namespace prefixes are dropped from element names.
+ */
+function parseXml(markup: string): XmlElement {
+  const document: XmlElement = { name: '#document', attributes: {}, children: [], text: '' };
+  const open = [document];
+  XML_TOKEN.lastIndex = 0;
+
+  while (XML_TOKEN.lastIndex < markup.length) {
+    const at = XML_TOKEN.lastIndex;
+    const token = XML_TOKEN.exec(markup);
+    if (!token) {
+      throw new Error(`unexpected "${markup.slice(at, at + 20)}" at offset ${at}`);
+    }
+
+    const [, cdata, closing, opening, attributes, selfClosing, text] = token;
+    const current = open[open.length - 1];
+
+    if (opening) {
+      const element: XmlElement = { name: localName(opening), attributes: {}, children: [], text: '' };
+      for (const [, name, double, single] of attributes.matchAll(XML_ATTRIBUTE)) {
+        element.attributes[localName(name)] = double ?? single;
+      }
+      current.children.push(element);
+      if (!selfClosing) open.push(element);
+    } else if (closing) {
+      if (open.length === 1 || current.name !== localName(closing)) {
+        throw new Error(`</${closing}> does not close <${current.name}>`);
+      }
+      open.pop();
+    } else if (cdata !== undefined || text !== undefined) {
+      current.text += cdata ?? text;
+    }
+  }
+
+  if (open.length > 1) {
+    throw new Error(`<${open[open.length - 1].name}> is never closed`);
+  }
+  if (document.children.length !== 1 || document.text.trim()) {
+    throw new Error('markup must have exactly one root element');
+  }
+  return document.children[0];
+}
+
+function localName(name: string): string {
+  return name.slice(name.indexOf(':') + 1);
+}
+
+function child(element: XmlElement, name: string): XmlElement | undefined {
+  return element.children.find(c => c.name === name);
+}
+
+function descendant(element: XmlElement, name: string): XmlElement | undefined {
+  return descendants(element, name)[0];
+}
+
+function descendants(element: XmlElement, name: string): XmlElement[] {
+  return element.children.flatMap(c => (c.name === name ? [c] : []).concat(descendants(c, name)));
+}
@@ -0,0 +1,126 @@
+/**
+ * OpenDirect Entity Store
+ * In-process storage for OpenDirect resources, keyed by resource type
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { ToolError } from './errors.js';
+
+export type ResourceType =
+  | 'Account'
+  | 'Order'
+  | 'Line'
+  | 'Creative'
+  | 'Placement'
+  | 'Assignment'
+  | 'Organization'
+  | 'ChangeRequest'
+  | 'Message'
+  | 'Product';
+
+export const RESOURCE_TYPES: ResourceType[] = [
+  'Account',
+  'Order',
+  'Line',
+  'Creative',
+  'Placement',
+  'Assignment',
+  'Organization',
+  'ChangeRequest',
+  'Message',
+  'Product'
+];
+
+export interface Entity {
+  id: string;
+  [key: string]: any;
+}
+
+export class EntityStore {
+  private entities: Map<ResourceType, Map<string, Entity>> = new Map();
+
+  constructor() {
+    for (const type of RESOURCE_TYPES) {
+      this.entities.set(type, new Map());
+    }
+  }
+
+  /**
+   * Create an entity with a system-generated ID
+   */
+  create(type: ResourceType, data: Record<string, any>): Entity {
+    const entity: Entity = { ...data, id: uuidv4() };
+    this.collection(type).set(entity.id, entity);
+    return { ...entity };
+  }
+
+  /**
+   * Load entities that already carry their IDs (fixtures), replacing any with the same ID
+   */
+  seed(type: ResourceType, entities: Entity[]) {
+    for (const entity of entities) {
+      this.collection(type).set(entity.id, { ...entity });
+    }
+  }
+
+  /**
+   * Get an entity by ID, throwing if it does not exist
+   */
+  get(type: ResourceType, id: string): Entity {
+    const entity = this.find(type, id);
+    if (!entity) {
+      throw ToolError.notFound(type, id);
+    }
+    return entity;
+  }
+
+  /**
+   * Get an entity by ID, or undefined if it does not exist
+   */
+  find(type: ResourceType, id: string): Entity | undefined {
+    const entity = this.collection(type).get(id);
+    return entity ? { ...entity } : undefined;
+  }
+
+  /**
+   * Merge changes into an existing entity
+   */
+  update(type: ResourceType, id: string, changes: Record<string, any>): Entity {
+    const existing = this.collection(type).get(id);
+    if (!existing) {
+      throw ToolError.notFound(type, id);
+    }
+
+    const updated: Entity = { ...existing, ...changes, id };
+    this.collection(type).set(id, updated);
+    return { ...updated };
+  }
+
+  /**
+   * List entities, optionally matching every field in the filter
+   */
+  list(type: ResourceType, filter: Record<string, any> = {}): Entity[] {
+    const criteria = Object.entries(filter).filter(([, value]) => value !== undefined);
+
+    return Array.from(this.collection(type).values())
+      .filter(entity => criteria.every(([key, value]) => entity[key] === value))
+      .map(entity => ({ ...entity }));
+  }
+
+  /**
+   * Delete an entity, returning the removed record
+   */
+  delete(type: ResourceType, id: string): Entity {
+    const existing = this.get(type, id);
+    this.collection(type).delete(id);
+    return existing;
+  }
+
+  private collection(type: ResourceType): Map<string, Entity> {
+    const collection = this.entities.get(type);
+    if (!collection) {
+      throw new Error(`Unknown resource type: ${type}`);
+    }
+    return collection;
+  }
+}
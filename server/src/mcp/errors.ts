@@ -0,0 +1,41 @@
+/**
+ * Tool Errors
+ * Structured errors raised by MCP tool handlers
+ */
+
+export class ToolError extends Error {
+  readonly code: string;
+  readonly details?: Record<string, any>;
+
+  constructor(code: string, message: string, details?: Record<string, any>) {
+    super(message);
+    this.name = 'ToolError';
+    this.code = code;
+    this.details = details;
+  }
+
+  /**
+   * Referenced entity does not exist
+   */
+  static notFound(resourceType: string, id: string): ToolError {
+    return new ToolError('NOT_FOUND', `${resourceType} not found: ${id}`, { resourceType, id });
+  }
+
+  /**
+   * Arguments are missing or malformed
+   */
+  static invalidArgument(message: string, details?: Record<string, any>): ToolError {
+    return new ToolError('INVALID_ARGUMENT', message, details);
+  }
+
+  /**
+   * Serialize for tool results
+   */
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      ...(this.details && { details: this.details })
+    };
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * Line Pricing
+ * Rate and cost of a Line from its Product, and the product's booking limits
+ * (ratetype, minspend, minflight, maxflight, leadtime)
+ */
+
+import { ToolError } from './errors.js';
+import type { Entity, EntityStore } from './entity-store.js';
+
+export interface LinePrice {
+  rate: number;
+  cost: number;
+}
+
+export interface BookingViolation {
+  constraint: 'flight' | 'ratetype' | 'minspend' | 'minflight' | 'maxflight' | 'leadtime';
+  message: string;
+  limit?: number | string;
+  actual?: number | string;
+}
+
+// Line fields that change the price or the limits it is checked against
+const PRICING_FIELDS = ['productid', 'ratetype', 'quantity', 'startdate', 'enddate'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Booked days between startdate and enddate, counting a started day as a whole day
+ */
+export function flightDays(startdate: string, enddate: string): number {
+  return Math.ceil((new Date(enddate).getTime() - new Date(startdate).getTime()) / DAY_MS);
+}
+
+/**
+ * Price a line from its product, throwing a BOOKING_CONSTRAINT ToolError that
+ * lists every limit the line breaks
+ * The rate is the product's baseprice per unit of its ratetype: per thousand
+ * impressions (CPM) or viewable impressions (CPMV), per click (CPC), per day
+ * (CPD) or for the whole flight (FlatRate). The lead time is only checked when
+ * asked, so a line that has already started can still be repriced.
+ */
+export function priceLine(
+  line: Record<string, any>,
+  product: Entity,
+  options: { checkLeadtime: boolean; now?: Date }
+): LinePrice {
+  const days = flightDays(line.startdate, line.enddate);
+  const rate = Number(product.baseprice ?? 0);
+  const cost = round(projectedCost(line.ratetype, rate, Number(line.quantity ?? 0), days));
+
+  const violations = findViolations(line, product, { days, cost, ...options });
+  if (violations.length > 0) {
+    throw new ToolError(
+      'BOOKING_CONSTRAINT',
+      `Line does not meet the booking limits of product ${product.name || product.id}: ${violations.map(v => v.message).join('; ')}`,
+      { productid: product.id, violations }
+    );
+  }
+
+  return { rate, cost };
+}
+
+/**
+ * Rate and cost after applying changes to a line (or creating one), or undefined
+ * when the changes leave its product, ratetype, quantity and dates alone
+ * The lead time only applies when the start date or product changes.
+ */
+export function repriceLine(store: EntityStore, changes: Record<string, any>, existing?: Entity): LinePrice | undefined {
+  const changed = (field: string) => !existing || (changes[field] !== undefined && changes[field] !== existing[field]);
+  if (!PRICING_FIELDS.some(changed)) return undefined;
+
+  const line = { ...existing, ...changes };
+  const product = store.get('Product', line.productid);
+  return priceLine(line, product, { checkLeadtime: changed('startdate') || changed('productid') });
+}
+
+function projectedCost(ratetype: string, rate: number, quantity: number, days: number): number {
+  switch (ratetype) {
+    case 'CPM':
+    case 'CPMV':
+      return (quantity / 1000) * rate;
+    case 'CPC':
+      return quantity * rate;
+    case 'CPD':
+      return days * rate;
+    default:
+      // FlatRate: one price for the flight
+      return rate;
+  }
+}
+
+function findViolations(
+  line: Record<string, any>,
+  product: Entity,
+  { days, cost, checkLeadtime, now = new Date() }: { days: number; cost: number; checkLeadtime: boolean; now?: Date }
+): BookingViolation[] {
+  if (!(days > 0)) {
+    return [{ constraint: 'flight', message: 'enddate must be after startdate', actual: days }];
+  }
+
+  const violations: BookingViolation[] = [];
+  const currency = product.currency ? ` ${product.currency}` : '';
+
+  if (product.ratetype && line.ratetype !== product.ratetype) {
+    violations.push({
+      constraint: 'ratetype',
+      message: `the product is sold ${product.ratetype}, not ${line.ratetype}`,
+      limit: product.ratetype,
+      actual: line.ratetype
+    });
+  }
+  if (product.minspend !== undefined && cost < product.minspend) {
+    violations.push({
+      constraint: 'minspend',
+      message: `the line costs ${cost}${currency} but the minimum spend is ${product.minspend}${currency}`,
+      limit: product.minspend,
+      actual: cost
+    });
+  }
+  if (product.minflight !== undefined && days < product.minflight) {
+    violations.push({
+      constraint: 'minflight',
+      message: `the flight is ${days} day(s) but must be at least ${product.minflight}`,
+      limit: product.minflight,
+      actual: days
+    });
+  }
+  if (product.maxflight !== undefined && days > product.maxflight) {
+    violations.push({
+      constraint: 'maxflight',
+      message: `the flight is ${days} day(s) but can be at most ${product.maxflight}`,
+      limit: product.maxflight,
+      actual: days
+    });
+  }
+
+  // Lead time counts whole UTC days from today
+  if (checkLeadtime && product.leadtime !== undefined) {
+    const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+    const earliest = new Date(today + product.leadtime * DAY_MS).toISOString();
+    if (new Date(line.startdate).getTime() < new Date(earliest).getTime()) {
+      violations.push({
+        constraint: 'leadtime',
+        message: `the line can start ${earliest.slice(0, 10)} at the earliest (${product.leadtime} day(s) lead time)`,
+        limit: earliest,
+        actual: line.startdate
+      });
+    }
+  }
+
+  return violations;
+}
+
+function round(amount: number): number {
+  return Math.round(amount * 100) / 100;
+}
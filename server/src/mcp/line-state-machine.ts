@@ -0,0 +1,115 @@
+/**
+ * Line Booking State Machine
+ * Legal OpenDirect v2.1 Line.bookingstatus transitions, per agent role
+ */
+
+import { ToolError } from './errors.js';
+
+export type BookingStatus =
+  | 'Draft'
+  | 'PendingReservation'
+  | 'Reserved'
+  | 'PendingBooking'
+  | 'Booked'
+  | 'InFlight'
+  | 'Finished'
+  | 'Stopped'
+  | 'Canceled'
+  | 'Pause'
+  | 'Expired'
+  | 'Declined'
+  | 'ChangePending';
+
+export interface LineTransition {
+  from: BookingStatus;
+  to: BookingStatus;
+  // Absent on the moves offered to callers without a role
+  role?: 'buyer' | 'seller';
+  reason: string;
+}
+
+const TRANSITIONS: LineTransition[] = [
+  // Buyer requests inventory
+  { from: 'Draft', to: 'PendingReservation', role: 'buyer', reason: 'Buyer requested reservation' },
+  { from: 'Draft', to: 'PendingBooking', role: 'buyer', reason: 'Buyer requested booking' },
+  { from: 'Reserved', to: 'PendingBooking', role: 'buyer', reason: 'Buyer requested booking of reserved line' },
+  { from: 'Reserved', to: 'Draft', role: 'buyer', reason: 'Buyer released reservation' },
+  { from: 'Declined', to: 'Draft', role: 'buyer', reason: 'Buyer reopened declined line' },
+  { from: 'Expired', to: 'Draft', role: 'buyer', reason: 'Buyer reopened expired line' },
+  { from: 'Booked', to: 'ChangePending', role: 'buyer', reason: 'Buyer requested change to booked line' },
+  { from: 'InFlight', to: 'ChangePending', role: 'buyer', reason: 'Buyer requested change to in-flight line' },
+
+  // Buyer cancels before delivery
+  { from: 'Draft', to: 'Canceled', role: 'buyer', reason: 'Buyer canceled line' },
+  { from: 'PendingReservation', to: 'Canceled', role: 'buyer', reason: 'Buyer withdrew reservation request' },
+  { from: 'Reserved', to: 'Canceled', role: 'buyer', reason: 'Buyer canceled reservation' },
+  { from: 'PendingBooking', to: 'Canceled', role: 'buyer', reason: 'Buyer withdrew booking request' },
+  { from: 'Booked', to: 'Canceled', role: 'buyer', reason: 'Buyer canceled booking' },
+
+  // Seller accepts or declines
+  { from: 'PendingReservation', to: 'Reserved', role: 'seller', reason: 'Seller accepted reservation' },
+  { from: 'PendingReservation', to: 'Declined', role: 'seller', reason: 'Seller declined reservation' },
+  { from: 'PendingBooking', to: 'Booked', role: 'seller', reason: 'Seller accepted booking' },
+  { from: 'PendingBooking', to: 'Declined', role: 'seller', reason: 'Seller declined booking' },
+  { from: 'Reserved', to: 'Expired', role: 'seller', reason: 'Reservation expired' },
+  { from: 'ChangePending', to: 'Booked', role: 'seller', reason: 'Seller resolved change request' },
+  { from: 'ChangePending', to: 'InFlight', role: 'seller', reason: 'Seller resolved change request' },
+
+  // Seller runs delivery
+  { from: 'Booked', to: 'InFlight', role: 'seller', reason: 'Line started delivering' },
+  { from: 'InFlight', to: 'Pause', role: 'seller', reason: 'Seller paused delivery' },
+  { from: 'Pause', to: 'InFlight', role: 'seller', reason: 'Seller resumed delivery' },
+  { from: 'InFlight', to: 'Finished', role: 'seller', reason: 'Line finished delivering' },
+
+  // Either side may stop a delivering line
+  { from: 'InFlight', to: 'Stopped', role: 'buyer', reason: 'Buyer stopped delivery' },
+  { from: 'Pause', to: 'Stopped', role: 'buyer', reason: 'Buyer stopped delivery' },
+  { from: 'InFlight', to: 'Stopped', role: 'seller', reason: 'Seller stopped delivery' },
+  { from: 'Pause', to: 'Stopped', role: 'seller', reason: 'Seller stopped delivery' }
+];
+
+export const INITIAL_BOOKING_STATUS: BookingStatus = 'Draft';
+
+/**
+ * List transitions available from a status
+ * Without a role, only moves that both roles may make are returned, so a caller
+ * that is neither buyer nor seller (e.g. on /mcp/sse) cannot act for either side
+ */
+export function allowedTransitions(from: BookingStatus, role?: 'buyer' | 'seller'): LineTransition[] {
+  const available = TRANSITIONS.filter(t => t.from === from);
+  if (role) {
+    return available.filter(t => t.role === role);
+  }
+
+  return available
+    .filter(t => t.role === 'buyer' && available.some(other => other.role === 'seller' && other.to === t.to))
+    .map(t => ({ from: t.from, to: t.to, reason: `Line moved to ${t.to} by a caller without a role` }));
+}
+
+/**
+ * Validate a bookingstatus change, returning the matching transition
+ * Throws an ILLEGAL_TRANSITION ToolError listing what is allowed instead
+ */
+export function assertLineTransition(
+  from: BookingStatus,
+  to: BookingStatus,
+  role?: 'buyer' | 'seller'
+): LineTransition {
+  const allowed = allowedTransitions(from, role);
+  const transition = allowed.find(t => t.to === to);
+
+  if (!transition) {
+    const actor = role ? `the ${role}` : 'a caller without a role';
+    const options = Array.from(new Set(allowed.map(t => t.to)));
+    throw new ToolError(
+      'ILLEGAL_TRANSITION',
+      `Line cannot move from ${from} to ${to} as ${actor}. ` +
+        (options.length > 0
+          ? `Allowed next states: ${options.join(', ')}`
+          : role ? `${from} is a final state for ${actor}` : `Use a buyer or seller connection to move a ${from} line`),
+      { field: 'bookingstatus', from, to, role, allowed: options }
+    );
+  }
+
+  return transition;
+}
@@ -9,34 +9,94 @@ import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
-  ListResourcesRequestSchema
+  ListResourcesRequestSchema,
+  ReadResourceRequestSchema,
+  McpError,
+  ErrorCode
 } from '@modelcontextprotocol/sdk/types.js';
+import type { Request, Response } from 'express';
 import { v4 as uuidv4 } from 'uuid';
 import { SchemaParser } from './schema-parser.js';
-import type { MCPTool, MCPToolHandler } from '../types/index.js';
+import { EntityStore, type Entity, type ResourceType } from './entity-store.js';
+import { ToolError } from './errors.js';
+import { ToolValidator } from './tool-validator.js';
+import { RolePolicy } from './role-policy.js';
+import { assertToolScope } from '../auth/scopes.js';
+import { assertLineTransition, INITIAL_BOOKING_STATUS, type BookingStatus } from './line-state-machine.js';
+import { loadProductCatalog, searchProducts } from './product-catalog.js';
+import { repriceLine } from './line-pricing.js';
+import { ChangeRequestWorkflow, assertDirectLineEdit, assertDirectOrderEdit } from './change-requests.js';
+import { ResourceWebhooks } from './resource-webhooks.js';
+import { MessageThreads } from './message-threads.js';
+import { CreativeReview } from './creative-review.js';
+import { CreativeAssignments } from './creative-assignments.js';
+import type { PushDeliveryOptions } from '../a2a/push-notifications.js';
+import { ApprovalPolicy } from '../a2a/approval-policy.js';
+import type { MCPTool, MCPToolHandler, ToolCallContext } from '../types/index.js';
+
+// Tool name suffix → stored OpenDirect resource type
+const TOOL_RESOURCES: Record<string, ResourceType> = {
+  account: 'Account',
+  order: 'Order',
+  line: 'Line',
+  creative: 'Creative',
+  placement: 'Placement',
+  assignment: 'Assignment',
+  organization: 'Organization',
+  changerequest: 'ChangeRequest',
+  message: 'Message',
+  product: 'Product'
+};
+
+const RESOURCE_URI_PREFIX = 'opendirect:///';
+
+// Spec defaults applied when an entity is created
+const RESOURCE_DEFAULTS: Partial<Record<ResourceType, Record<string, any>>> = {
+  Order: { orderstatus: 'PENDING', preferredbillingmethod: 'Electronic' },
+  Line: { bookingstatus: 'Draft' },
+  Assignment: { status: 'Active' },
+  ChangeRequest: { status: 'PENDING' },
+  Message: { status: 'New' }
+};
+
+export interface MCPServerOptions {
+  // Product fixture to seed; defaults to fixtures/products.json
+  productCatalogPath?: string;
+  // Retry and signing policy for resource webhooks (e.g. ChangeRequest.webhook)
+  webhooks?: PushDeliveryOptions;
+  // Calls that wait for a person on the A2A agents, which MCP clients cannot
+  // run; defaults to approvals.json
+  approvals?: ApprovalPolicy;
+}
 
 export class MCPServer {
   private server: Server;
   private parser: SchemaParser;
   private tools: MCPTool[] = [];
   private toolHandlers: Map<string, MCPToolHandler> = new Map();
-
-  constructor() {
+  private store: EntityStore;
+  private validator: ToolValidator;
+  private policy: RolePolicy;
+  private changeRequests: ChangeRequestWorkflow;
+  private messages: MessageThreads;
+  private creatives: CreativeReview;
+  private assignments: CreativeAssignments;
+  private productCatalogPath?: string;
+  private approvals: ApprovalPolicy;
+
+  constructor(options: MCPServerOptions = {}) {
+    this.productCatalogPath = options.productCatalogPath;
+    this.approvals = options.approvals ?? new ApprovalPolicy();
     this.parser = new SchemaParser();
-    this.server = new Server(
-      {
-        name: 'opendirect-mcp-server',
-        version: '1.0.0'
-      },
-      {
-        capabilities: {
-          tools: {},
-          resources: {}
-        }
-      }
-    );
-
-    this.setupHandlers();
+    this.store = new EntityStore();
+    const webhooks = new ResourceWebhooks(options.webhooks);
+    this.changeRequests = new ChangeRequestWorkflow(this.store, webhooks);
+    this.messages = new MessageThreads(this.store, webhooks);
+    this.creatives = new CreativeReview(this.store);
+    this.assignments = new CreativeAssignments(this.store);
+    this.validator = new ToolValidator(this.parser.getReferenceRoot());
+    this.policy = new RolePolicy();
+    this.server = this.createProtocolServer();
   }
 
   /**
@@ -48,21 +108,70 @@ export class MCPServer {
     // Parse tools from schema
     this.tools = this.parser.parseTools();
 
-    // Register tool handlers
+    // Register tool handlers and argument validators
     this.registerToolHandlers();
+    this.validator.register(this.tools);
+    this.policy.reportUnassigned(this.tools);
+    this.seedProductCatalog();
 
     console.log('✅ MCP Server initialized');
     console.log(`📋 Tools: ${this.tools.length}`);
   }
 
+  /**
+   * Validate the product catalog fixture against OpenDirect.Product and load it into the store
+   * An invalid product stops startup rather than being served half-formed
+   */
+  private seedProductCatalog() {
+    const products = loadProductCatalog(this.productCatalogPath);
+    const schema = this.parser.getSchemaDefinition('OpenDirect.Product');
+
+    const invalid = schema
+      ? products.flatMap((product, index) => {
+        const errors = this.validator.validateResource('OpenDirect.Product', schema, product);
+        return errors.length > 0
+          ? [`${product.id || `#${index}`}: ${errors.map(e => `${e.field || '(root)'} ${e.message}`).join('; ')}`]
+          : [];
+      })
+      : [];
+    if (invalid.length > 0) {
+      throw new Error(`Invalid products in the catalog - ${invalid.join(' | ')}`);
+    }
+
+    this.store.seed('Product', products);
+    console.log(`🛒 Product catalog: ${products.length} product(s)`);
+  }
+
+  /**
+   * Create an MCP protocol server; with a role, only that role's tools and
+   * resources are exposed, and without one only the tools both roles share
+   */
+  createProtocolServer(role?: 'buyer' | 'seller'): Server {
+    const server = new Server(
+      {
+        name: role ? `opendirect-${role}-mcp-server` : 'opendirect-mcp-server',
+        version: '1.0.0'
+      },
+      {
+        capabilities: {
+          tools: {},
+          resources: {}
+        }
+      }
+    );
+
+    this.setupHandlers(server, role);
+    return server;
+  }
+
   /**
    * Setup MCP protocol handlers
    */
-  private setupHandlers() {
+  private setupHandlers(server: Server, role?: 'buyer' | 'seller') {
     // List available tools
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
       return {
-        tools: this.tools.map(tool => ({
+        tools: (role ? this.getTools(role) : this.getSharedTools()).map(tool => ({
           name: tool.name,
           description: tool.description,
           inputSchema: tool.inputSchema
@@ -71,41 +180,83 @@ export class MCPServer {
     });
 
     // Execute tool
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
       const { name, arguments: args } = request.params;
 
-      const handler = this.toolHandlers.get(name);
-      if (!handler) {
-        throw new Error(`Tool not found: ${name}`);
+      // Anyone can call without a role, so such calls get only what both roles may do
+      if (!role && this.toolHandlers.has(name) && !this.policy.allowsEveryRole(name)) {
+        return this.toToolErrorResult(new ToolError(
+          'FORBIDDEN_TOOL',
+          `Calls without a role may only use tools both roles share; call ${name} through /a2a/{role}/mcp/sse`,
+          { tool: name }
+        ));
       }
 
-      try {
-        const result = await handler(args || {});
-        return {
-          content: [
-            {
-              type: 'text',
-              text: typeof result === 'string' ? result : JSON.stringify(result, null, 2)
-            }
-          ]
-        };
-      } catch (error) {
-        throw new Error(`Tool execution failed: ${error instanceof Error ? error.message : String(error)}`);
+      // MCP has no way to pause for a person, so gated calls only run through an A2A agent
+      const rule = this.approvals.match(name, args ?? {});
+      if (rule) {
+        return this.toToolErrorResult(new ToolError(
+          'APPROVAL_REQUIRED',
+          `${name} needs human approval${rule.reason ? `: ${rule.reason}` : ''} (rule ${rule.id}); send it through an A2A agent`,
+          { tool: name, rule: rule.id }
+        ));
       }
+
+      // authInfo is set by the bearer middleware when OAuth is enabled;
+      // the signal aborts when the client cancels the request
+      return this.callTool(name, args, { role, scopes: extra.authInfo?.scopes, signal: extra.signal });
     });
 
     // List resources
-    this.server.setRequestHandler(ListResourcesRequestSchema, async () => {
-      const resources = this.parser.parseResources();
+    server.setRequestHandler(ListResourcesRequestSchema, async () => {
       return {
-        resources: resources.map(name => ({
-          uri: `opendirect:///${name}`,
+        resources: this.getResources(role).map(name => ({
+          uri: `${RESOURCE_URI_PREFIX}${name}`,
           name,
           mimeType: 'application/json',
           description: `OpenDirect ${name} resource`
         }))
       };
     });
+
+    // Read a resource's schema, with references expanded
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      const { uri } = request.params;
+      const name = uri.startsWith(RESOURCE_URI_PREFIX) ? uri.slice(RESOURCE_URI_PREFIX.length) : '';
+      const definition = this.getResources(role).includes(name) && this.parser.getSchemaDefinition(name);
+      if (!definition) {
+        throw new McpError(ErrorCode.InvalidParams, `Resource not found: ${uri}`);
+      }
+
+      return {
+        contents: [
+          {
+            uri,
+            mimeType: 'application/json',
+            text: JSON.stringify(definition, null, 2)
+          }
+        ]
+      };
+    });
+  }
+
+  /**
+   * Resource (schema) names, optionally narrowed to a role
+   * A role does not see OpenDirect resources that only other roles' tools operate on;
+   * shared building blocks (Address, AdCOM specs, ...) are visible to everyone
+   */
+  getResources(role?: 'buyer' | 'seller'): string[] {
+    const resources = this.parser.parseResources();
+    if (!role) return resources;
+
+    const resourceOf = (toolName: string) => toolName.split('_').slice(1).join('_').replace(/s$/, '');
+    const owned = new Set(this.tools.map(tool => resourceOf(tool.name)));
+    const visible = new Set(this.getTools(role).map(tool => resourceOf(tool.name)));
+
+    return resources.filter(name => {
+      const resource = name.replace(/^OpenDirect\./, '').toLowerCase();
+      return !name.startsWith('OpenDirect.') || !owned.has(resource) || visible.has(resource);
+    });
   }
 
   /**
@@ -122,14 +273,18 @@ export class MCPServer {
    * This is where actual business logic would be implemented
    */
   private createToolHandler(tool: MCPTool): MCPToolHandler {
-    return async (params: any) => {
+    return async (params: any, context: ToolCallContext = {}) => {
       console.log(`🔧 Executing tool: ${tool.name}`);
       console.log(`📝 Parameters:`, JSON.stringify(params, null, 2));
 
-      // For this clean implementation, we'll return mock responses
-      // In production, this would call actual APIs or database operations
+      // Last chance to stop a canceled call before it changes anything
+      context.signal?.throwIfAborted();
 
-      const result = this.generateMockResponse(tool.name, params);
+      // Workflows first, then stored resources (including the seeded product
+      // catalog) from the entity store; anything else still returns mock responses
+      const result = this.executeWorkflowOperation(tool.name, params)
+        ?? this.executeEntityOperation(tool.name, params, context)
+        ?? this.generateMockResponse(tool.name, params);
 
       console.log(`✅ Tool ${tool.name} completed`);
       return result;
@@ -137,59 +292,177 @@ export class MCPServer {
   }
 
   /**
-   * Generate mock response for demonstration
-   * Replace with actual implementation in production
+   * Execute a tool with behaviour beyond storing what it is given
+   * Returns undefined for plain entity operations
    */
-  private generateMockResponse(toolName: string, params: any): any {
-    const id = uuidv4();
+  private executeWorkflowOperation(toolName: string, params: any): any {
+    switch (toolName) {
+      case 'search_products':
+        return searchProducts(this.store.list('Product'), params);
+      case 'create_changerequest':
+        return this.changeRequests.submit(params);
+      case 'approve_changerequest':
+        return this.changeRequests.approve(params.id, params.reason);
+      case 'reject_changerequest':
+        return this.changeRequests.reject(params.id, params.reason);
+      case 'create_message':
+        return this.messages.create(params);
+      case 'list_message_threads':
+        return this.messages.list(params);
+      case 'draft_message_reply':
+        return this.messages.draftReply(params.messageid, params.message);
+      case 'create_creative':
+        return this.creatives.create(params);
+      case 'update_creative': {
+        const { id, ...fields } = params;
+        if (typeof id !== 'string' || !id) {
+          throw ToolError.invalidArgument('update_creative requires an "id" argument', { field: 'id' });
+        }
+        // A new asset must still fit where the creative is assigned, and its
+        // reset reviews take the creative off lines that are delivering
+        if (fields.creativeasset !== undefined) {
+          this.assignments.assertAssignedFit(this.store.get('Creative', id), fields.creativeasset);
+        }
+        const updated = this.creatives.update(id, fields);
+        this.assignments.pauseLinesOf(updated);
+        return updated;
+      }
+      case 'approve_creative':
+        return this.creatives.approve(params.id, params.publisherid, params.reason);
+      case 'reject_creative': {
+        const creative = this.creatives.reject(params.id, params.publisherid, params.reason);
+        this.assignments.pauseLinesOf(creative);
+        return creative;
+      }
+      case 'create_placement':
+        return this.assignments.createPlacement(params);
+      case 'create_assignment':
+        return this.assignments.assign(params);
+      case 'list_assignments':
+        return this.assignments.list(params);
+      case 'delete_assignment':
+        if (typeof params.id !== 'string' || !params.id) {
+          throw ToolError.invalidArgument('delete_assignment requires an "id" argument', { field: 'id' });
+        }
+        return this.assignments.unassign(params.id);
+      default:
+        return undefined;
+    }
+  }
 
-    // Account operations
-    if (toolName.includes('account')) {
-      return {
-        id,
-        name: params.name || 'Mock Account',
-        type: params.type || 'advertiser',
-        status: 'active',
-        createdAt: new Date().toISOString()
-      };
+  /**
+   * Execute a create/update/get/list/delete tool against the entity store
+   * Returns undefined when the tool does not target a stored resource
+   */
+  private executeEntityOperation(toolName: string, params: any, context: ToolCallContext): any {
+    const match = toolName.match(/^(create|update|get|list|delete)_([a-z]+?)s?$/);
+    const type = match && TOOL_RESOURCES[match[2]];
+    if (!match || !type) {
+      return undefined;
     }
 
-    // Order operations
-    if (toolName.includes('order')) {
-      return {
-        id,
-        accountId: params.accountId || uuidv4(),
-        name: params.name || 'Mock Order',
-        budget: params.budget || 10000,
-        status: 'pending',
-        createdAt: new Date().toISOString()
-      };
+    const operation = match[1];
+    const { id, ...fields } = params;
+
+    if (operation === 'create') {
+      this.assertReferences(fields);
+      const data = { ...RESOURCE_DEFAULTS[type], ...fields };
+      if (type === 'Line') {
+        this.applyLineStatusChange(INITIAL_BOOKING_STATUS, data, context);
+        this.applyLinePricing(data);
+      }
+      return this.store.create(type, data);
     }
 
-    // Product operations
-    if (toolName.includes('product')) {
-      return {
-        id,
-        name: params.name || 'Mock Product',
-        type: 'display',
-        rate: 10.0,
-        available: true,
-        createdAt: new Date().toISOString()
-      };
+    if (operation === 'list') {
+      return this.store.list(type, this.resourceFilter(type, params));
     }
 
-    // Creative operations
-    if (toolName.includes('creative')) {
-      return {
-        id,
-        name: params.name || 'Mock Creative',
-        adFormat: params.adFormat || 'banner',
-        status: 'pending_review',
-        createdAt: new Date().toISOString()
-      };
+    if (typeof id !== 'string' || !id) {
+      throw ToolError.invalidArgument(`${toolName} requires an "id" argument`, { field: 'id' });
     }
 
-    // Generic response
+    switch (operation) {
+      case 'get':
+        return this.store.get(type, id);
+      case 'update':
+        if (type === 'Line') {
+          const line = this.store.get('Line', id);
+          assertDirectLineEdit(line, fields, context.role);
+          this.applyLineStatusChange(line.bookingstatus, fields, context);
+          if (fields.bookingstatus === 'InFlight' && line.bookingstatus !== 'InFlight') {
+            this.assignments.assertReadyToDeliver(line);
+          }
+          this.applyLinePricing(fields, line);
+        }
+        if (type === 'Order') {
+          assertDirectOrderEdit(this.store.get('Order', id), this.store.list('Line', { orderid: id }), fields, context.role);
+        }
+        this.assertReferences(fields);
+        return this.store.update(type, id, fields);
+      case 'delete':
+        return this.store.delete(type, id);
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Check that every <resource>id field names a stored entity of that resource
+   * (orderid an Order, productid a Product, ...); other ids such as publisherid
+   * refer to parties outside the store and are taken as given
+   */
+  private assertReferences(fields: Record<string, any>) {
+    for (const [field, value] of Object.entries(fields)) {
+      const type = field.endsWith('id') ? TOOL_RESOURCES[field.slice(0, -2)] : undefined;
+      if (type && value !== undefined && value !== null) {
+        this.store.get(type, value);
+      }
+    }
+  }
+
+  /**
+   * List arguments that name a field of the resource; paging or other
+   * parameters the resource does not have are not filters
+   */
+  private resourceFilter(type: ResourceType, params: Record<string, any>): Record<string, any> {
+    const fields = this.parser.getSchemaDefinition(`OpenDirect.${type}`)?.properties ?? {};
+    return Object.fromEntries(Object.entries(params ?? {}).filter(([field]) => field in fields));
+  }
+
+  /**
+   * Enforce the bookingstatus state machine and record why the line moved
+   * statechangereason is read-only, so it is always set here rather than by the caller
+   */
+  private applyLineStatusChange(current: BookingStatus, fields: Record<string, any>, context: ToolCallContext) {
+    delete fields.statechangereason;
+
+    const requested = fields.bookingstatus;
+    if (!requested || requested === current) return;
+
+    const transition = assertLineTransition(current, requested, context.role);
+    fields.statechangereason = fields.comment
+      ? `${transition.reason}: ${fields.comment}`
+      : transition.reason;
+  }
+
+  /**
+   * Set rate and cost from the line's product and enforce the product's booking limits
+   * rate and cost are read-only, so they are always set here rather than by the caller
+   */
+  private applyLinePricing(fields: Record<string, any>, existing?: Entity) {
+    delete fields.rate;
+    delete fields.cost;
+    Object.assign(fields, repriceLine(this.store, fields, existing));
+  }
+
+  /**
+   * Generate mock response for demonstration
+   * Replace with actual implementation in production
+   */
+  private generateMockResponse(toolName: string, params: any): any {
+    const id = uuidv4();
+
     return {
       id,
       ...params,
@@ -206,10 +479,24 @@ export class MCPServer {
   }
 
   /**
-   * Get tools list
+   * Get the entity store backing the tool handlers
    */
-  getTools(): MCPTool[] {
-    return this.tools;
+  getEntityStore(): EntityStore {
+    return this.store;
+  }
+
+  /**
+   * Get tools list, optionally narrowed to what a role may use
+   */
+  getTools(role?: 'buyer' | 'seller'): MCPTool[] {
+    return role ? this.policy.filterTools(role, this.tools) : this.tools;
+  }
+
+  /**
+   * Tools both roles may use, which is all a caller without a role can reach over MCP
+   */
+  getSharedTools(): MCPTool[] {
+    return this.tools.filter(tool => this.policy.allowsEveryRole(tool.name));
   }
 
   /**
@@ -222,8 +509,9 @@ export class MCPServer {
   /**
    * Call a tool using MCP protocol
    * This provides programmatic access to tools through the MCP request/response flow
+   * Business rule violations come back as results with isError set, not exceptions
    */
-  async callTool(toolName: string, args: any): Promise<any> {
+  async callTool(toolName: string, args: any, context: ToolCallContext = {}): Promise<any> {
     console.log(`🔌 MCP Protocol: Calling tool ${toolName}`);
 
     const handler = this.toolHandlers.get(toolName);
@@ -232,22 +520,64 @@ export class MCPServer {
     }
 
     try {
-      const result = await handler(args || {});
-
-      // Return result in MCP response format
-      return {
-        content: [
-          {
-            type: 'text',
-            text: typeof result === 'string' ? result : JSON.stringify(result, null, 2)
-          }
-        ]
-      };
+      this.assertCallAllowed(toolName, context);
+      this.validator.validate(toolName, args || {});
+      const result = await handler(args || {}, context);
+      return this.toToolResult(result);
     } catch (error) {
+      if (error instanceof ToolError) {
+        return this.toToolErrorResult(error);
+      }
+      // Cancellation is not a tool failure; let the caller see the abort
+      if (context.signal?.aborted) {
+        throw error;
+      }
       throw new Error(`Tool execution failed: ${error instanceof Error ? error.message : String(error)}`);
     }
   }
 
+  /**
+   * Check the caller's role may use the tool and its OAuth scopes cover it
+   * Agents also run this before handing a call to another agent.
+   */
+  assertCallAllowed(toolName: string, context: ToolCallContext) {
+    if (context.role) {
+      this.policy.assertAllowed(context.role, toolName);
+    }
+    if (context.scopes) {
+      assertToolScope(toolName, context.scopes);
+    }
+  }
+
+  /**
+   * Wrap a handler result in MCP response format
+   */
+  private toToolResult(result: any) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: typeof result === 'string' ? result : JSON.stringify(result, null, 2)
+        }
+      ]
+    };
+  }
+
+  /**
+   * Wrap a structured tool error in MCP response format
+   */
+  private toToolErrorResult(error: ToolError) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({ error: error.toJSON() }, null, 2)
+        }
+      ],
+      isError: true
+    };
+  }
+
   /**
    * Create HTTP transport for MCP
    */
@@ -257,6 +587,39 @@ export class MCPServer {
     });
   }
 
+  /**
+   * Express handler serving MCP over Streamable HTTP (/mcp/sse)
+   * With a role, a dedicated protocol server exposes only that role's tools and resources
+   */
+  createHttpHandler(role?: 'buyer' | 'seller') {
+    const transport = this.createHttpTransport();
+    const server = role ? this.createProtocolServer(role) : this.server;
+    const label = role ? `${role} ` : '';
+
+    server.connect(transport).then(() => {
+      console.log(`✅ MCP ${label}HTTP transport connected`);
+    }).catch((error) => {
+      console.error(`❌ MCP ${label}HTTP transport connection failed:`, error);
+    });
+
+    return async (req: Request, res: Response) => {
+      try {
+        // For GET requests (SSE streaming), don't pass body
+        // For POST requests (message exchange), pass body
+        if (req.method === 'GET') {
+          await transport.handleRequest(req, res);
+        } else {
+          await transport.handleRequest(req, res, req.body);
+        }
+      } catch (error) {
+        console.error('❌ MCP SSE error:', error);
+        if (!res.headersSent) {
+          res.status(500).json({ error: 'Internal server error' });
+        }
+      }
+    };
+  }
+
   /**
    * Start server (for stdio transport)
    */
@@ -0,0 +1,164 @@
+/**
+ * Message Threads
+ * Buyer/seller messages grouped into threads by replytomessageid, readable per
+ * order or change request. Replies are POSTed to the replied-to message's
+ * replywebhook.
+ */
+
+import { ToolError } from './errors.js';
+import type { Entity, EntityStore } from './entity-store.js';
+import type { ResourceWebhooks } from './resource-webhooks.js';
+
+export interface MessageThread {
+  threadid: string;
+  orderid: string;
+  changerequestid?: string;
+  messagecount: number;
+  // Messages still in status New
+  unread: number;
+  lastmessagedate: string;
+  // Oldest first; the first message's ID is the thread ID
+  messages: Entity[];
+}
+
+export interface ThreadFilter {
+  orderid?: string;
+  changerequestid?: string;
+  threadid?: string;
+}
+
+export class MessageThreads {
+  private store: EntityStore;
+  private webhooks: ResourceWebhooks;
+
+  constructor(store: EntityStore, webhooks: ResourceWebhooks) {
+    this.store = store;
+    this.webhooks = webhooks;
+  }
+
+  /**
+   * Store a message, joining the replied-to message's thread
+   * A reply takes its order, lines, change request and contacts from the
+   * message it answers unless given, and must stay on the same order.
+   */
+  create(fields: Record<string, any>): Entity {
+    const parent = fields.replytomessageid ? this.store.get('Message', fields.replytomessageid) : undefined;
+
+    const orderid = fields.orderid ?? parent?.orderid;
+    if (!orderid) {
+      throw ToolError.invalidArgument('create_message requires an "orderid" unless it replies to a message', { field: 'orderid' });
+    }
+    if (parent && parent.orderid !== orderid) {
+      throw ToolError.invalidArgument(
+        `Message ${parent.id} is about order ${parent.orderid}; a reply cannot move the thread to ${orderid}`,
+        { field: 'orderid' }
+      );
+    }
+    this.store.get('Order', orderid);
+
+    const changerequestid = fields.changerequestid ?? parent?.changerequestid;
+    if (changerequestid) {
+      const request = this.store.get('ChangeRequest', changerequestid);
+      if (request.orderid !== orderid) {
+        throw ToolError.invalidArgument(
+          `Change request ${changerequestid} is for order ${request.orderid}, not ${orderid}`,
+          { field: 'changerequestid' }
+        );
+      }
+    }
+
+    const lineids: string[] | undefined = fields.lineids ?? parent?.lineids;
+    for (const lineid of lineids ?? []) {
+      if (this.store.get('Line', lineid).orderid !== orderid) {
+        throw ToolError.invalidArgument(`Line ${lineid} is not part of order ${orderid}`, { field: 'lineids', id: lineid });
+      }
+    }
+
+    const created = this.store.create('Message', {
+      status: 'New',
+      messagedate: new Date().toISOString(),
+      ...(parent && { sender: parent.recipient, recipient: parent.sender }),
+      ...fields,
+      orderid,
+      ...(changerequestid && { changerequestid }),
+      ...(lineids && { lineids })
+    });
+    const message = this.store.update('Message', created.id, { threadid: parent?.threadid ?? parent?.id ?? created.id });
+
+    if (parent) {
+      // Answering a message means it has been read
+      if (parent.status === 'New') this.store.update('Message', parent.id, { status: 'Read' });
+      this.webhooks.notify('Message', message, parent.replywebhook);
+    }
+
+    console.log(`💬 Message ${message.id} in thread ${message.threadid} (order ${orderid})`);
+    return message;
+  }
+
+  /**
+   * Threads with at least one message matching the filter, most recently active first
+   */
+  list(filter: ThreadFilter = {}): MessageThread[] {
+    const threads = new Map<string, Entity[]>();
+    for (const message of this.store.list('Message')) {
+      const threadid = message.threadid ?? message.id;
+      threads.set(threadid, [...(threads.get(threadid) ?? []), message]);
+    }
+
+    const matches = (message: Entity) =>
+      (!filter.orderid || message.orderid === filter.orderid)
+      && (!filter.changerequestid || message.changerequestid === filter.changerequestid);
+
+    return Array.from(threads.entries())
+      .filter(([threadid, messages]) => (!filter.threadid || threadid === filter.threadid) && messages.some(matches))
+      .map(([threadid, messages]) => this.toThread(threadid, messages))
+      .sort((a, b) => b.lastmessagedate.localeCompare(a.lastmessagedate));
+  }
+
+  /**
+   * Read a message and prepare a reply to it without sending anything
+   * The draft holds create_message arguments; the agent fills in or edits the
+   * text and sends it with create_message.
+   */
+  draftReply(messageid: string, text?: string) {
+    if (typeof messageid !== 'string' || !messageid) {
+      throw ToolError.invalidArgument('draft_message_reply requires a "messageid" argument', { field: 'messageid' });
+    }
+
+    let message = this.store.get('Message', messageid);
+    if (message.status === 'New') {
+      message = this.store.update('Message', message.id, { status: 'Read' });
+    }
+
+    const [thread] = this.list({ threadid: message.threadid ?? message.id });
+    return {
+      replyto: message,
+      thread,
+      draft: {
+        replytomessageid: message.id,
+        orderid: message.orderid,
+        ...(message.changerequestid && { changerequestid: message.changerequestid }),
+        ...(message.lineids && { lineids: message.lineids }),
+        ...(message.sender && { recipient: message.sender }),
+        ...(message.recipient && { sender: message.recipient }),
+        message: text ?? ''
+      }
+    };
+  }
+
+  private toThread(threadid: string, messages: Entity[]): MessageThread {
+    // Stable sort keeps creation order for messages with the same date
+    const ordered = [...messages].sort((a, b) => String(a.messagedate).localeCompare(String(b.messagedate)));
+    const first = ordered.find(m => m.id === threadid) ?? ordered[0];
+
+    return {
+      threadid,
+      orderid: first.orderid,
+      ...(first.changerequestid && { changerequestid: first.changerequestid }),
+      messagecount: ordered.length,
+      unread: ordered.filter(m => m.status === 'New').length,
+      lastmessagedate: ordered[ordered.length - 1].messagedate,
+      messages: ordered
+    };
+  }
+}
@@ -0,0 +1,188 @@
+/**
+ * Product Catalog
+ * Loads the seeded OpenDirect product catalog and answers faceted
+ * search_products queries with ranking and paging
+ */
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import type { Entity } from './entity-store.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export interface ProductSearch {
+  query?: string;
+  deliverytype?: string;
+  currency?: string;
+  minprice?: number;
+  maxprice?: number;
+  budget?: number;
+  flightdays?: number;
+  language?: string;
+  producttags?: string[];
+  domain?: string;
+  sort?: 'relevance' | 'baseprice_asc' | 'baseprice_desc' | 'minspend_asc' | 'name';
+  limit?: number;
+  offset?: number;
+}
+
+export interface ProductSearchResult {
+  items: Entity[];
+  total: number;
+  offset: number;
+  limit: number;
+  // Counts over every match (not just this page), for narrowing the search
+  facets: {
+    deliverytype: Record<string, number>;
+    currency: Record<string, number>;
+    languages: Record<string, number>;
+    producttags: Record<string, number>;
+    domain: Record<string, number>;
+    baseprice: { min: number; max: number } | null;
+  };
+}
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Where a query term matched → how much it adds to the score
+const FIELD_WEIGHTS = { name: 3, producttags: 2, domain: 2, description: 1 };
+
+/**
+ * Read products from a catalog fixture ({ products: [...] })
+ */
+export function loadProductCatalog(path?: string): Entity[] {
+  const file = path || join(__dirname, '../../fixtures/products.json');
+  const document: { products?: Entity[] } = JSON.parse(readFileSync(file, 'utf-8'));
+  return document.products || [];
+}
+
+/**
+ * Filter, rank and page products
+ * Products not yet active or already retired never match. With a query, products must match at least
+ * one term and rank by where the terms matched.
+ */
+export function searchProducts(products: Entity[], search: ProductSearch, now = new Date()): ProductSearchResult {
+  const terms = tokenize(search.query || '');
+  const limit = Math.min(Math.max(search.limit ?? DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const offset = Math.max(search.offset ?? 0, 0);
+
+  const matches = products
+    .filter(product => isActive(product, now) && matchesFilters(product, search))
+    .map(product => ({ product, score: score(product, terms) }))
+    .filter(({ score }) => terms.length === 0 || score > 0);
+
+  matches.sort(compareBy(search.sort || 'relevance'));
+
+  return {
+    items: matches.slice(offset, offset + limit).map(({ product }) => ({ ...product })),
+    total: matches.length,
+    offset,
+    limit,
+    facets: buildFacets(matches.map(({ product }) => product))
+  };
+}
+
+/**
+ * A product is on sale from its active date until its retirement date
+ */
+export function isActive(product: Entity, now = new Date()): boolean {
+  if (product.activedate && new Date(product.activedate) > now) return false;
+  return !product.retirementdate || new Date(product.retirementdate) > now;
+}
+
+function matchesFilters(product: Entity, search: ProductSearch): boolean {
+  if (search.deliverytype && product.deliverytype !== search.deliverytype) return false;
+  if (search.currency && product.currency !== search.currency.toUpperCase()) return false;
+  if (search.minprice !== undefined && product.baseprice < search.minprice) return false;
+  if (search.maxprice !== undefined && product.baseprice > search.maxprice) return false;
+
+  // A budget fits when it meets the product's minimum spend
+  if (search.budget !== undefined && (product.minspend ?? 0) > search.budget) return false;
+
+  // A flight fits between the product's minimum and maximum booking days
+  if (search.flightdays !== undefined) {
+    if (product.minflight !== undefined && search.flightdays < product.minflight) return false;
+    if (product.maxflight !== undefined && search.flightdays > product.maxflight) return false;
+  }
+
+  if (search.language && !(product.languages || []).includes(search.language.toLowerCase())) return false;
+
+  const tags = new Set((product.producttags || []).map((tag: string) => tag.toLowerCase()));
+  if (search.producttags?.some(tag => !tags.has(tag.toLowerCase()))) return false;
+
+  // A domain also matches its subdomains (news.example.com matches sports.news.example.com)
+  if (search.domain) {
+    const domain = search.domain.toLowerCase().replace(/^www\./, '');
+    const productDomain = String(product.domain || '').toLowerCase();
+    if (productDomain !== domain && !productDomain.endsWith(`.${domain}`)) return false;
+  }
+
+  return true;
+}
+
+function score(product: Entity, terms: string[]): number {
+  if (terms.length === 0) return 0;
+
+  const fields: Record<keyof typeof FIELD_WEIGHTS, string[]> = {
+    name: tokenize(product.name || ''),
+    producttags: (product.producttags || []).flatMap((tag: string) => tokenize(tag)),
+    domain: tokenize(product.domain || ''),
+    description: tokenize(product.description || '')
+  };
+
+  let total = 0;
+  for (const term of terms) {
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS) as Array<[keyof typeof FIELD_WEIGHTS, number]>) {
+      if (fields[field].some(word => word === term || word === `${term}s` || `${word}s` === term)) {
+        total += weight;
+      }
+    }
+  }
+  return total;
+}
+
+function compareBy(sort: NonNullable<ProductSearch['sort']>) {
+  type Match = { product: Entity; score: number };
+  const byName = (a: Match, b: Match) => String(a.product.name).localeCompare(String(b.product.name));
+
+  switch (sort) {
+    case 'baseprice_asc':
+      return (a: Match, b: Match) => a.product.baseprice - b.product.baseprice || byName(a, b);
+    case 'baseprice_desc':
+      return (a: Match, b: Match) => b.product.baseprice - a.product.baseprice || byName(a, b);
+    case 'minspend_asc':
+      return (a: Match, b: Match) => (a.product.minspend ?? 0) - (b.product.minspend ?? 0) || byName(a, b);
+    case 'name':
+      return byName;
+    default:
+      return (a: Match, b: Match) => b.score - a.score || byName(a, b);
+  }
+}
+
+function buildFacets(products: Entity[]): ProductSearchResult['facets'] {
+  const count = (values: Array<string | undefined>) => {
+    // No prototype, so values such as "constructor" count from zero
+    const counts: Record<string, number> = Object.create(null);
+    for (const value of values) {
+      if (value) counts[value] = (counts[value] || 0) + 1;
+    }
+    return counts;
+  };
+  const prices = products.map(p => p.baseprice).filter((price): price is number => typeof price === 'number');
+
+  return {
+    deliverytype: count(products.map(p => p.deliverytype)),
+    currency: count(products.map(p => p.currency)),
+    languages: count(products.flatMap(p => p.languages || [])),
+    producttags: count(products.flatMap(p => p.producttags || [])),
+    domain: count(products.map(p => p.domain)),
+    baseprice: prices.length > 0 ? { min: Math.min(...prices), max: Math.max(...prices) } : null
+  };
+}
+
+function tokenize(text: string): string[] {
+  return text.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
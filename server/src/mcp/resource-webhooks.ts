@@ -0,0 +1,38 @@
+/**
+ * Resource Webhooks
+ * Calls the webhook URL an OpenDirect resource carries (e.g. ChangeRequest.webhook)
+ * with the resource's current state, using the push notification delivery policy
+ */
+
+import { deliverWebhook, DeliveryQueue, type PushDeliveryOptions } from '../a2a/push-notifications.js';
+import type { Entity, ResourceType } from './entity-store.js';
+
+export const DEFAULT_WEBHOOK_DELIVERY: PushDeliveryOptions = {
+  signingSecret: '',
+  maxAttempts: 5,
+  retryBaseMs: 1000,
+  timeoutMs: 5000,
+  allowedHosts: []
+};
+
+export class ResourceWebhooks {
+  private options: PushDeliveryOptions;
+  private queue = new DeliveryQueue();
+
+  constructor(options: PushDeliveryOptions = DEFAULT_WEBHOOK_DELIVERY) {
+    this.options = options;
+  }
+
+  /**
+   * Queue delivery of the entity to a webhook; updates to one entity arrive in order
+   * Returns immediately - delivery never holds up the tool call
+   */
+  notify(type: ResourceType, entity: Entity, url: string | undefined) {
+    if (!url) return;
+
+    const body = JSON.stringify(entity);
+    this.queue.enqueue(`${type}:${entity.id}`, () =>
+      deliverWebhook({ url, body, label: `${type} ${entity.id} webhook` }, this.options)
+    );
+  }
+}
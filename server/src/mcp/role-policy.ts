@@ -0,0 +1,84 @@
+/**
+ * Role Policy
+ * Decides which MCP tools the buyer and seller agents may see and execute,
+ * loaded from roles.json next to the OpenDirect schema
+ */
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { ToolError } from './errors.js';
+import type { MCPTool } from '../types/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+interface RolePolicyDocument {
+  roles: Record<string, { description?: string; tools: string[] }>;
+}
+
+export class RolePolicy {
+  private patterns: Map<string, RegExp[]> = new Map();
+
+  constructor(policyPath?: string) {
+    const path = policyPath || join(__dirname, '../../roles.json');
+    const document: RolePolicyDocument = JSON.parse(readFileSync(path, 'utf-8'));
+
+    for (const [role, { tools }] of Object.entries(document.roles || {})) {
+      this.patterns.set(role, tools.map(pattern => this.toRegExp(pattern)));
+    }
+  }
+
+  /**
+   * Whether a role may use a tool; roles missing from the policy get no tools
+   */
+  allows(role: 'buyer' | 'seller', toolName: string): boolean {
+    return (this.patterns.get(role) || []).some(pattern => pattern.test(toolName));
+  }
+
+  /**
+   * Throw a FORBIDDEN_TOOL ToolError unless the role may use the tool
+   */
+  assertAllowed(role: 'buyer' | 'seller', toolName: string) {
+    if (!this.allows(role, toolName)) {
+      throw new ToolError(
+        'FORBIDDEN_TOOL',
+        `The ${role} agent is not permitted to call ${toolName}`,
+        { tool: toolName, role }
+      );
+    }
+  }
+
+  /**
+   * Tools available to a role
+   */
+  filterTools(role: 'buyer' | 'seller', tools: MCPTool[]): MCPTool[] {
+    return tools.filter(tool => this.allows(role, tool.name));
+  }
+
+  /**
+   * Whether both roles may use a tool; callers without a role get only these
+   */
+  allowsEveryRole(toolName: string): boolean {
+    return this.allows('buyer', toolName) && this.allows('seller', toolName);
+  }
+
+  /**
+   * Warn about tools that no role can reach, usually a tool added to the schema
+   * without updating roles.json
+   */
+  reportUnassigned(tools: MCPTool[]) {
+    const unassigned = tools
+      .filter(tool => !Array.from(this.patterns.values()).some(patterns => patterns.some(p => p.test(tool.name))))
+      .map(tool => tool.name);
+
+    if (unassigned.length > 0) {
+      console.warn(`⚠️  Tools not granted to any role: ${unassigned.join(', ')}`);
+    }
+  }
+
+  private toRegExp(pattern: string): RegExp {
+    const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${escaped}$`);
+  }
+}
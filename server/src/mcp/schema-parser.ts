@@ -33,7 +33,10 @@ export class SchemaParser {
     // Check if schema already has tools in MCP format
     if (this.schema.tools && Array.isArray(this.schema.tools)) {
       console.log('📦 Found tools in MCP format');
-      this.tools = this.schema.tools;
+      this.tools = this.schema.tools.map(tool => ({
+        ...tool,
+        inputSchema: this.resolveSchema(tool.inputSchema) as MCPTool['inputSchema']
+      }));
       console.log(`✅ Loaded ${this.tools.length} tools from schema`);
       return this.tools;
     }
@@ -66,19 +69,39 @@ export class SchemaParser {
 
     console.log('📋 Extracting resources from schema...');
 
-    if (this.schema.components?.schemas) {
-      this.resources = Object.keys(this.schema.components.schemas);
-    }
+    this.resources = Object.keys(this.getDefinitions());
 
     console.log(`✅ Found ${this.resources.length} resource types`);
     return this.resources;
   }
 
   /**
-   * Get schema definition for a resource
+   * Get schema definition for a resource, with all references expanded
    */
   getSchemaDefinition(name: string): Schema | undefined {
-    return this.schema.components?.schemas?.[name];
+    const definition = this.getDefinitions()[name];
+    return definition && this.resolveSchema(definition, [this.refFor(name)]);
+  }
+
+  /**
+   * Named schemas from the MCP-format `schemas` section or OpenAPI `components`
+   */
+  private getDefinitions(): Record<string, Schema> {
+    return { ...this.schema.components?.schemas, ...this.schema.schemas };
+  }
+
+  private refFor(name: string): string {
+    return this.schema.schemas?.[name] ? `#/schemas/${name}` : `#/components/schemas/${name}`;
+  }
+
+  /**
+   * Get the schema sections that $ref pointers resolve against
+   */
+  getReferenceRoot(): Pick<OpenDirectSchema, 'schemas' | 'components'> {
+    return {
+      ...(this.schema.schemas && { schemas: this.schema.schemas }),
+      ...(this.schema.components && { components: this.schema.components })
+    };
   }
 
   /**
@@ -131,16 +154,104 @@ export class SchemaParser {
   }
 
   /**
-   * Resolve schema references ($ref)
+   * Recursively resolve schema references ($ref) and merge allOf
+   * `seen` holds the refs currently being expanded, so cycles terminate
    */
-  private resolveSchema(schema: Schema): Schema {
+  private resolveSchema(schema: Schema, seen: string[] = []): Schema {
+    if (!schema || typeof schema !== 'object') return schema;
+
     if (schema.$ref) {
-      const refPath = schema.$ref.split('/').pop();
-      if (refPath) {
-        return this.schema.components?.schemas?.[refPath] || schema;
+      const { $ref, ...siblings } = schema;
+      const name = $ref.split('/').pop();
+
+      if (seen.includes($ref)) {
+        return { type: 'object', description: `Recursive reference to ${name}`, ...siblings };
+      }
+
+      const target = this.lookupRef($ref);
+      if (!target) {
+        console.warn(`⚠️  Unresolved schema reference: ${$ref}`);
+        return { description: `Unresolved reference to ${name}`, ...siblings };
+      }
+
+      // Keywords next to $ref (e.g. description) refine the referenced schema
+      return { ...this.resolveSchema(target, [...seen, $ref]), ...this.resolveSchema(siblings, seen) };
+    }
+
+    const resolved: Schema = {};
+    for (const [key, value] of Object.entries(schema)) {
+      switch (key) {
+        case 'properties':
+        case 'patternProperties':
+          resolved[key] = Object.fromEntries(
+            Object.entries(value as Record<string, Schema>).map(([prop, propSchema]) => [
+              prop,
+              this.resolveSchema(propSchema, seen)
+            ])
+          );
+          break;
+        case 'items':
+          // Tuple form: one schema per position
+          resolved[key] = Array.isArray(value)
+            ? value.map(item => this.resolveSchema(item, seen))
+            : typeof value === 'object' ? this.resolveSchema(value, seen) : value;
+          break;
+        case 'additionalItems':
+        case 'additionalProperties':
+        case 'not':
+          resolved[key] = typeof value === 'object' ? this.resolveSchema(value, seen) : value;
+          break;
+        case 'oneOf':
+        case 'anyOf':
+          resolved[key] = (value as Schema[]).map(branch => this.resolveSchema(branch, seen));
+          break;
+        case 'allOf':
+          break;
+        default:
+          resolved[key] = value;
+      }
+    }
+
+    if (Array.isArray(schema.allOf)) {
+      return this.mergeAllOf(resolved, schema.allOf.map(branch => this.resolveSchema(branch, seen)));
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Flatten allOf branches into a single object schema
+   * Keywords on the schema itself win over those from its branches
+   */
+  private mergeAllOf(base: Schema, branches: Schema[]): Schema {
+    const merged: Schema = {};
+
+    for (const part of [...branches, base]) {
+      const { properties, required, ...rest } = part;
+      Object.assign(merged, rest);
+
+      if (properties) {
+        merged.properties = { ...merged.properties, ...properties };
+      }
+      if (required) {
+        merged.required = Array.from(new Set([...(merged.required || []), ...required]));
       }
     }
-    return schema;
+
+    return merged;
+  }
+
+  /**
+   * Look up a local JSON pointer (#/schemas/X or #/components/schemas/X)
+   */
+  private lookupRef(ref: string): Schema | undefined {
+    if (!ref.startsWith('#/')) return undefined;
+
+    let node: any = this.schema;
+    for (const segment of ref.slice(2).split('/')) {
+      node = node?.[segment.replace(/~1/g, '/').replace(/~0/g, '~')];
+    }
+    return node && typeof node === 'object' ? node : undefined;
   }
 
   /**
@@ -150,19 +261,8 @@ export class SchemaParser {
     const resolved = this.resolveSchema(schema);
 
     return {
-      type: resolved.type || 'string',
-      description: resolved.description,
-      ...(resolved.enum && { enum: resolved.enum }),
-      ...(resolved.format && { format: resolved.format }),
-      ...(resolved.items && { items: this.schemaToJSONSchema(resolved.items) }),
-      ...(resolved.properties && {
-        properties: Object.fromEntries(
-          Object.entries(resolved.properties).map(([key, val]) => [
-            key,
-            this.schemaToJSONSchema(val as Schema)
-          ])
-        )
-      })
+      ...resolved,
+      ...(!resolved.type && !resolved.oneOf && !resolved.anyOf && { type: 'string' })
     };
   }
 
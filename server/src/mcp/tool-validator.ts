@@ -0,0 +1,134 @@
+/**
+ * Tool Argument Validator
+ * Validates tool arguments against each tool's generated inputSchema
+ */
+
+import Ajv, { type ErrorObject, type ValidateFunction } from 'ajv';
+import addFormats from 'ajv-formats';
+import { ToolError } from './errors.js';
+import type { MCPTool, OpenDirectSchema, Schema } from '../types/index.js';
+
+export interface FieldError {
+  field: string;
+  message: string;
+  keyword: string;
+  allowedValues?: any[];
+}
+
+export class ToolValidator {
+  private ajv: Ajv;
+  private validators: Map<string, ValidateFunction> = new Map();
+  private schemas: Map<string, Schema> = new Map();
+  private resourceValidators: Map<string, ValidateFunction> = new Map();
+  private refRoot: Pick<OpenDirectSchema, 'schemas' | 'components'>;
+
+  constructor(refRoot: Pick<OpenDirectSchema, 'schemas' | 'components'>) {
+    // strict: false because spec-derived schemas carry annotations Ajv does not know
+    this.ajv = new Ajv({ allErrors: true, strict: false });
+    addFormats(this.ajv);
+    this.refRoot = refRoot;
+  }
+
+  /**
+   * Compile validators for a set of tools
+   */
+  register(tools: MCPTool[]) {
+    for (const tool of tools) {
+      // Refs such as #/schemas/AdCOM.Segment resolve against the schema document root
+      const schema = { ...tool.inputSchema, ...this.refRoot };
+      this.validators.set(tool.name, this.ajv.compile(schema));
+      this.schemas.set(tool.name, tool.inputSchema);
+    }
+  }
+
+  /**
+   * Validate arguments, throwing an INVALID_ARGUMENTS ToolError with field-level details
+   */
+  validate(toolName: string, args: any) {
+    const validator = this.validators.get(toolName);
+    if (!validator) return;
+
+    const errors: FieldError[] = [];
+
+    if (!validator(args)) {
+      errors.push(...(validator.errors || []).map(error => this.toFieldError(error)));
+    }
+
+    errors.push(...this.findReadOnlyFields(this.schemas.get(toolName)!, args, ''));
+
+    if (errors.length > 0) {
+      throw new ToolError(
+        'INVALID_ARGUMENTS',
+        `Invalid arguments for ${toolName}: ${errors.map(e => `${e.field || '(root)'} ${e.message}`).join('; ')}`,
+        { tool: toolName, errors }
+      );
+    }
+  }
+
+  /**
+   * Check a record against a named schema definition, returning field-level errors
+   * Used for fixtures loaded at startup, which are not tool arguments
+   */
+  validateResource(name: string, schema: Schema, value: any): FieldError[] {
+    let validator = this.resourceValidators.get(name);
+    if (!validator) {
+      validator = this.ajv.compile({ ...schema, ...this.refRoot });
+      this.resourceValidators.set(name, validator);
+    }
+    return validator(value) ? [] : (validator.errors || []).map(error => this.toFieldError(error));
+  }
+
+  /**
+   * Convert an Ajv error into a field-level error
+   */
+  private toFieldError(error: ErrorObject): FieldError {
+    const path = error.instancePath.split('/').filter(Boolean).join('.');
+    const field = error.keyword === 'required'
+      ? [path, error.params.missingProperty].filter(Boolean).join('.')
+      : error.keyword === 'additionalProperties'
+        ? [path, error.params.additionalProperty].filter(Boolean).join('.')
+        : path;
+
+    if (error.keyword === 'enum') {
+      const allowedValues = error.params.allowedValues;
+      return { field, keyword: error.keyword, message: `must be one of: ${allowedValues.join(', ')}`, allowedValues };
+    }
+
+    if (error.keyword === 'required') {
+      return { field, keyword: error.keyword, message: 'is required' };
+    }
+
+    if (error.keyword === 'additionalProperties') {
+      return { field, keyword: error.keyword, message: 'is not allowed here' };
+    }
+
+    return { field, keyword: error.keyword, message: error.message || 'is invalid' };
+  }
+
+  /**
+   * Reject values supplied for readOnly properties (e.g. rate, cost)
+   * Ajv treats readOnly as an annotation only
+   */
+  private findReadOnlyFields(schema: Schema, value: any, path: string): FieldError[] {
+    if (!value || typeof value !== 'object') return [];
+
+    if (Array.isArray(value)) {
+      return schema.items
+        ? value.flatMap((item, i) => this.findReadOnlyFields(schema.items!, item, `${path}[${i}]`))
+        : [];
+    }
+
+    const errors: FieldError[] = [];
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] === undefined) continue;
+
+      const field = path ? `${path}.${key}` : key;
+      if (propertySchema.readOnly) {
+        errors.push({ field, keyword: 'readOnly', message: 'is read-only and is set by the server' });
+      } else {
+        errors.push(...this.findReadOnlyFields(propertySchema, value[key], field));
+      }
+    }
+    return errors;
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * Local Push Notification Receiver
+ * Small webhook endpoint for testing A2A push notifications: verifies
+ * signatures, logs each delivery and exposes what it received
+ *
+ * Usage: npm run push-receiver
+ *   PUSH_RECEIVER_PORT       Port to listen on (default 4000)
+ *   PUSH_SIGNING_SECRET      Same secret as the server; enables signature checks
+ *   PUSH_RECEIVER_FAIL_FIRST Answer the first N deliveries with 503 to exercise retries
+ */
+
+import 'dotenv/config';
+import express from 'express';
+import type { Task } from '@a2a-js/sdk';
+import {
+  ATTEMPT_HEADER,
+  DELIVERY_ID_HEADER,
+  SIGNATURE_HEADER,
+  TOKEN_HEADER,
+  verifyPushSignature
+} from './a2a/push-notifications.js';
+
+interface ReceivedNotification {
+  receivedAt: string;
+  deliveryId?: string;
+  attempt?: string;
+  token?: string;
+  signatureValid: boolean | null;
+  task: Task;
+}
+
+const port = parseInt(process.env.PUSH_RECEIVER_PORT || '4000');
+const secret = process.env.PUSH_SIGNING_SECRET || '';
+let failuresLeft = parseInt(process.env.PUSH_RECEIVER_FAIL_FIRST || '0');
+
+const received: ReceivedNotification[] = [];
+const app = express();
+
+// Keep the raw body: the signature covers the exact bytes that were sent
+app.post('/webhook', express.text({ type: '*/*' }), (req, res) => {
+  if (failuresLeft > 0) {
+    failuresLeft--;
+    console.log(`💥 Simulating failure (${failuresLeft} left)`);
+    res.sendStatus(503);
+    return;
+  }
+
+  const signatureValid = secret ? verifyPushSignature(secret, req.body, req.get(SIGNATURE_HEADER)) : null;
+  if (signatureValid === false) {
+    console.warn('⚠️  Rejected notification with invalid signature');
+    res.sendStatus(401);
+    return;
+  }
+
+  const task: Task = JSON.parse(req.body);
+  received.push({
+    receivedAt: new Date().toISOString(),
+    deliveryId: req.get(DELIVERY_ID_HEADER),
+    attempt: req.get(ATTEMPT_HEADER),
+    token: req.get(TOKEN_HEADER),
+    signatureValid,
+    task
+  });
+
+  console.log(`📬 Task ${task.id}: ${task.status?.state} (${task.artifacts?.length || 0} artifact(s), attempt ${req.get(ATTEMPT_HEADER)})`);
+  res.sendStatus(204);
+});
+
+// Inspect deliveries from tests
+app.get('/notifications', (req, res) => {
+  const taskId = req.query.taskId;
+  res.json(taskId ? received.filter(n => n.task.id === taskId) : received);
+});
+
+app.delete('/notifications', (req, res) => {
+  received.length = 0;
+  res.sendStatus(204);
+});
+
+app.listen(port, () => {
+  console.log(`📭 Push receiver listening on http://localhost:${port}/webhook`);
+  console.log(secret ? `🔏 Verifying ${SIGNATURE_HEADER} signatures` : '⚠️  PUSH_SIGNING_SECRET not set - signatures not verified');
+});
@@ -7,7 +7,39 @@ import 'dotenv/config';
 import express from 'express';
 import { MCPServer } from './mcp/mcp-server.js';
 import { A2ARouter } from './a2a/router.js';
-import type { ServerConfig } from './types/index.js';
+import { OAuthServer } from './auth/oauth-server.js';
+import { SIGNATURE_HEADER, pushDeliveryOptions } from './a2a/push-notifications.js';
+import { AGENT_CARD_PATH } from '@a2a-js/sdk';
+import type { OAuthClient, ServerConfig } from './types/index.js';
+
+/**
+ * Parse the OAuth client registry from OAUTH_CLIENTS (a JSON array)
+ */
+function parseOAuthClients(value: string | undefined): OAuthClient[] {
+  if (!value) return [];
+  try {
+    const clients = JSON.parse(value);
+    if (!Array.isArray(clients) || clients.some(c => !c?.clientId || !Array.isArray(c.scopes))) {
+      throw new Error('expected an array of { clientId, clientSecret?, scopes, redirectUris? }');
+    }
+    return clients;
+  } catch (error) {
+    console.error(`❌ Invalid OAUTH_CLIENTS: ${error instanceof Error ? error.message : String(error)}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Parse the task retention window from TASK_STORE_TTL_HOURS (0 keeps tasks forever)
+ */
+function parseTaskStoreTtlHours(value: string | undefined): number {
+  const hours = Number(value || '168');
+  if (!Number.isFinite(hours) || hours < 0) {
+    console.error(`❌ Invalid TASK_STORE_TTL_HOURS: expected a number of hours >= 0, got "${value}"`);
+    process.exit(1);
+  }
+  return hours;
+}
 
 async function startServer() {
   console.log('🚀 Starting A2A AgenticDirect Server...\n');
@@ -18,16 +50,57 @@ async function startServer() {
     env: process.env.NODE_ENV || 'development',
     openaiApiKey: process.env.OPENAI_API_KEY || '',
     openaiModel: process.env.OPENAI_MODEL || 'gpt-4o-mini',
-    mcpEnableAdminTools: process.env.MCP_ENABLE_ADMIN_TOOLS === 'true'
+    llmProvider: (process.env.LLM_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'rules')) as ServerConfig['llmProvider'],
+    llmBaseUrl: process.env.LLM_BASE_URL || '',
+    agentMode: process.env.AGENT_MODE === 'plan' ? 'plan' : 'loop',
+    agentMaxSteps: parseInt(process.env.AGENT_MAX_STEPS || '8'),
+    agentStepTimeoutMs: parseInt(process.env.AGENT_STEP_TIMEOUT_MS || '30000'),
+    mcpEnableAdminTools: process.env.MCP_ENABLE_ADMIN_TOOLS === 'true',
+    taskStore: process.env.TASK_STORE === 'file' ? 'file' : 'memory',
+    taskStoreDir: process.env.TASK_STORE_DIR || './data/tasks',
+    taskStoreTtlHours: parseTaskStoreTtlHours(process.env.TASK_STORE_TTL_HOURS),
+    oauthEnabled: process.env.OAUTH_ENABLED === 'true',
+    oauthIssuer: process.env.OAUTH_ISSUER || 'a2a-agenticdirect',
+    oauthJwtSecret: process.env.OAUTH_JWT_SECRET || '',
+    oauthAccessTokenTtlSeconds: parseInt(process.env.OAUTH_ACCESS_TOKEN_TTL_SECONDS || '3600'),
+    oauthRefreshTokenTtlSeconds: parseInt(process.env.OAUTH_REFRESH_TOKEN_TTL_SECONDS || '2592000'),
+    oauthClients: parseOAuthClients(process.env.OAUTH_CLIENTS),
+    pushSigningSecret: process.env.PUSH_SIGNING_SECRET || '',
+    pushMaxAttempts: parseInt(process.env.PUSH_MAX_ATTEMPTS || '5'),
+    pushRetryBaseMs: parseInt(process.env.PUSH_RETRY_BASE_MS || '1000'),
+    pushTimeoutMs: parseInt(process.env.PUSH_TIMEOUT_MS || '5000'),
+    pushAllowedHosts: (process.env.PUSH_ALLOWED_HOSTS || '').split(',').map(host => host.trim()).filter(Boolean),
+    conversationMaxTurns: parseInt(process.env.CONVERSATION_MAX_TURNS || '20'),
+    conversationMaxEntities: parseInt(process.env.CONVERSATION_MAX_ENTITIES || '50'),
+    conversationMaxContexts: parseInt(process.env.CONVERSATION_MAX_CONTEXTS || '1000'),
+    approvalAuditLog: process.env.APPROVAL_AUDIT_LOG || './data/approvals.log',
+    sellerDelegation: process.env.SELLER_DELEGATION === 'true',
+    sellerAgentUrl: process.env.SELLER_AGENT_URL || `http://localhost:${process.env.PORT || '3000'}/a2a/seller`,
+    sellerAgentClientId: process.env.SELLER_AGENT_CLIENT_ID || '',
+    sellerAgentClientSecret: process.env.SELLER_AGENT_CLIENT_SECRET || '',
+    productCatalog: process.env.PRODUCT_CATALOG || ''
   };
 
-  if (!config.openaiApiKey) {
-    console.error('❌ OPENAI_API_KEY is required');
+  if (config.llmProvider === 'openai' && !config.openaiApiKey) {
+    console.error('❌ OPENAI_API_KEY is required when LLM_PROVIDER=openai');
     process.exit(1);
   }
 
+  console.log(`🧠 LLM provider: ${config.llmProvider}`);
+
+  if (config.sellerDelegation && (!config.oauthEnabled || !config.sellerAgentClientId)) {
+    console.warn('⚠️  SELLER_DELEGATION needs OAUTH_ENABLED and SELLER_AGENT_CLIENT_ID - the seller agent refuses delegated calls from unauthenticated clients');
+  }
+
+  if (!config.pushSigningSecret) {
+    console.warn(`⚠️  PUSH_SIGNING_SECRET not set - push notifications and resource webhooks are sent without a ${SIGNATURE_HEADER} header`);
+  }
+
   // Initialize MCP Server
-  const mcpServer = new MCPServer();
+  const mcpServer = new MCPServer({
+    productCatalogPath: config.productCatalog || undefined,
+    webhooks: pushDeliveryOptions(config)
+  });
   await mcpServer.initialize();
 
   const tools = mcpServer.getTools();
@@ -65,32 +138,24 @@ async function startServer() {
     });
   });
 
-  // MCP HTTP/SSE endpoint
-  const mcpTransport = mcpServer.createHttpTransport();
-  const mcpServerInstance = mcpServer.getServer();
+  if (config.oauthEnabled) {
+    // OAuth2 authorization server (token and authorize endpoints advertised in the agent cards)
+    const oauthServer = new OAuthServer(config);
+    app.use('/oauth', oauthServer.getRouter());
 
-  mcpServerInstance.connect(mcpTransport).then(() => {
-    console.log('✅ MCP HTTP transport connected');
-  }).catch((error) => {
-    console.error('❌ MCP HTTP transport connection failed:', error);
-  });
+    // Agent cards stay public so clients can discover how to authenticate
+    const isAgentCardRequest = (req: express.Request) =>
+      req.method === 'GET' && [`/${AGENT_CARD_PATH}`, '/card'].some(path => req.path === `/buyer${path}` || req.path === `/seller${path}`);
 
-  app.all('/mcp/sse', async (req, res) => {
-    try {
-      // For GET requests (SSE streaming), don't pass body
-      // For POST requests (message exchange), pass body
-      if (req.method === 'GET') {
-        await mcpTransport.handleRequest(req, res);
-      } else {
-        await mcpTransport.handleRequest(req, res, req.body);
-      }
-    } catch (error) {
-      console.error('❌ MCP SSE error:', error);
-      if (!res.headersSent) {
-        res.status(500).json({ error: 'Internal server error' });
-      }
-    }
-  });
+    app.use('/a2a', oauthServer.requireBearer(isAgentCardRequest));
+    app.use('/mcp/sse', oauthServer.requireBearer());
+    console.log(`🔐 OAuth2 enabled: ${config.oauthClients.length} registered client(s)`);
+  } else {
+    console.log('🔓 OAuth2 disabled: A2A and MCP endpoints accept anonymous calls, and /oauth is not mounted');
+  }
+
+  // MCP HTTP/SSE endpoint (tools both roles share; role-scoped endpoints live under /a2a/{role}/mcp/sse)
+  app.all('/mcp/sse', mcpServer.createHttpHandler());
 
   // MCP info endpoint
   app.get('/mcp/info', (req, res) => {
@@ -98,15 +163,19 @@ async function startServer() {
       name: 'A2A AgenticDirect MCP Server',
       version: '1.0.0',
       specification: 'MCP',
-      tools: tools.length,
+      tools: mcpServer.getSharedTools().length,
       endpoint: '/mcp/sse',
-      toolsList: tools.map(t => t.name)
+      toolsList: mcpServer.getSharedTools().map(t => t.name)
     });
   });
 
-  // Create A2A routers for buyer and seller agents
-  const buyerRouter = new A2ARouter('buyer', mcpServer, tools, config.openaiApiKey);
-  const sellerRouter = new A2ARouter('seller', mcpServer, tools, config.openaiApiKey);
+  // Create A2A routers for buyer and seller agents, each limited to its role's tools (roles.json)
+  const buyerTools = mcpServer.getTools('buyer');
+  const sellerTools = mcpServer.getTools('seller');
+  console.log(`🔐 Role policy: buyer ${buyerTools.length} tools, seller ${sellerTools.length} tools`);
+
+  const buyerRouter = new A2ARouter('buyer', mcpServer, buyerTools, config);
+  const sellerRouter = new A2ARouter('seller', mcpServer, sellerTools, config);
 
   // Mount A2A routers
   app.use('/a2a/buyer', buyerRouter.getRouter());
@@ -126,12 +195,16 @@ async function startServer() {
         {
           role: 'buyer',
           agentCard: `${baseUrl}/a2a/buyer/.well-known/agent-card.json`,
-          jsonrpc: `${baseUrl}/a2a/buyer/jsonrpc`
+          jsonrpc: `${baseUrl}/a2a/buyer/jsonrpc`,
+          rest: `${baseUrl}/a2a/buyer/rest`,
+          mcp: `${baseUrl}/a2a/buyer/mcp/sse`
         },
         {
           role: 'seller',
           agentCard: `${baseUrl}/a2a/seller/.well-known/agent-card.json`,
-          jsonrpc: `${baseUrl}/a2a/seller/jsonrpc`
+          jsonrpc: `${baseUrl}/a2a/seller/jsonrpc`,
+          rest: `${baseUrl}/a2a/seller/rest`,
+          mcp: `${baseUrl}/a2a/seller/mcp/sse`
         }
       ],
       documentation: 'https://github.com/your-org/a2a-agenticdirect'
@@ -140,6 +213,12 @@ async function startServer() {
 
   // Error handling
   app.use((err: any, req: express.Request, res: express.Response, next: express.NextFunction) => {
+    // Malformed JSON bodies are client errors (REST clients rely on the status code)
+    if (err.type === 'entity.parse.failed') {
+      res.status(400).json({ error: 'Invalid JSON payload', message: err.message });
+      return;
+    }
+
     console.error('❌ Error:', err);
     res.status(500).json({
       error: 'Internal server error',
@@ -153,10 +232,13 @@ async function startServer() {
     console.log(`\n📋 Available endpoints:`);
     console.log(`   GET  http://localhost:${config.port}/`);
     console.log(`   GET  http://localhost:${config.port}/health`);
+    console.log(`   POST http://localhost:${config.port}/oauth/token`);
     console.log(`   GET  http://localhost:${config.port}/a2a/buyer/.well-known/agent-card.json`);
     console.log(`   POST http://localhost:${config.port}/a2a/buyer/jsonrpc`);
+    console.log(`   POST http://localhost:${config.port}/a2a/buyer/rest/v1/message:send`);
     console.log(`   GET  http://localhost:${config.port}/a2a/seller/.well-known/agent-card.json`);
     console.log(`   POST http://localhost:${config.port}/a2a/seller/jsonrpc`);
+    console.log(`   POST http://localhost:${config.port}/a2a/seller/rest/v1/message:send`);
     console.log(`\n🎉 Ready to accept A2A requests!\n`);
   });
 }
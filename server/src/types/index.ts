@@ -84,8 +84,17 @@ export interface MCPResource {
   description?: string;
 }
 
+export interface ToolCallContext {
+  // Agent role making the call; undefined for direct MCP clients
+  role?: 'buyer' | 'seller';
+  // OAuth scopes granted to the caller; undefined when OAuth is disabled
+  scopes?: string[];
+  // Aborted when the calling task is canceled; handlers must not commit after that
+  signal?: AbortSignal;
+}
+
 export interface MCPToolHandler {
-  (params: any): Promise<any>;
+  (params: any, context?: ToolCallContext): Promise<any>;
 }
 
 // OpenDirect Types
@@ -151,7 +160,7 @@ export interface Response {
 export interface Schema {
   type?: string;
   properties?: Record<string, Schema>;
-  items?: Schema;
+  items?: Schema | Schema[];
   required?: string[];
   description?: string;
   $ref?: string;
@@ -171,11 +180,124 @@ export interface EventBus {
   finished(): void;
 }
 
+// LLM Provider Types
+export interface PlanStep {
+  // Optional label that later steps can reference as {{steps.<id>...}}
+  id?: string;
+  toolName: string;
+  toolParams: Record<string, any>;
+}
+
+export interface ExecutionPlan {
+  steps: PlanStep[];
+}
+
+export interface PlanRequest {
+  userMessage: string;
+  tools: MCPTool[];
+  role: 'buyer' | 'seller';
+  // Earlier turns and entities of the same contextId, for resolving "it" / "that order"
+  conversation?: ConversationContext;
+  signal?: AbortSignal;
+}
+
+// Conversation Memory Types
+export interface ConversationTurn {
+  role: 'user' | 'agent';
+  text: string;
+  timestamp: string;
+}
+
+export interface EntityReference {
+  // Resource named as in tool names and "<type>id" fields, e.g. order, line, creative
+  type: string;
+  id: string;
+  name?: string;
+  // Tool that created, fetched or referenced the entity
+  tool: string;
+}
+
+export interface ConversationContext {
+  turns: ConversationTurn[];
+  // Least recently referenced first
+  entities: EntityReference[];
+  // Most recently referenced entity of each type
+  lastReferenced: Record<string, EntityReference>;
+}
+
+export interface ToolCall {
+  id: string;
+  name: string;
+  arguments: Record<string, any>;
+}
+
+export interface ChatMessage {
+  role: 'system' | 'user' | 'assistant' | 'tool';
+  content: string | null;
+  toolCalls?: ToolCall[];
+  toolCallId?: string;
+}
+
+export interface ChatRequest {
+  messages: ChatMessage[];
+  tools: MCPTool[];
+  signal?: AbortSignal;
+}
+
+export interface ChatResponse {
+  content: string | null;
+  toolCalls: ToolCall[];
+}
+
+export interface LLMProvider {
+  readonly name: string;
+  plan(request: PlanRequest): Promise<ExecutionPlan>;
+  // Native function calling; providers without it only support plan mode
+  chat?(request: ChatRequest): Promise<ChatResponse>;
+}
+
 // Configuration Types
 export interface ServerConfig {
   port: number;
   env: string;
   openaiApiKey: string;
   openaiModel: string;
+  llmProvider: 'openai' | 'openai-compatible' | 'rules';
+  llmBaseUrl: string;
+  agentMode: 'loop' | 'plan';
+  agentMaxSteps: number;
+  agentStepTimeoutMs: number;
   mcpEnableAdminTools: boolean;
+  taskStore: 'memory' | 'file';
+  taskStoreDir: string;
+  taskStoreTtlHours: number;
+  oauthEnabled: boolean;
+  oauthIssuer: string;
+  oauthJwtSecret: string;
+  oauthAccessTokenTtlSeconds: number;
+  oauthRefreshTokenTtlSeconds: number;
+  oauthClients: OAuthClient[];
+  pushSigningSecret: string;
+  pushMaxAttempts: number;
+  pushRetryBaseMs: number;
+  pushTimeoutMs: number;
+  pushAllowedHosts: string[];
+  conversationMaxTurns: number;
+  conversationMaxEntities: number;
+  conversationMaxContexts: number;
+  approvalAuditLog: string;
+  sellerDelegation: boolean;
+  sellerAgentUrl: string;
+  sellerAgentClientId: string;
+  sellerAgentClientSecret: string;
+  productCatalog: string;
+}
+
+// OAuth2 client registered with the local authorization server
+export interface OAuthClient {
+  clientId: string;
+  // Omit for public clients, which must use PKCE with the authorization code flow
+  clientSecret?: string;
+  scopes: string[];
+  redirectUris?: string[];
 }
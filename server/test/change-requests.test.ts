@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { bookLine, call, createDraftLine, createServer, expectResult } from './helpers.js';
+
+const buyer = { role: 'buyer' as const };
+const seller = { role: 'seller' as const };
+
+async function bookedLine() {
+  const server = await createServer();
+  const { account, order, line } = await createDraftLine(server);
+  await bookLine(server, line.id);
+  return { server, account, order, line };
+}
+
+function request(account: any, order: any, changes: Record<string, any>) {
+  return { accountid: account.id, orderid: order.id, requesterid: 'buyer-1', changes };
+}
+
+describe('change requests', () => {
+  it('requires a change request to edit a booked line', async () => {
+    const { server, line } = await bookedLine();
+    const { error } = await call(server, 'update_line', { id: line.id, quantity: 2000000 }, buyer);
+    assert.equal(error?.code, 'CHANGE_REQUEST_REQUIRED');
+    assert.deepEqual(error?.details?.fields, ['quantity']);
+  });
+
+  it('requires a change request to edit the order of a booked line', async () => {
+    const { server, order } = await bookedLine();
+    const { error } = await call(server, 'update_order', { id: order.id, budget: 90000 }, buyer);
+    assert.equal(error?.code, 'CHANGE_REQUEST_REQUIRED');
+    assert.deepEqual(error?.details?.fields, ['budget']);
+    assert.equal((await expectResult(server, 'get_order', { id: order.id })).budget, order.budget);
+  });
+
+  it('applies every change on approval and restores the line status', async () => {
+    const { server, account, order, line } = await bookedLine();
+    const submitted = await expectResult(server, 'create_changerequest', request(account, order, {
+      order: { name: 'Renamed Order' },
+      lines: [{ id: line.id, quantity: 2000000 }]
+    }), buyer);
+    assert.equal(submitted.status, 'PENDING');
+    assert.deepEqual(submitted.original.lines, [{ id: line.id, quantity: 1000000, bookingstatus: 'Booked' }]);
+    assert.equal((await expectResult(server, 'get_line', { id: line.id })).bookingstatus, 'ChangePending');
+
+    const approved = await expectResult(server, 'approve_changerequest', { id: submitted.id, reason: 'ok' }, seller);
+    assert.equal(approved.status, 'APPROVED');
+
+    const updated = await expectResult(server, 'get_line', { id: line.id });
+    assert.equal(updated.bookingstatus, 'Booked');
+    assert.equal(updated.quantity, 2000000);
+    assert.equal(updated.cost, 24000);
+    assert.equal((await expectResult(server, 'get_order', { id: order.id })).name, 'Renamed Order');
+  });
+
+  it('leaves everything as it was on rejection', async () => {
+    const { server, account, order, line } = await bookedLine();
+    const submitted = await expectResult(server, 'create_changerequest', request(account, order, {
+      lines: [{ id: line.id, quantity: 2000000 }]
+    }), buyer);
+
+    const rejected = await expectResult(server, 'reject_changerequest', { id: submitted.id, reason: 'sold out' }, seller);
+    assert.equal(rejected.status, 'REJECTED');
+    assert.equal(rejected.statusreason, 'sold out');
+
+    const unchanged = await expectResult(server, 'get_line', { id: line.id });
+    assert.equal(unchanged.bookingstatus, 'Booked');
+    assert.equal(unchanged.quantity, 1000000);
+
+    const { error } = await call(server, 'approve_changerequest', { id: submitted.id }, seller);
+    assert.equal(error?.code, 'CHANGE_REQUEST_CLOSED');
+  });
+
+  it('refuses changes that break the product limits before writing anything', async () => {
+    const { server, account, order, line } = await bookedLine();
+    const { error } = await call(server, 'create_changerequest', request(account, order, {
+      lines: [{ id: line.id, quantity: 1000 }]
+    }), buyer);
+    assert.equal(error?.code, 'BOOKING_CONSTRAINT');
+    assert.equal((await expectResult(server, 'get_line', { id: line.id })).bookingstatus, 'Booked');
+    assert.deepEqual(await expectResult(server, 'list_changerequests', {}), []);
+  });
+
+  it('applies nothing when a changed field moved after submission', async () => {
+    const { server, account, order } = await bookedLine();
+    const submitted = await expectResult(server, 'create_changerequest', request(account, order, {
+      order: { name: 'Proposed Name' }
+    }), buyer);
+    await expectResult(server, 'update_order', { id: order.id, name: 'Edited Meanwhile' });
+
+    const { error } = await call(server, 'approve_changerequest', { id: submitted.id }, seller);
+    assert.equal(error?.code, 'CHANGE_CONFLICT');
+    assert.deepEqual(error?.details?.conflicts, [
+      { resource: 'Order', id: order.id, field: 'name', expected: 'Test Order', actual: 'Edited Meanwhile' }
+    ]);
+    assert.equal((await expectResult(server, 'get_order', { id: order.id })).name, 'Edited Meanwhile');
+    assert.equal((await expectResult(server, 'get_changerequest', { id: submitted.id })).status, 'PENDING');
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import type { Message, Task } from '@a2a-js/sdk';
+import { buildQuestion, findMissingFields, readAnswers, type MissingField } from '../src/a2a/clarification.js';
+import type { MCPTool } from '../src/types/index.js';
+import { createExecutor, expectResult, finalStatus, sendMessage, statusData, statusText } from './helpers.js';
+
+const tool: MCPTool = {
+  name: 'create_thing',
+  description: 'Create a thing',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', description: 'Display name. Shown in reports.' },
+      budget: { type: 'number' },
+      tags: { type: 'array' }
+    },
+    required: ['name', 'budget']
+  }
+};
+
+const reply = (parts: Message['parts']): Message => ({ kind: 'message', messageId: 'm-1', role: 'user', parts });
+
+describe('clarification', () => {
+  it('finds required fields that are missing or blank', () => {
+    assert.deepEqual(findMissingFields(tool, { name: '  ' }), [
+      { field: 'name', type: 'string', description: 'Display name.' },
+      { field: 'budget', type: 'number', description: undefined }
+    ]);
+    assert.deepEqual(findMissingFields(tool, { name: 'Bolt', budget: 0 }), []);
+  });
+
+  it('asks one targeted question per paused step', () => {
+    const [name, budget] = findMissingFields(tool, {});
+    assert.equal(buildQuestion('create_thing', [name]), 'Which name should I use for create_thing? (Display name.)');
+    assert.match(buildQuestion('create_thing', [name, budget]), /^To run create_thing I still need:\n- name: Display name\.\n- budget\n/);
+  });
+
+  it('reads answers from data parts, field: value pairs or the whole reply', () => {
+    const missing: MissingField[] = [{ field: 'name', type: 'string' }, { field: 'budget', type: 'number' }, { field: 'tags', type: 'array' }];
+    assert.deepEqual(readAnswers(missing, reply([{ kind: 'text', text: 'Name: Bolt, budget = $5,000; tags: ["a"]' }])), {
+      name: 'Bolt',
+      budget: 5000,
+      tags: ['a']
+    });
+    assert.deepEqual(readAnswers(missing, reply([{ kind: 'data', data: { BUDGET: 10, other: 1 } }])), { budget: 10 });
+    assert.deepEqual(readAnswers([missing[1]], reply([{ kind: 'text', text: '2500' }])), { budget: 2500 });
+    assert.deepEqual(readAnswers(missing, reply([{ kind: 'text', text: 'not sure' }])), {});
+  });
+
+  it('pauses a task for missing parameters until the replies supply them all', async () => {
+    const { server, executor } = await createExecutor('buyer');
+    const asked = await sendMessage(executor, { text: 'create an account called Acme', client: { id: 'buyer-app' } });
+    const question = finalStatus(asked);
+    assert.equal(question.state, 'input-required');
+    assert.deepEqual(statusData(question)?.inputRequired.missing.map((m: MissingField) => m.field), ['advertiserid', 'buyerid']);
+    assert.match(statusText(question), /advertiserid/);
+
+    const task = asked[0] as Task;
+    const partly = finalStatus(await sendMessage(executor, { text: 'advertiserid: advertiser-1', task, client: { id: 'buyer-app' } }));
+    assert.equal(partly.state, 'input-required');
+    assert.deepEqual(statusData(partly)?.inputRequired.missing.map((m: MissingField) => m.field), ['buyerid']);
+
+    const answered = await sendMessage(executor, { text: 'buyer-1', task, client: { id: 'buyer-app' } });
+    assert.equal(finalStatus(answered).state, 'completed');
+    const accounts = await expectResult(server, 'list_accounts', {}, { role: 'buyer' });
+    assert.ok(accounts.some((account: any) => account.name === 'Acme' && account.advertiserid === 'advertiser-1' && account.buyerid === 'buyer-1'));
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CreativeAssignments } from '../src/mcp/creative-assignments.js';
+import { EntityStore } from '../src/mcp/entity-store.js';
+import { bookLine, call, createDraftLine, createServer, expectResult } from './helpers.js';
+
+const buyer = { role: 'buyer' as const };
+const seller = { role: 'seller' as const };
+
+const banner = (w: number, h: number) => ({ display: { adm: '<img src="https://cdn.example/ad.png">', w, h } });
+
+/**
+ * An InFlight leaderboard line delivering one approved 728x90 creative
+ */
+async function deliveringLine() {
+  const server = await createServer();
+  const { account, line } = await createDraftLine(server);
+  await bookLine(server, line.id);
+
+  const creative = await expectResult(server, 'create_creative', { accountid: account.id, name: 'Banner', creativeasset: banner(728, 90) }, buyer);
+  const placement = await expectResult(server, 'create_placement', { lineid: line.id, name: 'Leaderboard' }, buyer);
+  await expectResult(server, 'create_assignment', { placementid: placement.id, creativeid: creative.id }, buyer);
+  await expectResult(server, 'approve_creative', { id: creative.id, publisherid: creative.creativeapprovals[0].publisherid }, seller);
+  await expectResult(server, 'update_line', { id: line.id, bookingstatus: 'InFlight' }, seller);
+  return { server, line, creative };
+}
+
+describe('creative assignments', () => {
+  it('refuses a new asset that no longer fits an assigned placement', async () => {
+    const { server, line, creative } = await deliveringLine();
+    const { error } = await call(server, 'update_creative', { id: creative.id, creativeasset: banner(300, 250) }, buyer);
+    assert.equal(error?.code, 'CREATIVE_MISMATCH');
+    assert.equal((await expectResult(server, 'get_line', { id: line.id })).bookingstatus, 'InFlight');
+  });
+
+  it('pauses delivering lines when a new asset resets the reviews', async () => {
+    const { server, line, creative } = await deliveringLine();
+    const asset = { display: { ...banner(728, 90).display, adm: '<img src="https://cdn.example/v2.png">' } };
+    const updated = await expectResult(server, 'update_creative', { id: creative.id, creativeasset: asset }, buyer);
+    assert.equal(updated.creativeapprovals[0].approvalstatus, 'Pending');
+
+    const paused = await expectResult(server, 'get_line', { id: line.id });
+    assert.equal(paused.bookingstatus, 'Pause');
+    assert.match(paused.statechangereason, new RegExp(`creative ${creative.id} is Pending`));
+  });
+
+  it('pauses the lines it can check and leaves lines without a product alone', () => {
+    const store = new EntityStore();
+    const product = store.create('Product', { publisherid: 'publisher-1' });
+    const creative = store.create('Creative', { creativeapprovals: [{ publisherid: 'publisher-1', approvalstatus: 'Rejected' }] });
+    const lines = [undefined, 'deleted-product', product.id].map(productid => {
+      const line = store.create('Line', { bookingstatus: 'InFlight', productid });
+      const placement = store.create('Placement', { lineid: line.id });
+      store.create('Assignment', { placementid: placement.id, creativeid: creative.id, status: 'Active' });
+      return line;
+    });
+
+    const paused = new CreativeAssignments(store).pauseLinesOf(creative);
+    assert.deepEqual(paused.map(line => line.id), [lines[2].id]);
+    assert.deepEqual(lines.map(line => store.get('Line', line.id).bookingstatus), ['InFlight', 'InFlight', 'Pause']);
+  });
+});
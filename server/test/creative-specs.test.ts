@@ -0,0 +1,97 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { inspectCreative, matchCreativeSpec } from '../src/mcp/creative-specs.js';
+
+const vast = (version: string, body: string) =>
+  `<?xml version="1.0"?><VAST version="${version}"><Ad id="1">${body}</Ad></VAST>`;
+
+const inline = (duration: string, mediafile = '<MediaFile type="video/mp4" width="1280" height="720"><![CDATA[https://cdn.example/ad.mp4]]></MediaFile>') => `
+  <InLine>
+    <Impression><![CDATA[https://track.example/imp]]></Impression>
+    <Creatives><Creative><Linear>
+      <Duration>${duration}</Duration>
+      <MediaFiles>${mediafile}</MediaFiles>
+    </Linear></Creative></Creatives>
+  </InLine>`;
+
+describe('creative specs', () => {
+  it('reads size and format from a banner', () => {
+    const { profile, issues } = inspectCreative({ display: { adm: '<img src="x">', w: 728, h: 90, mimes: ['image/png'] } });
+    assert.deepEqual(issues, []);
+    assert.equal(profile?.format, 'banner');
+    assert.deepEqual(matchCreativeSpec(profile!, { display: { bannerformat: { w: 728, h: 90 } } }), []);
+    assert.deepEqual(matchCreativeSpec(profile!, { display: { bannerformat: { w: 300, h: 250 } } }), ['size is 728x90, expected 300x250']);
+    assert.deepEqual(matchCreativeSpec(profile!, { video: {} }), ['takes video creatives, not banner']);
+  });
+
+  it('lists every problem with an asset', () => {
+    assert.deepEqual(inspectCreative({}).issues.map(i => i.message), ['must contain one of display, video or audio']);
+
+    const { issues } = inspectCreative({ display: { w: 728, mimes: ['video/mp4'] } });
+    assert.deepEqual(issues.map(i => i.message), [
+      'needs markup (adm) or a markup URL (curl)',
+      'sets w without h',
+      '"video/mp4" is not one of image/jpeg, image/png, image/gif, image/webp, image/svg+xml, text/html, application/javascript'
+    ]);
+  });
+
+  it('reads duration, protocol and media files from VAST', () => {
+    const { profile, issues } = inspectCreative({ video: { adm: vast('4.2', inline('00:00:30.500')) } });
+    assert.deepEqual(issues, []);
+    assert.equal(profile?.duration, 30.5);
+    assert.equal(profile?.protocol, 13);
+    assert.deepEqual(profile?.mediafiles, [{ type: 'video/mp4', w: 1280, h: 720 }]);
+
+    assert.deepEqual(matchCreativeSpec(profile!, { video: { mindur: 5, maxdur: 30, protocols: [13], w: 640, h: 360 } }), [
+      'runs 30.5s, longer than 30s'
+    ]);
+    assert.deepEqual(matchCreativeSpec(profile!, { video: { protocols: [7], w: 400, h: 300 } }), [
+      'is VAST 4.2, expected VAST 4.0',
+      'no media file has the 400x300 player\'s aspect ratio'
+    ]);
+  });
+
+  it('accepts a wrapper with an ad tag URI', () => {
+    const wrapper = vast('3.0', '<Wrapper><VASTAdTagURI><![CDATA[https://ads.example/vast]]></VASTAdTagURI></Wrapper>');
+    const { profile, issues } = inspectCreative({ video: { adm: wrapper } });
+    assert.deepEqual(issues, []);
+    assert.equal(profile?.protocol, 6);
+  });
+
+  it('rejects markup that is not well-formed or not VAST', () => {
+    const broken = inspectCreative({ video: { adm: vast('4.0', '<InLine><Impression></InLine>') } });
+    assert.match(broken.issues[0].message, /^is not well-formed XML: <\/InLine> does not close <Impression>/);
+
+    const html = inspectCreative({ video: { adm: '<html></html>' } });
+    assert.deepEqual(html.issues.map(i => i.message), ['must be VAST markup, not <html>']);
+  });
+
+  it('checks the inline ad for a duration and playable media', () => {
+    const { issues } = inspectCreative({ video: { adm: vast('4.0', inline('30s', '<MediaFile type="audio/mpeg">https://cdn.example/a.mp3</MediaFile>')) } });
+    assert.deepEqual(issues.map(i => i.message), [
+      '<Duration> "30s" is not HH:MM:SS',
+      '<MediaFile> #1 type "audio/mpeg" is not a video MIME type (video/mp4, video/webm, video/ogg, video/3gpp, video/quicktime, application/x-mpegurl, application/dash+xml, application/javascript)',
+      '<MediaFile> #1 needs a positive width and height'
+    ]);
+  });
+
+  it('matches native responses against the required assets', () => {
+    const request = JSON.stringify({ native: { assets: [
+      { id: 1, required: 1, title: { len: 25 } },
+      { id: 2, required: 1, img: { w: 1200, h: 627 } },
+      { id: 3, required: 0, data: { type: 2 } }
+    ] } });
+    const response = (assets: any[]) => inspectCreative({
+      display: { adm: JSON.stringify({ native: { assets, link: { url: 'https://brand.example' } } }) }
+    }).profile!;
+
+    const fits = response([{ id: 1, title: { text: 'Fresh recipes' } }, { id: 2, img: { url: 'https://cdn.example/i.jpg', w: 1200, h: 627 } }]);
+    assert.deepEqual(matchCreativeSpec(fits, { display: { nativeformat: { request } } }), []);
+
+    const missing = response([{ id: 1, title: { text: 'A title that is far too long for the slot' } }, { id: 2, img: null }]);
+    assert.deepEqual(matchCreativeSpec(missing, { display: { nativeformat: { request } } }), [
+      'native title is longer than 25 characters',
+      'native img asset 2 is required'
+    ]);
+  });
+});
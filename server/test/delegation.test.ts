@@ -0,0 +1,99 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DelegationPolicy, createDelegatedMessage, readDelegatedBy, readDelegatedFor } from '../src/a2a/delegation.js';
+import { LEADERBOARD_PRODUCT, createDraftLine, createExecutor, expectResult, finalStatus, sendMessage, statusText } from './helpers.js';
+
+describe('seller delegation', () => {
+  const policy = new DelegationPolicy();
+
+  it('delegates the buyer\'s requests and answers them with seller calls', () => {
+    const rule = policy.match('update_line', { id: 'l-1', bookingstatus: 'PendingBooking' });
+    assert.equal(rule?.id, 'line-booking');
+    assert.deepEqual(rule?.answer, [
+      { toolName: 'update_line', toolParams: { id: '{{steps[0].result.id}}', bookingstatus: 'Booked' } }
+    ]);
+  });
+
+  it('leaves the seller\'s decisions out of delegation', () => {
+    for (const bookingstatus of ['Reserved', 'Booked', 'Declined']) {
+      assert.equal(policy.match('update_line', { id: 'l-1', bookingstatus }), undefined);
+    }
+    assert.equal(policy.match('approve_creative', { id: 'c-1' }), undefined);
+  });
+
+  it('forwards the caller with the delegated call', () => {
+    const message = createDelegatedMessage(
+      { name: 'get_product', arguments: { id: 'p-1' } },
+      { agent: 'buyer', taskId: 't-1', contextId: 'c-1' },
+      { actor: 'buyer-app', scopes: ['opendirect:read'] }
+    );
+    assert.deepEqual(readDelegatedFor(message), { actor: 'buyer-app', scopes: ['opendirect:read'] });
+  });
+
+  it('reads delegatedBy only when it names a buyer or seller task', () => {
+    const message = createDelegatedMessage(
+      { name: 'get_product', arguments: { id: 'p-1' } },
+      { agent: 'buyer', taskId: 't-1', contextId: 'c-1' },
+      { actor: 'buyer-app' }
+    );
+    assert.deepEqual(readDelegatedBy(message), { agent: 'buyer', taskId: 't-1', contextId: 'c-1' });
+
+    for (const delegatedBy of [{ taskId: 't-1', contextId: 'c-1' }, { agent: 'admin', taskId: 't-1', contextId: 'c-1' }, { agent: 'buyer' }]) {
+      assert.equal(readDelegatedBy({ ...message, metadata: { delegatedBy } }), undefined);
+    }
+  });
+});
+
+describe('delegated calls on the seller agent', () => {
+  const PEER = 'buyer-agent';
+  const origin = { agent: 'buyer', taskId: 't-1', contextId: 'c-1' };
+
+  async function createSeller() {
+    return createExecutor('seller', { delegation: { policy: new DelegationPolicy(), peer: PEER } });
+  }
+
+  function requestBooking(lineId: string) {
+    return { toolCall: { name: 'update_line', arguments: { id: lineId, bookingstatus: 'PendingBooking' } } };
+  }
+
+  it('runs a call the buyer agent delegated with the buyer role', async () => {
+    const { executor } = await createSeller();
+    const events = await sendMessage(executor, {
+      data: { toolCall: { name: 'get_product', arguments: { id: LEADERBOARD_PRODUCT } } },
+      metadata: { delegatedBy: origin },
+      client: { id: PEER }
+    });
+    assert.equal(finalStatus(events).state, 'completed');
+    assert.deepEqual((events[0] as any).metadata, { delegatedBy: origin });
+  });
+
+  it('refuses forged or agent-less delegatedBy without running the call', async () => {
+    const { server, executor } = await createSeller();
+    const { line } = await createDraftLine(server);
+
+    for (const delegatedBy of [{ ...origin, agent: 'admin' }, { taskId: 't-1', contextId: 'c-1' }]) {
+      const events = await sendMessage(executor, { data: requestBooking(line.id), metadata: { delegatedBy }, client: { id: PEER } });
+      const status = finalStatus(events);
+      assert.equal(status.state, 'failed');
+      assert.match(statusText(status), /delegatedBy must name a buyer or seller task/);
+    }
+    assert.equal((await expectResult(server, 'get_line', { id: line.id })).bookingstatus, 'Draft');
+  });
+
+  it('refuses delegation metadata from any client but the buyer agent', async () => {
+    const { server, executor } = await createSeller();
+    const { line } = await createDraftLine(server);
+
+    for (const client of [{ id: 'someone-else' }, undefined]) {
+      const events = await sendMessage(executor, {
+        data: requestBooking(line.id),
+        metadata: { delegatedBy: origin, delegatedFor: { actor: 'buyer-app' } },
+        client
+      });
+      const status = finalStatus(events);
+      assert.equal(status.state, 'failed');
+      assert.match(statusText(status), /only the buyer agent's OAuth client/);
+    }
+    assert.equal((await expectResult(server, 'get_line', { id: line.id })).bookingstatus, 'Draft');
+  });
+});
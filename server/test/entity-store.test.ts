@@ -0,0 +1,44 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EntityStore } from '../src/mcp/entity-store.js';
+
+describe('entity store', () => {
+  it('assigns ids and keeps each resource type apart', () => {
+    const store = new EntityStore();
+    const account = store.create('Account', { name: 'Acme', id: 'ignored' });
+    assert.notEqual(account.id, 'ignored');
+    assert.deepEqual(store.get('Account', account.id), account);
+    assert.equal(store.find('Order', account.id), undefined);
+  });
+
+  it('merges updates without changing the id', () => {
+    const store = new EntityStore();
+    const order = store.create('Order', { name: 'Spring', budget: 1000 });
+    const updated = store.update('Order', order.id, { budget: 2000, id: 'other' });
+    assert.deepEqual(updated, { id: order.id, name: 'Spring', budget: 2000 });
+  });
+
+  it('lists entities matching every filter field and ignores undefined ones', () => {
+    const store = new EntityStore();
+    const a = store.create('Line', { orderid: 'o1', name: 'A' });
+    store.create('Line', { orderid: 'o2', name: 'B' });
+    assert.deepEqual(store.list('Line', { orderid: 'o1', name: undefined }), [a]);
+    assert.equal(store.list('Line').length, 2);
+  });
+
+  it('returns copies, so callers cannot change stored entities', () => {
+    const store = new EntityStore();
+    const account = store.create('Account', { name: 'Acme' });
+    account.name = 'Changed';
+    store.get('Account', account.id).name = 'Changed again';
+    assert.equal(store.get('Account', account.id).name, 'Acme');
+  });
+
+  it('reports missing entities as NOT_FOUND', () => {
+    const store = new EntityStore();
+    const account = store.create('Account', { name: 'Acme' });
+    assert.deepEqual(store.delete('Account', account.id), account);
+    assert.throws(() => store.get('Account', account.id), { code: 'NOT_FOUND' });
+    assert.throws(() => store.update('Account', account.id, {}), { code: 'NOT_FOUND' });
+  });
+});
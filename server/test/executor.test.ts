@@ -0,0 +1,133 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import type { Task } from '@a2a-js/sdk';
+import { DefaultExecutionEventBus } from '@a2a-js/sdk/server';
+import type { ChatRequest, ChatResponse, LLMProvider } from '../src/types/index.js';
+import { createDraftLine, createExecutor, expectResult, finalStatus, scriptedProvider, sendMessage, statusData, statusText } from './helpers.js';
+
+describe('agent executor', () => {
+  describe('tool loop', () => {
+    it('feeds each tool result back to the model until it answers', async () => {
+      const llm = scriptedProvider([
+        { content: null, toolCalls: [{ id: 'call-1', name: 'list_accounts', arguments: {} }] },
+        { content: 'You have accounts.', toolCalls: [] }
+      ]);
+      const { server, executor } = await createExecutor('buyer', { llm, options: { mode: 'loop' } });
+      const accounts = await expectResult(server, 'list_accounts', {}, { role: 'buyer' });
+
+      const events = await sendMessage(executor, { text: 'What accounts do I have?' });
+      const status = finalStatus(events);
+      assert.equal(status.state, 'completed');
+      assert.equal(statusText(status), 'You have accounts.');
+      assert.ok(events.some(event => event.kind === 'artifact-update' && event.artifact.metadata?.tool === 'list_accounts'));
+
+      const [first, second] = llm.requests;
+      assert.equal(first.messages[first.messages.length - 1].content, 'What accounts do I have?');
+      assert.ok(first.tools.every(tool => tool.name !== 'approve_creative'));
+      const fedBack = second.messages[second.messages.length - 1];
+      assert.equal(fedBack.role, 'tool');
+      assert.equal(fedBack.toolCallId, 'call-1');
+      assert.deepEqual(JSON.parse(fedBack.content!), accounts);
+    });
+
+    it('feeds tool errors back so the model can recover', async () => {
+      const llm = scriptedProvider([
+        { content: null, toolCalls: [{ id: 'call-1', name: 'get_order', arguments: { id: 'no-such-order' } }] },
+        { content: 'That order does not exist.', toolCalls: [] }
+      ]);
+      const { executor } = await createExecutor('buyer', { llm, options: { mode: 'loop' } });
+
+      const status = finalStatus(await sendMessage(executor, { text: 'Show order no-such-order' }));
+      assert.equal(status.state, 'completed');
+      const fedBack = llm.requests[1].messages[llm.requests[1].messages.length - 1];
+      assert.equal(JSON.parse(fedBack.content!).error.code, 'NOT_FOUND');
+    });
+
+    it('fails once the tool call budget is spent without an answer', async () => {
+      const list = { name: 'list_accounts', arguments: {} };
+      const llm = scriptedProvider([
+        { content: null, toolCalls: [{ id: 'call-1', ...list }, { id: 'call-2', ...list }] },
+        { content: null, toolCalls: [{ id: 'call-3', ...list }] }
+      ]);
+      const { executor } = await createExecutor('buyer', { llm, options: { mode: 'loop', maxSteps: 2 } });
+
+      const events = await sendMessage(executor, { text: 'Keep listing accounts' });
+      const status = finalStatus(events);
+      assert.equal(status.state, 'failed');
+      assert.match(statusText(status), /Stopped after 2 tool calls without a final answer/);
+      assert.equal(events.filter(event => event.kind === 'artifact-update').length, 2);
+    });
+  });
+
+  describe('cancellation', () => {
+    /**
+     * Calls list_accounts, then waits on its next round until that request is aborted
+     * (or forever, when it ignores the signal)
+     */
+    function stallingProvider(honorAbort: boolean) {
+      let stalled!: (request: ChatRequest) => void;
+      const stalledRequest = new Promise<ChatRequest>(resolve => { stalled = resolve; });
+      const llm: LLMProvider = {
+        name: 'stalling',
+        async plan() {
+          throw new Error('loop mode only');
+        },
+        async chat(request) {
+          if (!request.messages.some(message => message.role === 'tool')) {
+            return { content: null, toolCalls: [{ id: 'call-1', name: 'list_accounts', arguments: {} }] };
+          }
+          stalled(request);
+          return new Promise<ChatResponse>((_, reject) => {
+            if (honorAbort) request.signal?.addEventListener('abort', () => reject(request.signal!.reason), { once: true });
+          });
+        }
+      };
+      return { llm, stalledRequest };
+    }
+
+    it('aborts the running LLM request and reports the steps already committed', async () => {
+      const { llm, stalledRequest } = stallingProvider(true);
+      const { executor } = await createExecutor('buyer', { llm, options: { mode: 'loop' } });
+
+      const running = sendMessage(executor, { text: 'List accounts, then think hard', taskId: 'task-1' });
+      const request = await stalledRequest;
+      await executor.cancelTask('task-1', new DefaultExecutionEventBus());
+
+      const status = finalStatus(await running);
+      assert.equal(request.signal?.aborted, true);
+      assert.equal(status.state, 'canceled');
+      assert.match(statusText(status), /Already committed: step 1 list_accounts/);
+      assert.deepEqual(statusData(status)?.committedSteps.map((step: any) => step.tool), ['list_accounts']);
+    });
+
+    it('fails a step that outlives its timeout', async () => {
+      const { llm } = stallingProvider(false);
+      const { executor } = await createExecutor('buyer', { llm, options: { mode: 'loop', stepTimeoutMs: 50 } });
+
+      const status = finalStatus(await sendMessage(executor, { text: 'List accounts, then think hard' }));
+      assert.equal(status.state, 'failed');
+      assert.match(statusText(status), /LLM round 2 timed out after 50ms/);
+    });
+  });
+
+  describe('approval gate', () => {
+    it('asks again when an approved call is repeated', async () => {
+      const script: ChatResponse[] = [];
+      const { server, executor } = await createExecutor('seller', { llm: scriptedProvider(script), options: { mode: 'loop' } });
+      const { line } = await createDraftLine(server);
+      await expectResult(server, 'update_line', { id: line.id, bookingstatus: 'PendingBooking' }, { role: 'buyer' });
+
+      const book = { name: 'update_line', arguments: { id: line.id, bookingstatus: 'Booked' } };
+      script.push({ content: null, toolCalls: [{ id: 'call-1', ...book }] }, { content: null, toolCalls: [{ id: 'call-2', ...book }] });
+
+      const requested = await sendMessage(executor, { text: 'Book the line', client: { id: 'seller-app' } });
+      assert.equal(statusData(finalStatus(requested))?.approvalRequired.rule, 'book-line');
+
+      const approved = await sendMessage(executor, { text: 'approve', task: requested[0] as Task, client: { id: 'ad-ops-manager' } });
+      assert.equal((await expectResult(server, 'get_line', { id: line.id })).bookingstatus, 'Booked');
+      const status = finalStatus(approved);
+      assert.equal(status.state, 'input-required');
+      assert.equal(statusData(status)?.approvalRequired.rule, 'book-line');
+    });
+  });
+});
@@ -0,0 +1,257 @@
+/**
+ * Test Helpers
+ * Drive the MCP tool handlers the way the agents do, through MCPServer.callTool,
+ * and run A2A messages through an AgentExecutor
+ */
+
+import { mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import type { Message, Task, TaskArtifactUpdateEvent, TaskStatusUpdateEvent } from '@a2a-js/sdk';
+import { DefaultExecutionEventBus, RequestContext, ServerCallContext } from '@a2a-js/sdk/server';
+import { MCPServer } from '../src/mcp/mcp-server.js';
+import { AgentExecutor, type AgentExecutorOptions, type SellerDelegation } from '../src/a2a/executor.js';
+import { ConversationMemory } from '../src/a2a/conversation-memory.js';
+import { ApprovalPolicy } from '../src/a2a/approval-policy.js';
+import { ApprovalAuditLog } from '../src/a2a/approval-audit.js';
+import { RuleBasedPlanner } from '../src/llm/rule-based-planner.js';
+import { OAuthUser } from '../src/auth/oauth-server.js';
+import type { ChatRequest, ChatResponse, LLMProvider, ServerConfig, ToolCallContext } from '../src/types/index.js';
+
+export interface ToolOutcome {
+  result?: any;
+  error?: { code: string; message: string; details?: Record<string, any> };
+}
+
+// Seeded in fixtures/products.json: CPM 12 USD, minspend 5000, flight 7..90 days, 3 days lead time
+export const LEADERBOARD_PRODUCT = '5b1f3c2e-8a41-4f6b-9d0e-1a2b3c4d5e02';
+
+/**
+ * An initialized MCP server with a fresh entity store and the seeded catalog
+ */
+export async function createServer(): Promise<MCPServer> {
+  const server = new MCPServer();
+  await server.initialize();
+  return server;
+}
+
+/**
+ * Server settings for mounting an A2ARouter: the rule-based planner, in-memory
+ * tasks, OAuth off and single-attempt webhooks that may only reach allowed hosts
+ */
+export function createConfig(overrides: Partial<ServerConfig> = {}): ServerConfig {
+  return {
+    llmProvider: 'rules',
+    agentMode: 'plan',
+    agentMaxSteps: 8,
+    agentStepTimeoutMs: 5000,
+    taskStore: 'memory',
+    oauthEnabled: false,
+    pushSigningSecret: '',
+    pushMaxAttempts: 1,
+    pushRetryBaseMs: 1,
+    pushTimeoutMs: 1000,
+    pushAllowedHosts: [],
+    conversationMaxTurns: 20,
+    conversationMaxEntities: 50,
+    conversationMaxContexts: 100,
+    approvalAuditLog: join(mkdtempSync(join(tmpdir(), 'approvals-')), 'approvals.log'),
+    sellerDelegation: false,
+    ...overrides
+  } as ServerConfig;
+}
+
+/**
+ * Call a tool and unwrap its JSON result or structured error
+ */
+export async function call(
+  server: MCPServer,
+  tool: string,
+  args: Record<string, any>,
+  context: ToolCallContext = {}
+): Promise<ToolOutcome> {
+  const response = await server.callTool(tool, args, context);
+  const body = JSON.parse(response.content[0].text);
+  return response.isError ? { error: body.error } : { result: body };
+}
+
+/**
+ * Call a tool that must succeed and return its result
+ */
+export async function expectResult(
+  server: MCPServer,
+  tool: string,
+  args: Record<string, any>,
+  context: ToolCallContext = {}
+): Promise<any> {
+  const outcome = await call(server, tool, args, context);
+  if (outcome.error) {
+    throw new Error(`${tool} failed: ${outcome.error.code} ${outcome.error.message}`);
+  }
+  return outcome.result;
+}
+
+/**
+ * ISO date a number of whole days from today (UTC midnight)
+ */
+export function daysFromNow(days: number): string {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + days)).toISOString();
+}
+
+/**
+ * An account, an order and a Draft leaderboard line on it, created as the buyer
+ */
+export async function createDraftLine(server: MCPServer, line: Record<string, any> = {}) {
+  const buyer: ToolCallContext = { role: 'buyer' };
+  const account = await expectResult(server, 'create_account', {
+    advertiserid: 'advertiser-1',
+    buyerid: 'buyer-1',
+    name: 'Test Account'
+  }, buyer);
+  const order = await expectResult(server, 'create_order', {
+    name: 'Test Order',
+    accountid: account.id,
+    publisherid: 'publisher-1',
+    currency: 'USD',
+    budget: 20000
+  }, buyer);
+  const created = await expectResult(server, 'create_line', {
+    name: 'Leaderboard',
+    orderid: order.id,
+    productid: LEADERBOARD_PRODUCT,
+    startdate: daysFromNow(10),
+    enddate: daysFromNow(40),
+    ratetype: 'CPM',
+    quantity: 1000000,
+    ...line
+  }, buyer);
+  return { account, order, line: created };
+}
+
+/**
+ * Walk a Draft line to Booked: the buyer requests booking and the seller accepts
+ */
+export async function bookLine(server: MCPServer, lineId: string) {
+  await expectResult(server, 'update_line', { id: lineId, bookingstatus: 'PendingBooking' }, { role: 'buyer' });
+  return expectResult(server, 'update_line', { id: lineId, bookingstatus: 'Booked' }, { role: 'seller' });
+}
+
+/**
+ * A function-calling provider that answers with the given responses in order
+ * and records the requests it was sent
+ */
+export function scriptedProvider(responses: ChatResponse[]): LLMProvider & { requests: ChatRequest[] } {
+  const requests: ChatRequest[] = [];
+  return {
+    name: 'scripted',
+    requests,
+    async plan() {
+      throw new Error('The scripted provider only supports loop mode');
+    },
+    async chat(request) {
+      requests.push({ ...request, messages: [...request.messages] });
+      const response = responses.shift();
+      if (!response) throw new Error('The scripted provider ran out of responses');
+      return response;
+    }
+  };
+}
+
+export interface ExecutorSetup {
+  llm?: LLMProvider;
+  delegation?: SellerDelegation;
+  options?: Partial<AgentExecutorOptions>;
+}
+
+/**
+ * An agent executor for a role over a fresh MCP server, with the shipped
+ * approval rules, the rule-based planner and an audit log in a temp directory
+ */
+export async function createExecutor(role: 'buyer' | 'seller', setup: ExecutorSetup = {}) {
+  const server = await createServer();
+  const executor = new AgentExecutor(
+    role,
+    server,
+    server.getTools(role),
+    setup.llm ?? new RuleBasedPlanner(),
+    new ConversationMemory({ maxTurns: 20, maxEntities: 50, maxContexts: 100 }),
+    new ApprovalPolicy(),
+    new ApprovalAuditLog(join(mkdtempSync(join(tmpdir(), 'approvals-')), 'approvals.log')),
+    setup.delegation,
+    { mode: 'plan', maxSteps: 8, stepTimeoutMs: 5000, ...setup.options }
+  );
+  return { server, executor };
+}
+
+export type ExecutionEvent = Task | TaskStatusUpdateEvent | TaskArtifactUpdateEvent | Message;
+
+export interface SentMessage {
+  text?: string;
+  data?: Record<string, any>;
+  metadata?: Record<string, any>;
+  taskId?: string;
+  contextId?: string;
+  // The task a follow-up message continues
+  task?: Task;
+  // OAuth client (and scopes) the message was sent by; anonymous when absent
+  client?: { id: string; scopes?: string[] };
+}
+
+/**
+ * Run one user message through an executor and collect what it published
+ */
+export async function sendMessage(executor: AgentExecutor, message: SentMessage): Promise<ExecutionEvent[]> {
+  const taskId = message.taskId ?? message.task?.id ?? uuidv4();
+  const contextId = message.contextId ?? message.task?.contextId ?? uuidv4();
+  const userMessage: Message = {
+    kind: 'message',
+    messageId: uuidv4(),
+    role: 'user',
+    taskId,
+    contextId,
+    parts: [
+      ...(message.text !== undefined ? [{ kind: 'text' as const, text: message.text }] : []),
+      ...(message.data ? [{ kind: 'data' as const, data: message.data }] : [])
+    ],
+    ...(message.metadata && { metadata: message.metadata })
+  };
+  const user = message.client && new OAuthUser({
+    token: 'test-token',
+    clientId: message.client.id,
+    scopes: message.client.scopes ?? ['opendirect:read', 'opendirect:write']
+  });
+
+  const events: ExecutionEvent[] = [];
+  const eventBus = new DefaultExecutionEventBus();
+  eventBus.on('event', event => events.push(event as ExecutionEvent));
+  await executor.execute(
+    new RequestContext(userMessage, taskId, contextId, message.task, undefined, user ? new ServerCallContext(undefined, user) : undefined),
+    eventBus
+  );
+  return events;
+}
+
+/**
+ * The last status update among published events
+ */
+export function finalStatus(events: ExecutionEvent[]): TaskStatusUpdateEvent['status'] {
+  const updates = events.filter((event): event is TaskStatusUpdateEvent => event.kind === 'status-update');
+  return updates[updates.length - 1].status;
+}
+
+/**
+ * Text of a status update's agent message
+ */
+export function statusText(status: TaskStatusUpdateEvent['status']): string {
+  return (status.message?.parts ?? []).map(part => part.kind === 'text' ? part.text : '').join('');
+}
+
+/**
+ * Data part of a status update's agent message
+ */
+export function statusData(status: TaskStatusUpdateEvent['status']): Record<string, any> | undefined {
+  const part = status.message?.parts.find(part => part.kind === 'data');
+  return part?.kind === 'data' ? part.data : undefined;
+}
@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { flightDays, priceLine } from '../src/mcp/line-pricing.js';
+import { ToolError } from '../src/mcp/errors.js';
+
+const now = new Date('2026-01-01T12:00:00Z');
+const product = { id: 'p1', name: 'Leaderboard', ratetype: 'CPM', baseprice: 12, minspend: 5000, minflight: 7, maxflight: 90, leadtime: 3 };
+const line = { ratetype: 'CPM', quantity: 1000000, startdate: '2026-01-10T00:00:00Z', enddate: '2026-02-09T00:00:00Z' };
+
+function violations(fn: () => unknown): string[] {
+  try {
+    fn();
+  } catch (error) {
+    assert.ok(error instanceof ToolError);
+    assert.equal(error.code, 'BOOKING_CONSTRAINT');
+    return error.details?.violations.map((v: any) => v.constraint);
+  }
+  assert.fail('expected a BOOKING_CONSTRAINT error');
+}
+
+describe('line pricing', () => {
+  it('counts a started day as a whole day', () => {
+    assert.equal(flightDays('2026-01-01T00:00:00Z', '2026-01-08T00:00:00Z'), 7);
+    assert.equal(flightDays('2026-01-01T00:00:00Z', '2026-01-08T01:00:00Z'), 8);
+  });
+
+  it('projects cost from the rate type', () => {
+    assert.deepEqual(priceLine(line, product, { checkLeadtime: true, now }), { rate: 12, cost: 12000 });
+    assert.equal(priceLine({ ...line, ratetype: 'CPC', quantity: 2000 }, { ...product, ratetype: 'CPC', baseprice: 0.85, minspend: 0 }, { checkLeadtime: false }).cost, 1700);
+    assert.equal(priceLine({ ...line, ratetype: 'CPD' }, { ...product, ratetype: 'CPD', baseprice: 100, minspend: 0 }, { checkLeadtime: false }).cost, 3000);
+    assert.equal(priceLine({ ...line, ratetype: 'FlatRate' }, { ...product, ratetype: 'FlatRate', baseprice: 8000, minspend: 0 }, { checkLeadtime: false }).cost, 8000);
+  });
+
+  it('lists every booking limit a line breaks', () => {
+    const cheapShortSoon = { ...line, quantity: 1000, startdate: '2026-01-02T00:00:00Z', enddate: '2026-01-04T00:00:00Z' };
+    assert.deepEqual(violations(() => priceLine(cheapShortSoon, product, { checkLeadtime: true, now })), ['minspend', 'minflight', 'leadtime']);
+    assert.deepEqual(violations(() => priceLine({ ...line, ratetype: 'CPC', quantity: 100 }, product, { checkLeadtime: false })), ['ratetype', 'minspend']);
+  });
+
+  it('skips the lead time unless asked', () => {
+    const started = { ...line, startdate: '2025-12-20T00:00:00Z', enddate: '2026-01-20T00:00:00Z' };
+    assert.equal(priceLine(started, product, { checkLeadtime: false, now }).rate, 12);
+  });
+
+  it('rejects a flight that ends before it starts', () => {
+    assert.deepEqual(violations(() => priceLine({ ...line, enddate: line.startdate }, product, { checkLeadtime: false })), ['flight']);
+  });
+});
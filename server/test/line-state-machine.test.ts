@@ -0,0 +1,30 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { allowedTransitions, assertLineTransition } from '../src/mcp/line-state-machine.js';
+import { ToolError } from '../src/mcp/errors.js';
+
+describe('line state machine', () => {
+  it('lets the buyer request and the seller accept a booking', () => {
+    assert.equal(assertLineTransition('Draft', 'PendingBooking', 'buyer').reason, 'Buyer requested booking');
+    assert.equal(assertLineTransition('PendingBooking', 'Booked', 'seller').reason, 'Seller accepted booking');
+  });
+
+  it('keeps each side to its own moves', () => {
+    assert.throws(() => assertLineTransition('PendingBooking', 'Booked', 'buyer'), (error: ToolError) => {
+      assert.equal(error.code, 'ILLEGAL_TRANSITION');
+      assert.deepEqual(error.details?.allowed, ['Canceled']);
+      return true;
+    });
+    assert.throws(() => assertLineTransition('Draft', 'PendingReservation', 'seller'), ToolError);
+  });
+
+  it('reports final states', () => {
+    assert.throws(() => assertLineTransition('Finished', 'InFlight', 'seller'), /Finished is a final state for the seller/);
+  });
+
+  it('only offers moves both roles share to callers without a role', () => {
+    assert.deepEqual(allowedTransitions('InFlight').map(t => t.to), ['Stopped']);
+    assert.deepEqual(allowedTransitions('Draft'), []);
+    assert.throws(() => assertLineTransition('Draft', 'PendingBooking'), /Use a buyer or seller connection/);
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import type { MCPServer } from '../src/mcp/mcp-server.js';
+import { LEADERBOARD_PRODUCT, createDraftLine, createServer } from './helpers.js';
+
+async function connect(server: MCPServer, role?: 'buyer' | 'seller'): Promise<Client> {
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await server.createProtocolServer(role).connect(serverTransport);
+  const client = new Client({ name: 'test-client', version: '1.0.0' });
+  await client.connect(clientTransport);
+  return client;
+}
+
+describe('MCP endpoints', () => {
+  it('refuse calls that need human approval', async () => {
+    const server = await createServer();
+    const { line } = await createDraftLine(server);
+    const client = await connect(server, 'seller');
+
+    try {
+      const response: any = await client.callTool({ name: 'update_line', arguments: { id: line.id, bookingstatus: 'Booked' } });
+      assert.equal(response.isError, true);
+      const { error } = JSON.parse(response.content[0].text);
+      assert.equal(error.code, 'APPROVAL_REQUIRED');
+      assert.equal(error.details.rule, 'book-line');
+    } finally {
+      await client.close();
+    }
+  });
+
+  it('offer callers without a role only the tools both roles share', async () => {
+    const server = await createServer();
+    const anonymous = await connect(server);
+    const seller = await connect(server, 'seller');
+
+    try {
+      const { tools } = await anonymous.listTools();
+      const names = tools.map(tool => tool.name);
+      assert.ok(names.includes('get_product') && names.includes('update_line'));
+      for (const sellerOnly of ['approve_creative', 'approve_changerequest', 'create_product']) {
+        assert.ok(!names.includes(sellerOnly), `${sellerOnly} should not be listed`);
+        assert.ok((await seller.listTools()).tools.some(tool => tool.name === sellerOnly));
+      }
+      assert.ok(!names.includes('create_order'));
+
+      const refused: any = await anonymous.callTool({ name: 'approve_creative', arguments: { id: 'creative-1' } });
+      assert.equal(refused.isError, true);
+      assert.equal(JSON.parse(refused.content[0].text).error.code, 'FORBIDDEN_TOOL');
+
+      const product: any = await anonymous.callTool({ name: 'get_product', arguments: { id: LEADERBOARD_PRODUCT } });
+      assert.equal(product.isError, undefined);
+      assert.equal(JSON.parse(product.content[0].text).id, LEADERBOARD_PRODUCT);
+    } finally {
+      await anonymous.close();
+      await seller.close();
+    }
+  });
+});
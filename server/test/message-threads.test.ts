@@ -0,0 +1,141 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer as createHttpServer, type Server } from 'http';
+import type { AddressInfo } from 'net';
+import { MCPServer } from '../src/mcp/mcp-server.js';
+import type { PushDeliveryOptions } from '../src/a2a/push-notifications.js';
+import { call, createDraftLine, createServer, expectResult } from './helpers.js';
+
+const BUYER = { role: 'buyer' as const };
+const SELLER = { role: 'seller' as const };
+const buyerContact = { firstname: 'Bea', lastname: 'Buyer', type: 'Buyer' };
+const sellerContact = { firstname: 'Sam', lastname: 'Seller', type: 'Sales' };
+
+describe('message threads', () => {
+  it('threads replies and copies the order, lines and contacts of the parent', async () => {
+    const server = await createServer();
+    const { order, line } = await createDraftLine(server);
+    const question = await expectResult(server, 'create_message', {
+      orderid: order.id,
+      lineids: [line.id],
+      sender: buyerContact,
+      recipient: sellerContact,
+      message: 'Can the leaderboard start a week earlier?'
+    }, BUYER);
+    assert.equal(question.threadid, question.id);
+    assert.equal(question.status, 'New');
+
+    const reply = await expectResult(server, 'create_message', { replytomessageid: question.id, message: 'Yes, from Monday.' }, SELLER);
+    assert.equal(reply.threadid, question.id);
+    assert.equal(reply.orderid, order.id);
+    assert.deepEqual(reply.lineids, [line.id]);
+    assert.deepEqual(reply.sender, sellerContact);
+    assert.deepEqual(reply.recipient, buyerContact);
+    assert.equal((await expectResult(server, 'get_message', { id: question.id })).status, 'Read');
+
+    const [thread] = await expectResult(server, 'list_message_threads', { orderid: order.id }, BUYER);
+    assert.equal(thread.threadid, question.id);
+    assert.equal(thread.messagecount, 2);
+    assert.equal(thread.unread, 1);
+    assert.deepEqual(thread.messages.map((message: any) => message.id), [question.id, reply.id]);
+  });
+
+  it('keeps a thread on one order and its lines on that order', async () => {
+    const server = await createServer();
+    const first = await createDraftLine(server);
+    const second = await createDraftLine(server);
+    const question = await expectResult(server, 'create_message', { orderid: first.order.id, message: 'Hello' }, BUYER);
+
+    const moved = await call(server, 'create_message', { replytomessageid: question.id, orderid: second.order.id, message: 'Hi' }, SELLER);
+    assert.equal(moved.error?.code, 'INVALID_ARGUMENT');
+    assert.equal(moved.error?.details?.field, 'orderid');
+
+    const foreignLine = await call(server, 'create_message', { orderid: first.order.id, lineids: [second.line.id], message: 'Hi' }, BUYER);
+    assert.equal(foreignLine.error?.code, 'INVALID_ARGUMENT');
+    assert.equal(foreignLine.error?.details?.field, 'lineids');
+  });
+
+  it('drafts a reply without sending it', async () => {
+    const server = await createServer();
+    const { order } = await createDraftLine(server);
+    const question = await expectResult(server, 'create_message', {
+      orderid: order.id,
+      sender: buyerContact,
+      recipient: sellerContact,
+      message: 'Any remnant inventory?'
+    }, BUYER);
+
+    const { replyto, thread, draft } = await expectResult(server, 'draft_message_reply', { messageid: question.id, message: 'Not this month.' }, SELLER);
+    assert.equal(replyto.status, 'Read');
+    assert.equal(thread.messagecount, 1);
+    assert.deepEqual(draft, {
+      replytomessageid: question.id,
+      orderid: order.id,
+      recipient: buyerContact,
+      sender: sellerContact,
+      message: 'Not this month.'
+    });
+  });
+
+  describe('reply webhooks', () => {
+    let receiver: Server;
+    let url: string;
+    let received: string[] = [];
+
+    const webhooks = (allowedHosts: string[]): PushDeliveryOptions => ({
+      signingSecret: '',
+      maxAttempts: 1,
+      retryBaseMs: 1,
+      timeoutMs: 1000,
+      allowedHosts
+    });
+
+    async function createThread(server: MCPServer) {
+      const { order } = await createDraftLine(server);
+      return expectResult(server, 'create_message', { orderid: order.id, message: 'Ping', replywebhook: url }, BUYER);
+    }
+
+    before(async () => {
+      receiver = createHttpServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received.push(body);
+          res.end();
+        });
+      });
+      await new Promise<void>(resolve => receiver.listen(0, '127.0.0.1', resolve));
+      url = `http://127.0.0.1:${(receiver.address() as AddressInfo).port}/replies`;
+    });
+
+    after(() => {
+      receiver.close();
+    });
+
+    async function waitForDeliveries() {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    it('posts a reply to the replied-to message\'s webhook', async () => {
+      received = [];
+      const server = new MCPServer({ webhooks: webhooks(['127.0.0.1']) });
+      await server.initialize();
+      const question = await createThread(server);
+
+      const reply = await expectResult(server, 'create_message', { replytomessageid: question.id, message: 'Pong' }, SELLER);
+      await waitForDeliveries();
+      assert.deepEqual(received.map(body => JSON.parse(body).id), [reply.id]);
+    });
+
+    it('does not post replies to a loopback webhook unless its host is allowed', async () => {
+      received = [];
+      const server = new MCPServer({ webhooks: webhooks([]) });
+      await server.initialize();
+      const question = await createThread(server);
+
+      await expectResult(server, 'create_message', { replytomessageid: question.id, message: 'Pong' }, SELLER);
+      await waitForDeliveries();
+      assert.deepEqual(received, []);
+    });
+  });
+});
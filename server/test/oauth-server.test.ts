@@ -0,0 +1,149 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import type { AddressInfo } from 'net';
+import type { Server } from 'http';
+import express from 'express';
+import { createHash } from 'crypto';
+import { OAuthServer } from '../src/auth/oauth-server.js';
+import type { ServerConfig } from '../src/types/index.js';
+
+const config = {
+  oauthIssuer: 'test-issuer',
+  oauthJwtSecret: 'test-secret',
+  oauthAccessTokenTtlSeconds: 60,
+  oauthRefreshTokenTtlSeconds: 600,
+  oauthClients: [
+    { clientId: 'buyer-app', clientSecret: 's3cret:with:colons', scopes: ['opendirect:read', 'opendirect:write'] },
+    { clientId: 'spa', scopes: ['opendirect:read'], redirectUris: ['http://localhost:5173/callback'] }
+  ]
+} as ServerConfig;
+
+describe('OAuth token endpoint', () => {
+  const oauth = new OAuthServer(config);
+  let server: Server;
+  let url: string;
+
+  before(async () => {
+    const app = express();
+    app.use('/oauth', oauth.getRouter());
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    url = `http://127.0.0.1:${(server.address() as AddressInfo).port}/oauth/token`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  function token(body: Record<string, string>, headers: Record<string, string> = {}) {
+    return fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...headers },
+      body: new URLSearchParams(body)
+    });
+  }
+
+  const basic = (id: string, secret: string) => ({ Authorization: `Basic ${Buffer.from(`${id}:${secret}`).toString('base64')}` });
+
+  it('issues a verifiable access token for client credentials', async () => {
+    const response = await token({ grant_type: 'client_credentials', scope: 'opendirect:read' }, basic('buyer-app', 's3cret:with:colons'));
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('cache-control'), 'no-store');
+
+    const body: any = await response.json();
+    assert.equal(body.token_type, 'Bearer');
+    assert.equal(body.scope, 'opendirect:read');
+    assert.equal(body.refresh_token, undefined);
+
+    const auth = await oauth.verifyAccessToken(body.access_token);
+    assert.equal(auth.clientId, 'buyer-app');
+    assert.deepEqual(auth.scopes, ['opendirect:read']);
+  });
+
+  it('grants every allowed scope when none is requested', async () => {
+    const response = await token({ grant_type: 'client_credentials', client_id: 'buyer-app', client_secret: 's3cret:with:colons' });
+    assert.equal((await response.json() as any).scope, 'opendirect:read opendirect:write');
+  });
+
+  it('rejects a wrong secret with 401 invalid_client', async () => {
+    const response = await token({ grant_type: 'client_credentials' }, basic('buyer-app', 'wrong'));
+    assert.equal(response.status, 401);
+    assert.equal(response.headers.get('www-authenticate'), 'Basic realm="opendirect"');
+    assert.equal((await response.json() as any).error, 'invalid_client');
+  });
+
+  it('rejects malformed Basic credentials with 401 invalid_client', async () => {
+    const response = await token({ grant_type: 'client_credentials' }, basic('buyer-app', '%E0%A4%A'));
+    assert.equal(response.status, 401);
+    assert.equal((await response.json() as any).error, 'invalid_client');
+  });
+
+  it('refuses scopes the client is not allowed', async () => {
+    const response = await token({ grant_type: 'client_credentials', scope: 'opendirect:admin' }, basic('buyer-app', 's3cret:with:colons'));
+    assert.equal(response.status, 400);
+    assert.equal((await response.json() as any).error, 'invalid_scope');
+  });
+
+  it('keeps public clients off client credentials', async () => {
+    const response = await token({ grant_type: 'client_credentials', client_id: 'spa' });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json() as any).error, 'unauthorized_client');
+  });
+
+  it('rejects unknown grant types', async () => {
+    const response = await token({ grant_type: 'password' }, basic('buyer-app', 's3cret:with:colons'));
+    assert.equal((await response.json() as any).error, 'unsupported_grant_type');
+  });
+
+  describe('authorization code flow', () => {
+    const verifier = 'a-long-enough-code-verifier-for-the-test-0123456789';
+    const challenge = createHash('sha256').update(verifier).digest('base64url');
+
+    async function authorize(query: Record<string, string> = {}) {
+      const params = new URLSearchParams({ response_type: 'code', client_id: 'spa', code_challenge: challenge, code_challenge_method: 'S256', ...query });
+      const response = await fetch(`${url.replace('/token', '/authorize')}?${params}`, { redirect: 'manual' });
+      assert.equal(response.status, 302);
+      const location = new URL(response.headers.get('location')!);
+      assert.equal(`${location.origin}${location.pathname}`, 'http://localhost:5173/callback');
+      return location.searchParams.get('code')!;
+    }
+
+    it('redeems a code with its redirect_uri and verifier', async () => {
+      const code = await authorize();
+      const response = await token({
+        grant_type: 'authorization_code',
+        client_id: 'spa',
+        code,
+        code_verifier: verifier,
+        redirect_uri: 'http://localhost:5173/callback'
+      });
+      assert.equal(response.status, 200);
+      const body: any = await response.json();
+      assert.ok(body.refresh_token);
+
+      const refreshed = await token({ grant_type: 'refresh_token', client_id: 'spa', refresh_token: body.refresh_token });
+      assert.equal(refreshed.status, 200);
+      const reused = await token({ grant_type: 'refresh_token', client_id: 'spa', refresh_token: body.refresh_token });
+      assert.equal((await reused.json() as any).error, 'invalid_grant');
+    });
+
+    it('requires the redirect_uri even when the authorization request left it to the default', async () => {
+      const code = await authorize();
+      const response = await token({ grant_type: 'authorization_code', client_id: 'spa', code, code_verifier: verifier });
+      assert.equal(response.status, 400);
+      assert.equal((await response.json() as any).error, 'invalid_grant');
+    });
+
+    it('rejects a wrong verifier', async () => {
+      const code = await authorize({ redirect_uri: 'http://localhost:5173/callback' });
+      const response = await token({
+        grant_type: 'authorization_code',
+        client_id: 'spa',
+        code,
+        code_verifier: 'not-the-verifier',
+        redirect_uri: 'http://localhost:5173/callback'
+      });
+      assert.equal((await response.json() as any).error, 'invalid_grant');
+    });
+  });
+});
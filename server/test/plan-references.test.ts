@@ -0,0 +1,22 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveReferences, type CompletedStep } from '../src/a2a/plan-references.js';
+
+const completed: CompletedStep[] = [
+  { id: 'order', toolName: 'create_order', params: {}, result: { id: 'o-1', lines: [{ id: 'l-1' }] } }
+];
+
+describe('plan references', () => {
+  it('resolves paths through results and arrays', () => {
+    assert.deepEqual(
+      resolveReferences({ orderid: '{{steps.order.result.id}}', lineid: '{{steps[0].result.lines[0].id}}' }, completed),
+      { orderid: 'o-1', lineid: 'l-1' }
+    );
+  });
+
+  it('does not resolve inherited prototype members', () => {
+    for (const reference of ['{{steps.order.result.constructor}}', '{{steps[0].result.lines.map}}']) {
+      assert.throws(() => resolveReferences(reference, completed), { code: 'DANGLING_REFERENCE' });
+    }
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isActive, loadProductCatalog, searchProducts } from '../src/mcp/product-catalog.js';
+import type { Entity } from '../src/mcp/entity-store.js';
+import { LEADERBOARD_PRODUCT, call, createServer, expectResult } from './helpers.js';
+
+describe('search_products', () => {
+  const products = loadProductCatalog();
+  const names = (items: Entity[]) => items.map(item => item.name);
+
+  it('ranks query matches by where the words matched', () => {
+    const { items } = searchProducts(products, { query: 'podcast sponsorship' });
+    assert.deepEqual(names(items), [
+      'Podcast Host-Read Package',
+      'Podcast Network Audio Spot',
+      'Rezepte Daily Sponsorship'
+    ]);
+  });
+
+  it('filters by budget, flight, language, tags and subdomain', () => {
+    assert.ok(searchProducts(products, { budget: 3000 }).items.every(product => product.minspend <= 3000));
+    assert.deepEqual(names(searchProducts(products, { language: 'de', producttags: ['FOOD', 'native'] }).items), ['Rezepte Native In-Feed']);
+    assert.deepEqual(
+      names(searchProducts(products, { domain: 'www.news.example.com', deliverytype: 'Guaranteed', sort: 'baseprice_desc' }).items),
+      ['Sports Video Pre-roll', 'News Leaderboard Run of Site', 'News Medium Rectangle']
+    );
+  });
+
+  it('pages the results and counts facets over every match', () => {
+    const result = searchProducts(products, { currency: 'usd', sort: 'name', limit: 2, offset: 1 });
+    assert.equal(result.total, 8);
+    assert.equal(result.items.length, 2);
+    assert.equal(result.facets.currency.USD, 8);
+    assert.equal(result.facets.deliverytype.Guaranteed, 5);
+    assert.deepEqual(result.facets.baseprice, { min: 9.5, max: 25000 });
+  });
+
+  it('counts facet values that are Object.prototype property names', () => {
+    const tagged = [
+      { ...products[0], id: 'p-1', producttags: ['constructor', '__proto__', 'toString'] },
+      { ...products[1], id: 'p-2', producttags: ['constructor'] }
+    ];
+    const { producttags } = searchProducts(tagged, {}).facets;
+    assert.equal(producttags.constructor, 2);
+    assert.equal(producttags.__proto__, 1);
+    assert.equal(producttags.toString, 1);
+    assert.deepEqual(Object.keys(producttags).sort(), ['__proto__', 'constructor', 'toString']);
+  });
+
+  it('leaves out products not yet active or already retired', () => {
+    const now = new Date('2026-06-01T00:00:00Z');
+    assert.equal(isActive({ id: 'p', activedate: '2026-07-01T00:00:00Z' }, now), false);
+    assert.equal(isActive({ id: 'p', activedate: '2026-05-01T00:00:00Z', retirementdate: '2026-05-31T00:00:00Z' }, now), false);
+    assert.equal(isActive({ id: 'p', activedate: '2026-05-01T00:00:00Z', retirementdate: '2026-07-01T00:00:00Z' }, now), true);
+    assert.ok(!names(searchProducts(products, { query: 'skyscraper' }).items).includes('News Skyscraper (Legacy)'));
+  });
+
+  it('searches the catalog the seller edits through MCP', async () => {
+    const server = await createServer();
+    const { id, ...leaderboard } = products.find(product => product.id === LEADERBOARD_PRODUCT)!;
+    const upcoming = await expectResult(server, 'create_product', {
+      ...leaderboard,
+      name: 'News Zeppelin',
+      producttags: ['zeppelin'],
+      activedate: new Date(Date.now() + 86400000).toISOString()
+    }, { role: 'seller' });
+    assert.equal((await expectResult(server, 'search_products', { query: 'zeppelin' })).total, 0);
+
+    await expectResult(server, 'update_product', { id: upcoming.id, activedate: new Date(Date.now() - 86400000).toISOString() }, { role: 'seller' });
+    const { items } = await expectResult(server, 'search_products', { query: 'zeppelin' });
+    assert.deepEqual(names(items), ['News Zeppelin']);
+
+    const { error } = await call(server, 'search_products', { limit: 'ten' });
+    assert.equal(error?.code, 'INVALID_ARGUMENTS');
+  });
+});
@@ -0,0 +1,198 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer, type IncomingHttpHeaders, type Server } from 'http';
+import type { AddressInfo } from 'net';
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import { InMemoryPushNotificationStore } from '@a2a-js/sdk/server';
+import type { Task } from '@a2a-js/sdk';
+import {
+  ATTEMPT_HEADER,
+  DELIVERY_ID_HEADER,
+  SIGNATURE_HEADER,
+  TOKEN_HEADER,
+  WebhookPushNotificationSender,
+  checkWebhookUrl,
+  deliverWebhook,
+  signPushPayload,
+  verifyPushSignature,
+  type PushDeliveryOptions
+} from '../src/a2a/push-notifications.js';
+import { A2ARouter } from '../src/a2a/router.js';
+import { ResourceWebhooks } from '../src/mcp/resource-webhooks.js';
+import { createConfig, createServer as createMCPServer } from './helpers.js';
+
+interface Received {
+  headers: IncomingHttpHeaders;
+  body: string;
+}
+
+describe('push notifications', () => {
+  const SECRET = 'test-secret';
+  let receiver: Server;
+  let url: string;
+  let received: Received[] = [];
+  // Status codes to answer with before answering 200
+  let failures: number[] = [];
+  let onReceive: () => void = () => {};
+
+  const options = (overrides: Partial<PushDeliveryOptions> = {}): PushDeliveryOptions => ({
+    signingSecret: SECRET,
+    maxAttempts: 3,
+    retryBaseMs: 1,
+    timeoutMs: 1000,
+    allowedHosts: ['127.0.0.1'],
+    ...overrides
+  });
+
+  function nextDelivery(): Promise<void> {
+    return new Promise(resolve => { onReceive = resolve; });
+  }
+
+  before(async () => {
+    receiver = createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = failures.shift() ?? 200;
+        res.end();
+        onReceive();
+      });
+    });
+    await new Promise<void>(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${(receiver.address() as AddressInfo).port}/webhook`;
+  });
+
+  after(() => {
+    receiver.close();
+  });
+
+  it('verifies its own signatures and nothing else', () => {
+    const body = '{"id":"task-1"}';
+    const header = signPushPayload(SECRET, body);
+    assert.equal(verifyPushSignature(SECRET, body, header), true);
+    assert.equal(verifyPushSignature(SECRET, '{"id":"task-2"}', header), false);
+    assert.equal(verifyPushSignature('other-secret', body, header), false);
+    assert.equal(verifyPushSignature(SECRET, body, signPushPayload(SECRET, body, Math.floor(Date.now() / 1000) - 600)), false);
+    assert.equal(verifyPushSignature(SECRET, body, undefined), false);
+  });
+
+  it('delivers a signed body and retries 5xx with the same delivery id', async () => {
+    received = [];
+    failures = [503];
+    const body = JSON.stringify({ id: 'task-1' });
+
+    assert.equal(await deliverWebhook({ url, body, label: 'Test delivery' }, options()), true);
+    assert.equal(received.length, 2);
+    assert.deepEqual(received.map(({ headers }) => headers[ATTEMPT_HEADER.toLowerCase()]), ['1', '2']);
+    assert.equal(received[0].headers[DELIVERY_ID_HEADER.toLowerCase()], received[1].headers[DELIVERY_ID_HEADER.toLowerCase()]);
+    assert.equal(received[1].body, body);
+    assert.equal(verifyPushSignature(SECRET, body, received[1].headers[SIGNATURE_HEADER.toLowerCase()] as string), true);
+  });
+
+  it('stops on 4xx and after the last attempt', async () => {
+    received = [];
+    failures = [400];
+    assert.equal(await deliverWebhook({ url, body: '{}', label: 'Test delivery' }, options()), false);
+    assert.equal(received.length, 1);
+
+    received = [];
+    failures = [500, 502, 503];
+    assert.equal(await deliverWebhook({ url, body: '{}', label: 'Test delivery' }, options()), false);
+    assert.equal(received.length, 3);
+  });
+
+  it('refuses loopback, private and link-local hosts unless they are allowed', async () => {
+    for (const refused of [
+      'http://127.0.0.1/hook',
+      'http://localhost:4000/hook',
+      'http://10.1.2.3/hook',
+      'http://172.20.0.1/hook',
+      'http://192.168.1.10/hook',
+      'http://169.254.169.254/latest/meta-data',
+      'http://100.64.0.1/hook',
+      'http://0.0.0.0/hook',
+      'http://[::1]/hook',
+      'http://[fe80::1]/hook',
+      'http://[fd00::1]/hook',
+      'http://[::ffff:127.0.0.1]/hook'
+    ]) {
+      assert.ok(await checkWebhookUrl(refused, []), `${refused} should be refused`);
+    }
+    assert.match((await checkWebhookUrl('file:///etc/passwd', []))!, /unsupported protocol/);
+    assert.equal(await checkWebhookUrl('https://93.184.216.34/hook', []), undefined);
+    assert.equal(await checkWebhookUrl('http://LOCALHOST:4000/hook', ['localhost']), undefined);
+
+    received = [];
+    assert.equal(await deliverWebhook({ url, body: '{}', label: 'Test delivery' }, options({ allowedHosts: [] })), false);
+    assert.equal(received.length, 0);
+  });
+
+  it('posts the task to every webhook registered for it', async () => {
+    received = [];
+    const store = new InMemoryPushNotificationStore();
+    await store.save('task-1', { url, token: 'client-token', authentication: { schemes: ['Bearer'], credentials: 'abc' } });
+    const task: Task = { kind: 'task', id: 'task-1', contextId: 'ctx-1', status: { state: 'working' } };
+
+    const delivered = nextDelivery();
+    await new WebhookPushNotificationSender(store, options()).send(task);
+    await delivered;
+
+    assert.deepEqual(JSON.parse(received[0].body), task);
+    assert.equal(received[0].headers[TOKEN_HEADER.toLowerCase()], 'client-token');
+    assert.equal(received[0].headers.authorization, 'Bearer abc');
+  });
+
+  it('calls resource webhooks by the same rules', async () => {
+    received = [];
+    const delivered = nextDelivery();
+    new ResourceWebhooks(options()).notify('ChangeRequest', { id: 'cr-1', status: 'Approved' }, url);
+    await delivered;
+    assert.deepEqual(JSON.parse(received[0].body), { id: 'cr-1', status: 'Approved' });
+
+    received = [];
+    new ResourceWebhooks(options({ allowedHosts: [] })).notify('Message', { id: 'm-1' }, url);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(received.length, 0);
+  });
+
+  it('notifies the webhook a message registers as its task runs', async () => {
+    received = [];
+    const mcpServer = await createMCPServer();
+    const config = createConfig({ pushSigningSecret: SECRET, pushAllowedHosts: ['127.0.0.1'] });
+    const app = express();
+    app.use(express.json());
+    app.use('/a2a/buyer', new A2ARouter('buyer', mcpServer, mcpServer.getTools('buyer'), config).getRouter());
+    const agent = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => agent.once('listening', resolve));
+
+    try {
+      const response = await fetch(`http://127.0.0.1:${(agent.address() as AddressInfo).port}/a2a/buyer/jsonrpc`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          jsonrpc: '2.0',
+          id: 1,
+          method: 'message/send',
+          params: {
+            message: { kind: 'message', messageId: uuidv4(), role: 'user', parts: [{ kind: 'text', text: 'list accounts' }] },
+            configuration: { pushNotificationConfig: { url, token: 'client-token' } }
+          }
+        })
+      });
+      const { result }: any = await response.json();
+
+      for (let waited = 0; !received.some(({ body }) => JSON.parse(body).status.state === 'completed') && waited < 2000; waited += 20) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      const completed = received.find(({ body }) => JSON.parse(body).status.state === 'completed');
+      assert.ok(completed, 'the completed task should be delivered');
+      assert.equal(JSON.parse(completed.body).id, result.id);
+      assert.equal(completed.headers[TOKEN_HEADER.toLowerCase()], 'client-token');
+      assert.equal(verifyPushSignature(SECRET, completed.body, completed.headers[SIGNATURE_HEADER.toLowerCase()] as string), true);
+    } finally {
+      agent.close();
+    }
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { AgentCardGenerator } from '../src/a2a/agent-card.js';
+import { RolePolicy } from '../src/mcp/role-policy.js';
+import type { MCPTool } from '../src/types/index.js';
+import { call, createServer } from './helpers.js';
+
+function writePolicy(roles: Record<string, { tools: string[] }>): string {
+  const path = join(mkdtempSync(join(tmpdir(), 'roles-')), 'roles.json');
+  writeFileSync(path, JSON.stringify({ roles }));
+  return path;
+}
+
+const tool = (name: string): MCPTool => ({ name, description: name, inputSchema: { type: 'object', properties: {} } });
+
+describe('role policy', () => {
+  it('matches tool names exactly or through * wildcards', () => {
+    const policy = new RolePolicy(writePolicy({ buyer: { tools: ['get_*', 'create_order'] }, seller: { tools: ['get_product'] } }));
+    assert.equal(policy.allows('buyer', 'get_order'), true);
+    assert.equal(policy.allows('buyer', 'create_order'), true);
+    assert.equal(policy.allows('buyer', 'create_orders'), false);
+    assert.equal(policy.allows('buyer', 'forget_order'), false);
+    assert.equal(policy.allowsEveryRole('get_product'), true);
+    assert.equal(policy.allowsEveryRole('get_order'), false);
+    assert.deepEqual(
+      policy.filterTools('seller', [tool('get_product'), tool('get_order')]).map(t => t.name),
+      ['get_product']
+    );
+  });
+
+  it('gives roles missing from the policy no tools', () => {
+    const policy = new RolePolicy(writePolicy({ buyer: { tools: ['*'] } }));
+    assert.equal(policy.allows('seller', 'get_product'), false);
+    assert.throws(() => policy.assertAllowed('seller', 'get_product'), {
+      code: 'FORBIDDEN_TOOL',
+      message: 'The seller agent is not permitted to call get_product'
+    });
+  });
+
+  it('keeps each role to its side of the shipped policy', async () => {
+    const server = await createServer();
+    const buyer = server.getTools('buyer').map(t => t.name);
+    const seller = server.getTools('seller').map(t => t.name);
+    assert.ok(buyer.includes('create_order') && !buyer.includes('approve_creative'));
+    assert.ok(seller.includes('approve_creative') && !seller.includes('create_order'));
+
+    const { error } = await call(server, 'create_order', { name: 'Spring', accountid: 'account-1' }, { role: 'seller' });
+    assert.equal(error?.code, 'FORBIDDEN_TOOL');
+  });
+
+  it('advertises only the skills a role has tools for', async () => {
+    const server = await createServer();
+    const skills = (role: 'buyer' | 'seller', tools: MCPTool[]) =>
+      AgentCardGenerator.createAgentCard(role, tools, server.getTools()).skills.map(skill => skill.id);
+
+    assert.ok(skills('seller', server.getTools('seller')).includes('inventory-management'));
+    assert.ok(!skills('seller', server.getTools('seller').filter(t => !t.name.endsWith('_product'))).includes('inventory-management'));
+    assert.ok(!skills('buyer', server.getTools('buyer')).includes('inventory-management'));
+  });
+});
@@ -0,0 +1,132 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import type { AddressInfo } from 'net';
+import type { Server } from 'http';
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import { OAuthServer } from '../src/auth/oauth-server.js';
+import { A2ARouter } from '../src/a2a/router.js';
+import { createConfig, createServer } from './helpers.js';
+
+const config = createConfig({
+  oauthEnabled: true,
+  oauthIssuer: 'test-issuer',
+  oauthJwtSecret: 'test-secret',
+  oauthAccessTokenTtlSeconds: 60,
+  oauthRefreshTokenTtlSeconds: 600,
+  oauthClients: [
+    { clientId: 'buyer-app', clientSecret: 'buyer-secret', scopes: ['opendirect:read', 'opendirect:write'] },
+    { clientId: 'other-app', clientSecret: 'other-secret', scopes: ['opendirect:read', 'opendirect:write'] }
+  ]
+});
+
+describe('A2A router', () => {
+  const oauth = new OAuthServer(config);
+  let server: Server;
+  let url: string;
+  const tokens: Record<string, string> = {};
+
+  before(async () => {
+    const mcpServer = await createServer();
+    const app = express();
+    app.use(express.json());
+    app.use('/oauth', oauth.getRouter());
+    app.use('/a2a', oauth.requireBearer());
+    app.use('/a2a/buyer', new A2ARouter('buyer', mcpServer, mcpServer.getTools('buyer'), config).getRouter());
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    url = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+
+    for (const [clientId, secret] of [['buyer-app', 'buyer-secret'], ['other-app', 'other-secret']]) {
+      const response = await fetch(`${url}/oauth/token`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ grant_type: 'client_credentials', client_id: clientId, client_secret: secret })
+      });
+      tokens[clientId] = ((await response.json()) as any).access_token;
+    }
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  function request(method: string, path: string, client: string, body?: unknown) {
+    return fetch(`${url}${path}`, {
+      method,
+      headers: { Authorization: `Bearer ${tokens[client]}`, 'Content-Type': 'application/json' },
+      ...(body !== undefined && { body: JSON.stringify(body) })
+    });
+  }
+
+  async function startContext(client: string): Promise<string> {
+    const contextId = uuidv4();
+    const response = await request('POST', '/a2a/buyer/jsonrpc', client, {
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'message/send',
+      params: { message: { kind: 'message', messageId: uuidv4(), role: 'user', contextId, parts: [{ kind: 'text', text: 'list accounts' }] } }
+    });
+    const { result }: any = await response.json();
+    assert.equal(result.status.state, 'completed');
+    return contextId;
+  }
+
+  it('shows a conversation context only to the client that started it', async () => {
+    const contextId = await startContext('buyer-app');
+
+    const own = await request('GET', `/a2a/buyer/contexts/${contextId}`, 'buyer-app');
+    assert.equal(own.status, 200);
+    assert.equal(((await own.json()) as any).turns[0].text, 'list accounts');
+
+    assert.equal((await request('GET', `/a2a/buyer/contexts/${contextId}`, 'other-app')).status, 404);
+  });
+
+  it('lets only the owner reset a context', async () => {
+    const contextId = await startContext('buyer-app');
+
+    assert.equal((await request('DELETE', `/a2a/buyer/contexts/${contextId}`, 'other-app')).status, 404);
+    assert.equal((await request('GET', `/a2a/buyer/contexts/${contextId}`, 'buyer-app')).status, 200);
+
+    assert.equal((await request('DELETE', `/a2a/buyer/contexts/${contextId}`, 'buyer-app')).status, 204);
+    assert.equal((await request('GET', `/a2a/buyer/contexts/${contextId}`, 'buyer-app')).status, 404);
+  });
+
+  it('refuses messages on a context another client started', async () => {
+    const contextId = await startContext('buyer-app');
+    const response = await request('POST', '/a2a/buyer/jsonrpc', 'other-app', {
+      jsonrpc: '2.0',
+      id: 2,
+      method: 'message/send',
+      params: { message: { kind: 'message', messageId: uuidv4(), role: 'user', contextId, parts: [{ kind: 'text', text: 'list orders' }] } }
+    });
+    const { result }: any = await response.json();
+    assert.equal(result.status.state, 'failed');
+    assert.match(result.status.message.parts[0].text, /belongs to another client/);
+  });
+
+  describe('REST binding', () => {
+    const message = (text: string) => ({ message: { kind: 'message', messageId: uuidv4(), role: 'user', parts: [{ kind: 'text', text }] } });
+
+    it('runs messages and serves the resulting tasks', async () => {
+      const sent = await request('POST', '/a2a/buyer/rest/v1/message:send', 'buyer-app', message('list accounts'));
+      assert.equal(sent.status, 201);
+      const task: any = await sent.json();
+      assert.equal(task.status.state, 'completed');
+
+      const fetched = await request('GET', `/a2a/buyer/rest/v1/tasks/${task.id}`, 'buyer-app');
+      assert.equal(fetched.status, 200);
+      assert.equal(((await fetched.json()) as any).id, task.id);
+    });
+
+    it('answers errors with their HTTP status', async () => {
+      assert.equal((await request('GET', `/a2a/buyer/rest/v1/tasks/${uuidv4()}`, 'buyer-app')).status, 404);
+      assert.equal((await request('POST', '/a2a/buyer/rest/v1/message:send', 'buyer-app', {})).status, 400);
+
+      const task: any = await (await request('POST', '/a2a/buyer/rest/v1/message:send', 'buyer-app', message('list accounts'))).json();
+      const canceled = await request('POST', `/a2a/buyer/rest/v1/tasks/${task.id}:cancel`, 'buyer-app');
+      assert.equal(canceled.status, 409);
+      assert.equal(typeof ((await canceled.json()) as any).code, 'number');
+    });
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLLMProvider } from '../src/llm/providers.js';
+import { RuleBasedPlanner } from '../src/llm/rule-based-planner.js';
+import type { ServerConfig } from '../src/types/index.js';
+import { createServer } from './helpers.js';
+
+describe('rule-based planner', async () => {
+  const tools = (await createServer()).getTools('buyer');
+  const planner = new RuleBasedPlanner();
+  const plan = (userMessage: string) => planner.plan({ userMessage, tools, role: 'buyer' });
+
+  it('matches synonyms to tools and lists when no ID is given', async () => {
+    assert.deepEqual((await plan('show my accounts')).steps, [{ toolName: 'list_accounts', toolParams: {} }]);
+    assert.equal((await plan('browse the inventory')).steps[0].toolName, 'list_products');
+  });
+
+  it('pulls names, amounts, currencies and dates out of the request', async () => {
+    const { steps } = await plan('create an order for Acme Spring with budget $50k from 2026-11-01 to 2026-11-30');
+    assert.equal(steps[0].toolName, 'create_order');
+    assert.deepEqual(steps[0].toolParams, {
+      name: 'Acme Spring',
+      budget: 50000,
+      currency: 'USD',
+      startdate: '2026-11-01T00:00:00Z',
+      enddate: '2026-11-30T00:00:00Z'
+    });
+  });
+
+  it('plans one step per clause and links each to the resource an earlier step created', async () => {
+    const { steps } = await plan('create an account called Acme and then create an order for Spring Sale');
+    assert.deepEqual(steps.map(step => step.toolName), ['create_account', 'create_order']);
+    assert.equal(steps[1].toolParams.accountid, '{{steps[0].result.id}}');
+  });
+
+  it('refuses requests no tool matches', async () => {
+    await assert.rejects(plan('sing a song'), /Could not match "sing a song" to any available tool/);
+  });
+});
+
+describe('LLM provider factory', () => {
+  const config = (overrides: Partial<ServerConfig>) => ({ openaiModel: 'gpt-4o-mini', ...overrides }) as ServerConfig;
+
+  it('uses the rule-based planner for LLM_PROVIDER=rules', () => {
+    assert.ok(createLLMProvider(config({ llmProvider: 'rules' })) instanceof RuleBasedPlanner);
+  });
+
+  it('names the setting a provider is missing', () => {
+    assert.throws(() => createLLMProvider(config({ llmProvider: 'openai' })), /OPENAI_API_KEY is required/);
+    assert.throws(() => createLLMProvider(config({ llmProvider: 'openai-compatible' })), /LLM_BASE_URL is required/);
+    assert.equal(createLLMProvider(config({ llmProvider: 'openai-compatible', llmBaseUrl: 'http://localhost:11434/v1' })).name, 'openai-compatible');
+    assert.throws(() => createLLMProvider(config({ llmProvider: 'other' as any })), /Unknown LLM provider: other/);
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { SchemaParser } from '../src/mcp/schema-parser.js';
+
+function parserFor(schema: Record<string, any>): SchemaParser {
+  const path = join(mkdtempSync(join(tmpdir(), 'schema-parser-')), 'schema.json');
+  writeFileSync(path, JSON.stringify(schema));
+  return new SchemaParser(path);
+}
+
+describe('SchemaParser', () => {
+  it('resolves references inside tuple items position by position', () => {
+    const parser = parserFor({
+      schemas: {
+        Point: { type: 'object', properties: { x: { type: 'number' } } }
+      },
+      tools: [{
+        name: 'plot',
+        description: 'Plot a segment',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            segment: { type: 'array', items: [{ $ref: '#/schemas/Point' }, { $ref: '#/schemas/Point' }], additionalItems: false },
+            path: { type: 'array', items: { $ref: '#/schemas/Point' } }
+          }
+        }
+      }]
+    });
+
+    const [tool] = parser.parseTools();
+    const point = { type: 'object', properties: { x: { type: 'number' } } };
+    assert.deepEqual(tool.inputSchema.properties.segment, { type: 'array', items: [point, point], additionalItems: false });
+    assert.deepEqual(tool.inputSchema.properties.path, { type: 'array', items: point });
+  });
+
+  it('stops expanding recursive references', () => {
+    const parser = parserFor({
+      schemas: {
+        Node: { type: 'object', properties: { children: { type: 'array', items: { $ref: '#/schemas/Node' } } } }
+      }
+    });
+
+    assert.deepEqual(parser.getSchemaDefinition('Node')?.properties?.children, {
+      type: 'array',
+      items: { type: 'object', description: 'Recursive reference to Node' }
+    });
+  });
+});
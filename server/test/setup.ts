@@ -0,0 +1,10 @@
+/**
+ * Test Setup
+ * Loaded before every test file (see the test script). The server logs its
+ * progress to stdout, which the Node 20 test runner also uses to report
+ * results, so logging is silenced to keep the report intact.
+ */
+
+for (const method of ['log', 'info', 'debug', 'warn'] as const) {
+  console[method] = () => {};
+}
@@ -0,0 +1,74 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import type { Artifact, Message, Task, TaskArtifactUpdateEvent, TaskStatusUpdateEvent } from '@a2a-js/sdk';
+import { DefaultExecutionEventBus } from '@a2a-js/sdk/server';
+import { TaskEventPublisher, artifactNameForTool, readArtifactData } from '../src/a2a/task-events.js';
+import { createExecutor, sendMessage, type ExecutionEvent } from './helpers.js';
+
+const userMessage: Message = { kind: 'message', messageId: 'm-1', role: 'user', parts: [{ kind: 'text', text: 'hi' }] };
+
+function createPublisher(existingTask?: Task) {
+  const events: ExecutionEvent[] = [];
+  const eventBus = new DefaultExecutionEventBus();
+  eventBus.on('event', event => events.push(event as ExecutionEvent));
+  return { events, publisher: new TaskEventPublisher(eventBus, 'task-1', 'ctx-1', existingTask) };
+}
+
+const artifacts = (events: ExecutionEvent[]) =>
+  events.filter((event): event is TaskArtifactUpdateEvent => event.kind === 'artifact-update').map(event => event.artifact);
+
+const states = (events: ExecutionEvent[]) =>
+  events.map(event => event.kind === 'task' ? event.status.state : event.kind === 'status-update' ? event.status.state : event.kind);
+
+describe('task events', () => {
+  it('names artifacts after the entity a tool works on', () => {
+    assert.equal(artifactNameForTool('create_order'), 'order.json');
+    assert.equal(artifactNameForTool('list_lines'), 'lines.json');
+    assert.equal(artifactNameForTool('approve_creative'), 'approve_creative.json');
+  });
+
+  it('publishes the lifecycle and ends a turn only once', () => {
+    const { events, publisher } = createPublisher();
+    publisher.submitted(userMessage);
+    publisher.working('Planning');
+    publisher.completed('Done.');
+    publisher.failed('Too late');
+
+    assert.deepEqual(states(events), ['submitted', 'working', 'completed']);
+    assert.equal(publisher.isFinal, true);
+    assert.equal(publisher.finalMessage, 'Done.');
+    assert.equal((events[2] as TaskStatusUpdateEvent).final, true);
+  });
+
+  it('publishes tool results as uniquely named data artifacts and records the steps', () => {
+    const existing = { kind: 'task', id: 'task-1', contextId: 'ctx-1', status: { state: 'input-required' }, artifacts: [{ artifactId: 'a-1', name: 'line.json', parts: [] }] } as Task;
+    const { events, publisher } = createPublisher(existing);
+    publisher.artifact('create_line', 1, { id: 'line-2' });
+    publisher.artifact('update_line', 2, { id: 'line-2', bookingstatus: 'Booked' });
+    publisher.artifact('list_lines', 3, [{ id: 'line-2' }]);
+    publisher.artifact('get_line', 4, null);
+
+    const published: Artifact[] = artifacts(events);
+    assert.deepEqual(published.map(artifact => artifact.name), ['line-2.json', 'line-3.json', 'lines.json', 'line-4.json']);
+    assert.deepEqual(published[0].metadata, { tool: 'create_line', step: 1 });
+    assert.deepEqual(published[2].parts, [{ kind: 'data', data: { items: [{ id: 'line-2' }] } }]);
+    assert.deepEqual(readArtifactData(published[2]), [{ id: 'line-2' }]);
+    assert.equal(readArtifactData(published[3]), null);
+    assert.deepEqual(publisher.committedSteps.map(({ step, artifact, id }) => ({ step, artifact, id })), [
+      { step: 1, artifact: 'line-2.json', id: 'line-2' },
+      { step: 2, artifact: 'line-3.json', id: 'line-2' },
+      { step: 3, artifact: 'lines.json', id: undefined },
+      { step: 4, artifact: 'line-4.json', id: undefined }
+    ]);
+  });
+
+  it('carries an agent run from submitted to completed with one artifact per step', async () => {
+    const { executor } = await createExecutor('buyer');
+    const events = await sendMessage(executor, { text: 'list accounts and then list products' });
+
+    assert.equal(states(events)[0], 'submitted');
+    assert.equal(states(events).at(-1), 'completed');
+    assert.deepEqual(artifacts(events).map(artifact => artifact.name), ['accounts.json', 'products.json']);
+    assert.ok(Array.isArray(readArtifactData(artifacts(events)[1])));
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readdirSync, readFileSync, utimesSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import type { Task } from '@a2a-js/sdk';
+import { FileTaskStore } from '../src/a2a/task-store.js';
+
+function createDirectory(): string {
+  return mkdtempSync(join(tmpdir(), 'tasks-'));
+}
+
+function createTask(id: string, state: Task['status']['state'] = 'completed'): Task {
+  return { kind: 'task', id, contextId: 'ctx-1', status: { state }, history: [], artifacts: [] };
+}
+
+describe('FileTaskStore', () => {
+  it('saves each task to one complete JSON file', async () => {
+    const directory = createDirectory();
+    const store = new FileTaskStore(directory, 24);
+
+    await Promise.all([store.save(createTask('task/1', 'working')), store.save(createTask('task/1'))]);
+    assert.deepEqual(readdirSync(directory), ['task%2F1.json']);
+    assert.equal(JSON.parse(readFileSync(join(directory, 'task%2F1.json'), 'utf-8')).task.id, 'task/1');
+    assert.equal((await store.load('task/1'))?.id, 'task/1');
+    assert.equal(await store.load('missing'), undefined);
+    store.close();
+  });
+
+  it('prunes tasks not saved within the retention window', async () => {
+    const directory = createDirectory();
+    const store = new FileTaskStore(directory, 1);
+    await store.save(createTask('fresh'));
+    writeFileSync(join(directory, 'old.json'), JSON.stringify({ savedAt: Date.now() - 2 * 60 * 60 * 1000, task: createTask('old') }));
+
+    assert.equal(await store.prune(), 1);
+    assert.deepEqual(readdirSync(directory), ['fresh.json']);
+
+    writeFileSync(join(directory, 'old.json'), JSON.stringify({ savedAt: Date.now() - 2 * 60 * 60 * 1000, task: createTask('old') }));
+    assert.equal(await store.load('old'), undefined);
+    assert.deepEqual(readdirSync(directory), ['fresh.json']);
+    store.close();
+  });
+
+  it('removes temp files a crashed save left behind, but not ones still being written', async () => {
+    const directory = createDirectory();
+    const stale = join(directory, 'task-1.json.abc.tmp');
+    writeFileSync(stale, '{"partial');
+    const old = new Date(Date.now() - 10 * 60 * 1000);
+    utimesSync(stale, old, old);
+    writeFileSync(join(directory, 'task-2.json.def.tmp'), '{"partial');
+
+    const store = new FileTaskStore(directory, 24);
+    await store.save(createTask('task-3'));
+    assert.deepEqual(readdirSync(directory).sort(), ['task-2.json.def.tmp', 'task-3.json']);
+    store.close();
+  });
+
+  it('fails tasks a previous run left unfinished', async () => {
+    const directory = createDirectory();
+    const previous = new FileTaskStore(directory, 24);
+    await previous.save(createTask('waiting', 'input-required'));
+    await previous.save(createTask('done'));
+    assert.equal((await previous.load('waiting'))?.status.state, 'input-required');
+    previous.close();
+
+    const store = new FileTaskStore(directory, 24);
+    const failed = await store.load('waiting');
+    assert.equal(failed?.status.state, 'failed');
+    assert.match((failed?.status.message?.parts[0] as any).text, /restarted while this task was input-required/);
+    assert.equal(JSON.parse(readFileSync(join(directory, 'waiting.json'), 'utf-8')).task.status.state, 'failed');
+    assert.equal((await store.load('done'))?.status.state, 'completed');
+    store.close();
+  });
+
+  it('ignores corrupt task files', async () => {
+    const directory = createDirectory();
+    writeFileSync(join(directory, 'broken.json'), '{"savedAt": 1, "task": ');
+    const store = new FileTaskStore(directory, 24);
+    assert.equal(await store.load('broken'), undefined);
+    store.close();
+  });
+
+  it('reports an unusable directory from save and load', async () => {
+    const file = join(createDirectory(), 'not-a-directory');
+    writeFileSync(file, '');
+    const store = new FileTaskStore(file, 24);
+
+    await assert.rejects(store.save(createTask('task-1')), /Task directory .* is not usable/);
+    await assert.rejects(store.load('task-1'), /Task directory .* is not usable/);
+    store.close();
+  });
+});
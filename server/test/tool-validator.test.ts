@@ -0,0 +1,85 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ToolError } from '../src/mcp/errors.js';
+import { ToolValidator } from '../src/mcp/tool-validator.js';
+import type { MCPTool } from '../src/types/index.js';
+import { call, createServer } from './helpers.js';
+
+const BUYER = { role: 'buyer' as const };
+
+const tool: MCPTool = {
+  name: 'create_thing',
+  description: 'Create a thing',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', maxLength: 5 },
+      kind: { type: 'string', enum: ['Small', 'Large'] },
+      cost: { type: 'number', readOnly: true },
+      parts: {
+        type: 'array',
+        items: { type: 'object', properties: { id: { type: 'string' }, status: { type: 'string', readOnly: true } } }
+      }
+    },
+    required: ['name']
+  }
+};
+
+function validationErrors(validator: ToolValidator, args: any): any[] {
+  try {
+    validator.validate(tool.name, args);
+  } catch (error) {
+    assert.ok(error instanceof ToolError);
+    assert.equal(error.code, 'INVALID_ARGUMENTS');
+    return error.details!.errors;
+  }
+  return [];
+}
+
+describe('ToolValidator', () => {
+  const validator = new ToolValidator({});
+  validator.register([tool]);
+
+  it('accepts arguments that match the schema', () => {
+    assert.deepEqual(validationErrors(validator, { name: 'bolt', kind: 'Small', parts: [{ id: 'p1' }] }), []);
+  });
+
+  it('rejects values for readOnly properties, including inside arrays', () => {
+    assert.deepEqual(validationErrors(validator, { name: 'bolt', cost: 3, parts: [{ id: 'p1' }, { id: 'p2', status: 'Done' }] }), [
+      { field: 'cost', keyword: 'readOnly', message: 'is read-only and is set by the server' },
+      { field: 'parts[1].status', keyword: 'readOnly', message: 'is read-only and is set by the server' }
+    ]);
+  });
+
+  it('reports every failing field at once', () => {
+    const errors = validationErrors(validator, { name: 'too long', kind: 'Medium', cost: 1 });
+    assert.deepEqual(errors.map(error => [error.field, error.keyword]), [
+      ['name', 'maxLength'],
+      ['kind', 'enum'],
+      ['cost', 'readOnly']
+    ]);
+    assert.deepEqual(errors[1].allowedValues, ['Small', 'Large']);
+    assert.deepEqual(validationErrors(validator, {}), [{ field: 'name', keyword: 'required', message: 'is required' }]);
+  });
+
+  it('leaves tools it has no schema for to their handlers', () => {
+    assert.doesNotThrow(() => validator.validate('unknown_tool', { anything: true }));
+  });
+
+  it('runs before tool handlers and refuses tools that do not exist', async () => {
+    const server = await createServer();
+    await assert.rejects(server.callTool('unknown_tool', {}, BUYER), /Tool not found: unknown_tool/);
+
+    const approved = await call(server, 'create_creative', {
+      accountid: 'account-1',
+      creativeasset: {},
+      creativeapprovals: [{ publisherid: 'publisher-1', approvalstatus: 'Approved' }]
+    }, BUYER);
+    assert.equal(approved.error?.code, 'INVALID_ARGUMENTS');
+    assert.deepEqual(approved.error?.details?.errors.map((error: any) => error.field), ['creativeapprovals[0].approvalstatus']);
+
+    const extra = await call(server, 'update_creative', { id: 'creative-1', creativeapprovals: [{ publisherid: 'publisher-1', note: 'rush' }] }, BUYER);
+    assert.equal(extra.error?.code, 'INVALID_ARGUMENTS');
+    assert.equal(extra.error?.details?.errors[0].keyword, 'additionalProperties');
+  });
+});